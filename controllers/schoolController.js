@@ -2,10 +2,16 @@
 
 const School = require('../models/School');
 const Student = require('../models/Student');
+const Event = require('../models/Event');
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
-const cloudinary = require('../cloudinary');
+const { enqueueGroupDescriptorJob } = require('../services/groupDescriptorJob');
+const { removeSchoolFromIndex } = require('../services/descriptorIndex');
+const { storeGroupPhoto } = require('../services/groupPhotos');
+const { collectPhotoAssets } = require('../services/studentPhotos');
+const { recordDeletions } = require('../services/changeFeed');
+const { discardAssets } = require('../services/storage');
 
 // Helper to get first non-empty value for a set of possible header names
 function getCell(row, possibleKeys) {
@@ -18,12 +24,25 @@ function getCell(row, possibleKeys) {
 }
 
 exports.addSchool = async (req, res) => {
+  // Group photo stored for a school that never got saved; nothing would reference it
+  let unsavedAsset = null;
   try {
     const xlsFile = req.files.xlsFile ? req.files.xlsFile[0] : null;
     const groupPhoto = req.files.groupPhoto ? req.files.groupPhoto[0] : null;
 
     if (!xlsFile) return res.status(400).json({ message: 'XLS file is required' });
 
+    // Optional event whose session schedule applies to this school
+    const { eventId } = req.body;
+    if (eventId) {
+      if (!/^[0-9a-fA-F]{24}$/.test(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      if (!(await Event.exists({ _id: eventId }))) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+    }
+
     // Parse XLS from buffer
     const workbook = XLSX.read(xlsFile.buffer, { type: 'buffer' });
     const sheetName = workbook.SheetNames[0];
@@ -46,26 +65,25 @@ exports.addSchool = async (req, res) => {
       affNo: affNo || undefined,
       coachName: coachName || undefined,
       coachPhone: coachPhone || undefined,
+      event: eventId || null,
+      events: eventId ? [eventId] : [],
       students: []
     };
 
-    // Upload group photo to Cloudinary if provided
+    // Store the group photo if provided
     if (groupPhoto) {
-      const result = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream({ folder: 'group-photos', resource_type: 'image' }, (err, res) => {
-          if (err) return reject(err);
-          resolve(res);
-        });
-        stream.end(groupPhoto.buffer);
-      });
-      schoolData.groupPhoto = result.secure_url;
-      // Initialize descriptor status; frontend will compute and POST descriptors
+      const asset = await storeGroupPhoto(groupPhoto);
+      unsavedAsset = asset;
+      schoolData.groupPhoto = asset.url;
+      schoolData.groupPhotoAsset = asset;
+      // Descriptors are extracted server-side once the school is saved
       schoolData.groupDescriptorsStatus = 'processing';
     }
 
     // Create school
     const school = new School(schoolData);
     await school.save();
+    unsavedAsset = null;
 
     // Add students with robust header mapping
     const students = await Student.insertMany(
@@ -84,29 +102,45 @@ exports.addSchool = async (req, res) => {
     school.students = students.map(s => s._id);
     await school.save();
 
-    // Respond immediately; frontend will compute and POST descriptors
+    if (school.groupPhoto) {
+      const queued = await enqueueGroupDescriptorJob(school._id, { createdBy: req.user._id });
+      if (queued) school.groupDescriptorsJob = queued.groupDescriptorsJob;
+    }
+
+    // Respond immediately; descriptors are extracted in the background
     res.json({
       message: 'School and students added successfully',
       school: {
         _id: school._id,
         name: school.name,
         affNo: school.affNo,
+        event: school.event,
         groupPhoto: school.groupPhoto,
         studentsCount: students.length,
         groupDescriptorsStatus: school.groupDescriptorsStatus || 'idle',
+        groupDescriptorsJob: school.groupDescriptorsJob || null,
         descriptorsCount: school.groupDescriptors ? school.groupDescriptors.length : 0
       }
     });
 
   } catch (err) {
     console.error('Error in addSchool:', err);
+    await discardAssets(unsavedAsset);
     res.status(500).json({ message: err.message });
   }
 };
 
 exports.getSchools = async (req, res) => {
   try {
-    const schools = await School.find().select('name affNo coachName coachPhone _id groupPhoto').lean();
+    const query = {};
+    if (req.query.eventId) {
+      if (!/^[0-9a-fA-F]{24}$/.test(req.query.eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      // Past enrolments included, not only schools whose current event it is
+      query.$or = [{ event: req.query.eventId }, { events: req.query.eventId }];
+    }
+    const schools = await School.find(query).select('name affNo coachName coachPhone _id groupPhoto event events').lean();
 
     // Gather distinct age groups per school
     const schoolIds = schools.map(s => s._id);
@@ -155,6 +189,7 @@ exports.getSchoolById = async (req, res) => {
       groupPhoto: school.groupPhoto,
       groupDescriptorsStatus: school.groupDescriptorsStatus,
       groupDescriptorsUpdatedAt: school.groupDescriptorsUpdatedAt,
+      groupDescriptorsJob: school.groupDescriptorsJob,
       descriptorsCount: school.groupDescriptors ? school.groupDescriptors.length : 0
     });
   } catch (err) {
@@ -166,30 +201,37 @@ exports.deleteSchool = async (req, res) => {
   try {
     const { schoolId } = req.params;
     const school = await School.findById(schoolId);
+    const students = await Student.find({ school: schoolId }).select('school day1PhotoAsset eventResults');
 
     await Student.deleteMany({ school: schoolId });
     await School.findByIdAndDelete(schoolId);
+    removeSchoolFromIndex(schoolId);
+    await recordDeletions('student', students, req.user);
+    await recordDeletions('school', school, req.user);
+    await discardAssets([school?.groupPhotoAsset, ...students.flatMap(collectPhotoAssets)]);
     res.json({ message: 'School and all students deleted successfully' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
-// Regenerate group descriptors for a school (client-driven)
+// Regenerate group descriptors for a school; also retries a failed extraction
 exports.regenerateGroupDescriptors = async (req, res) => {
   try {
     const { schoolId } = req.params;
     const school = await School.findById(schoolId);
     if (!school) return res.status(404).json({ message: 'School not found' });
+    if (!school.groupPhoto) {
+      return res.status(400).json({ message: 'School has no group photo' });
+    }
 
-    // Mark as processing; the frontend will compute and POST descriptors
-    await School.findByIdAndUpdate(schoolId, {
-      groupDescriptorsStatus: 'processing',
-      groupDescriptorsError: null,
-      groupDescriptorsUpdatedAt: new Date()
-    });
+    const queued = await enqueueGroupDescriptorJob(schoolId, { createdBy: req.user._id });
 
-    return res.status(202).json({ message: 'Client-side regeneration expected', status: 'processing' });
+    return res.status(202).json({
+      message: 'Group descriptor extraction queued',
+      status: 'processing',
+      jobId: queued ? queued.groupDescriptorsJob : null
+    });
   } catch (err) {
     console.error('Error in regenerateGroupDescriptors:', err);
     res.status(500).json({ message: err.message });
@@ -1,14 +1,32 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
+
+// Routes a user with a forced password reset may still reach
+const PASSWORD_CHANGE_PATHS = ['/api/auth/me', '/api/auth/me/password', '/api/auth/logout'];
 
 module.exports = async (req, res, next) => {
-    // const token = req.header('Authorization')?.replace('Bearer ', '');
-    // if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
     try {
-        // const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        // req.user = await User.findById(decoded.id).select('-password');
+        const decoded = verifyAccessToken(token);
+        const user = await User.findById(decoded.id).select('-password');
+        // Tokens issued before a logout-everywhere carry a stale version
+        if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({ message: 'Token has been revoked' });
+        }
+        if (!user.isActive) {
+            return res.status(403).json({ message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+        }
+        if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+            return res.status(403).json({ message: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+        }
+        req.user = user;
         next();
     } catch (err) {
+        if (err instanceof jwt.TokenExpiredError) {
+            return res.status(401).json({ message: 'Token has expired', code: 'TOKEN_EXPIRED' });
+        }
         res.status(401).json({ message: 'Token is not valid' });
     }
-};
\ No newline at end of file
+};
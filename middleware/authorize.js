@@ -0,0 +1,15 @@
+// Restrict a route to the given roles; must run after the auth middleware
+module.exports = (...allowedRoles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            message: 'Forbidden: your role does not have access to this resource',
+            code: 'FORBIDDEN',
+            role: req.user.role || null,
+            requiredRoles: allowedRoles
+        });
+    }
+    next();
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// open: awaiting review; resolved/dismissed: reviewed; stale: closed by a later scan (see closedReason)
+const DUPLICATE_STATUSES = ['open', 'resolved', 'dismissed', 'stale'];
+
+// A pair of students whose face templates are suspiciously close, awaiting review
+const duplicateCandidateSchema = new mongoose.Schema({
+  // Event whose roster was scanned; null for a scan across every student
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+  // Stored with studentA < studentB so each pair exists once
+  studentA: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  studentB: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  schoolA: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null },
+  schoolB: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null },
+  sameSchool: { type: Boolean, default: false },
+  distance: { type: Number, required: true },
+  threshold: { type: Number, required: true },
+  status: { type: String, enum: DUPLICATE_STATUSES, default: 'open', index: true },
+  // Set when a later scan closed the pair as stale: a student was deleted or the faces no longer match
+  closedReason: { type: String, enum: ['student_deleted', 'no_longer_matching', null], default: null },
+  closedAt: { type: Date, default: null },
+  // Review outcome: resolved means a real duplicate that has been dealt with, dismissed a false alarm
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNotes: { type: String, default: null },
+  detectedByJob: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  firstDetectedAt: { type: Date, default: Date.now },
+  lastDetectedAt: { type: Date, default: Date.now }
+});
+
+duplicateCandidateSchema.index({ event: 1, studentA: 1, studentB: 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, distance: 1 });
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+DuplicateCandidate.STATUSES = DUPLICATE_STATUSES;
+
+module.exports = DuplicateCandidate;
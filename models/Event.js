@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A single verification session within an event (e.g. "day1", "day2-am")
+const sessionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z0-9_-]{1,32}$/, 'Session key may only contain letters, digits, "-" and "_"']
+  },
+  label: { type: String, trim: true },
+  date: { type: Date }
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  // Ordered list of sessions; the first one is the enrolment (reference photo) session
+  sessions: {
+    type: [sessionSchema],
+    validate: [
+      {
+        validator: (sessions) => Array.isArray(sessions) && sessions.length > 0,
+        message: 'An event needs at least one session'
+      },
+      {
+        validator: (sessions) => new Set(sessions.map(s => s.key)).size === sessions.length,
+        message: 'Session keys must be unique within an event'
+      }
+    ]
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Event', eventSchema);
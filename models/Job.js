@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['group_descriptors', 'verified_export', 'duplicate_detection'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const MAX_LOG_ENTRIES = 100;
+
+const jobLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  level: { type: String, enum: ['info', 'warn', 'error'], default: 'info' },
+  message: { type: String, required: true }
+}, { _id: false });
+
+// Long-running backend work, picked up by the worker loop in services/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  type: { type: String, enum: JOB_TYPES, required: true, index: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued', index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  progressMessage: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  // Earliest time the worker may pick the job up; pushed back between retries
+  runAt: { type: Date, default: Date.now },
+  cancelRequested: { type: Boolean, default: false },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Generated files (exports) are kept on the job and downloaded through /api/jobs/:id/download
+  resultFile: {
+    filename: String,
+    contentType: String,
+    data: { type: Buffer, select: false }
+  },
+  error: { type: String, default: null },
+  logs: [jobLogSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, 'payload.schoolId': 1, status: 1 });
+
+jobSchema.statics.TYPES = JOB_TYPES;
+jobSchema.statics.STATUSES = JOB_STATUSES;
+jobSchema.statics.MAX_LOG_ENTRIES = MAX_LOG_ENTRIES;
+
+module.exports = mongoose.model('Job', jobSchema);
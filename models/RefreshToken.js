@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const refreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+    createdByIp: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB purge expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -11,18 +11,51 @@
 // For realt face verification on local server
 
 const mongoose = require('mongoose');
+const storedAssetSchema = require('./storedAssetSchema');
+
+const boxSchema = new mongoose.Schema({ x: Number, y: Number, width: Number, height: Number }, { _id: false });
+
+// One detected face in the group photo; groupFaces[i] describes groupDescriptors[i]
+const groupFaceSchema = new mongoose.Schema({
+  // Pixel coordinates in the group photo; null for descriptors posted without geometry
+  box: { type: boxSchema, default: null },
+  // Detector confidence (0-1) and number of landmark points found
+  score: { type: Number, default: null },
+  landmarkCount: { type: Number, default: null },
+  // Student an operator identified this face as, and the reference sample it became
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', default: null },
+  reference: { type: mongoose.Schema.Types.ObjectId, default: null },
+  linkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  linkedAt: { type: Date, default: null }
+}, { _id: false });
 
 const schoolSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   affNo: { type: String },
+  // Current event: used when a request does not name one; defaults to six days when unset
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+  // Every event this roster has been enrolled in, past and present
+  events: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }],
   coachName: { type: String },
   coachPhone: { type: String },
   groupPhoto: String,
+  // Where groupPhoto is stored, so the file can be read or deleted; null for photos uploaded before it was recorded
+  groupPhotoAsset: { type: storedAssetSchema, default: null },
   groupDescriptors: [[Number]], // Array of face descriptors
+  groupFaces: [groupFaceSchema],
+  groupPhotoSize: {
+    type: new mongoose.Schema({ width: Number, height: Number }, { _id: false }),
+    default: null
+  },
   groupDescriptorsStatus: { type: String, enum: ['idle', 'processing', 'ready', 'error'], default: 'idle' },
   groupDescriptorsError: { type: String, default: null },
   groupDescriptorsUpdatedAt: { type: Date, default: null },
+  // Extraction job currently responsible for the descriptors (see services/groupDescriptorJob.js)
+  groupDescriptorsJob: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
   students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Student' }]
-});
+}, { timestamps: true });
+
+// Change feed (GET /api/changes) reads schools in updatedAt order
+schoolSchema.index({ updatedAt: 1, _id: 1 });
 
 module.exports = mongoose.model('School', schoolSchema);
\ No newline at end of file
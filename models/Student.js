@@ -1,11 +1,52 @@
 const mongoose = require('mongoose');
+const storedAssetSchema = require('./storedAssetSchema');
 
 const dayVerificationSchema = new mongoose.Schema({
   result: { type: String, enum: ['success', 'failed', 'pending', 'manually_verified'], default: 'pending' },
   date: { type: Date },
-  confidence: { type: Number }
+  confidence: { type: Number },
+  // Distance to the reference descriptor when the result came from face verification
+  distance: { type: Number }
 }, { _id: false });
 
+// Verification state of a student for one event (or for the default programme when stored top-level)
+const verificationStateFields = {
+    verified: { type: Boolean, default: false },
+    verificationResult: { type: String, enum: ['success', 'failed', 'pending', 'manually_verified'], default: 'pending' },
+    // When face verification last set verificationResult (online, or on a device and synced)
+    verificationDate: { type: Date, default: null },
+    manuallyVerified: { type: Boolean, default: false },
+    manualVerificationDate: { type: Date },
+    manualVerificationReason: { type: String, default: null },
+    manualVerificationNotes: { type: String, default: null },
+    lastResetDate: { type: Date, default: null },
+    resetReason: { type: String, default: null },
+    // Day 1 captured photo (used as reference for Days 2-6 table display), served by GET /api/student/:id/photo
+    day1PhotoAsset: { type: storedAssetSchema, default: null },
+    // Legacy: base64 data URL stored inline before photos moved to storage (see scripts/migrateDay1Photos.js)
+    day1Photo: { type: String },
+    // Per-session verification results keyed by the event's session key (e.g. "day1")
+    dayVerification: { type: Map, of: dayVerificationSchema, default: () => ({}) }
+};
+
+const verificationStateSchema = new mongoose.Schema(verificationStateFields, { _id: false });
+
+// One enrolled face sample; the student's faceDescriptor is the mean of these
+const referenceDescriptorSchema = new mongoose.Schema({
+    descriptor: { type: [Number], required: true },
+    // enrolment: reference session photo; verification: high-confidence later match; manual: added by staff;
+    // group_photo: a school group-photo face an operator linked to the student
+    source: { type: String, enum: ['enrolment', 'verification', 'manual', 'group_photo'], required: true },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+    session: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    // Quality score (0-100) of the photo the sample came from, when the server assessed it
+    quality: { type: Number, default: null },
+    distance: { type: Number, default: null },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
 const studentSchema = new mongoose.Schema({
     name: String,
     rollNumber: String,
@@ -15,23 +56,17 @@ const studentSchema = new mongoose.Schema({
     dob: String,
     ageGroup: String,
     school: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
-    verified: { type: Boolean, default: false },
-    verificationResult: { type: String, enum: ['success', 'failed', 'pending', 'manually_verified'], default: 'pending' },
-    manuallyVerified: { type: Boolean, default: false },
-    manualVerificationDate: { type: Date },
-    // Day 1 captured photo (used as reference for Days 2-6 table display)
-    day1Photo: { type: String },
-    // Per-student face descriptor computed from Day 1 photo
+    // State for schools not enrolled in any event
+    ...verificationStateFields,
+    // Per-event state keyed by Event id, so past events stay intact when the roster is reused
+    eventResults: { type: Map, of: verificationStateSchema, default: () => ({}) },
+    // Per-student face template: mean of referenceDescriptors (or the single Day 1 descriptor on older records)
     faceDescriptor: { type: [Number], default: undefined },
-    // Per-day verification results for 6-day program
-    dayVerification: {
-      day1: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) },
-      day2: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) },
-      day3: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) },
-      day4: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) },
-      day5: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) },
-      day6: { type: dayVerificationSchema, default: () => ({ result: 'pending' }) }
-    }
-});
+    referenceDescriptors: { type: [referenceDescriptorSchema], default: undefined }
+}, { timestamps: true });
+
+// Change feed (GET /api/changes) reads students in updatedAt order, across schools or for one
+studentSchema.index({ updatedAt: 1, _id: 1 });
+studentSchema.index({ school: 1, updatedAt: 1, _id: 1 });
 
-module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Student', studentSchema);
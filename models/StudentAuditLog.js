@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Append-only record of manual changes to a student's verification state
+const studentAuditLogSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true, index: true },
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', index: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Username at the time of the action, so entries stay readable if the account is deleted
+  actorUsername: { type: String, default: null },
+  // Event whose state was changed; null for the default programme
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+  action: {
+    type: String,
+    enum: ['manual_verify', 'reset_verification', 'bulk_manual_verify', 'bulk_reset_verification', 'offline_manual_verify'],
+    required: true
+  },
+  day: { type: String, default: null },
+  reason: { type: String, default: null },
+  notes: { type: String, default: null },
+  previousState: { type: mongoose.Schema.Types.Mixed, default: null },
+  newState: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+studentAuditLogSchema.index({ school: 1, createdAt: -1 });
+
+// Entries are never modified or removed once written
+const rejectMutation = function(next) {
+  next(new Error('Student audit log entries are append-only'));
+};
+studentAuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectMutation
+);
+studentAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+module.exports = mongoose.model('StudentAuditLog', studentAuditLogSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One result pushed by an offline device (see routes/sync.js). Kept so a batch that is
+// pushed again after a dropped connection gets the same outcomes instead of being re-applied.
+// The document is inserted before the result is applied; its unique index is what stops two
+// pushes of the same item from both applying it. Rejected items are not kept.
+const syncItemSchema = new mongoose.Schema({
+  // Identifier the device reports for itself, and the device's own id for the item
+  device: { type: String, required: true },
+  clientItemId: { type: String, required: true },
+  // Who pushed it: device ids are chosen by the client, so items are only deduplicated per account
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', default: null },
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+  day: { type: String, default: null },
+  result: { type: String, enum: ['success', 'failed', 'manually_verified'] },
+  // When the device captured the result, by its own clock
+  capturedAt: { type: Date, default: null },
+  // pending: claimed by a push that is applying it; applied: written to the student;
+  // conflict: the server's result takes precedence; stale: the server already has a newer result of the same kind
+  status: { type: String, enum: ['pending', 'applied', 'conflict', 'stale'], required: true },
+  reason: { type: String, default: null },
+  receivedAt: { type: Date, default: Date.now }
+});
+
+syncItemSchema.index({ user: 1, device: 1, clientItemId: 1 }, { unique: true });
+syncItemSchema.index({ student: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('SyncItem', syncItemSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Record of a deleted student or school, so change-feed clients (GET /api/changes) can drop it too.
+// Expires after TOMBSTONE_TTL_DAYS; clients with an older cursor must reload from scratch.
+const TOMBSTONE_TTL_DAYS = parseInt(process.env.TOMBSTONE_TTL_DAYS, 10) || 30;
+
+const tombstoneSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['student', 'school'], required: true },
+  // _id of the deleted document
+  docId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // School the deleted record belonged to (the school itself for a school), for per-school feeds
+  school: { type: mongoose.Schema.Types.ObjectId, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  deletedAt: { type: Date, default: Date.now }
+});
+
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_DAYS * 24 * 60 * 60 });
+tombstoneSchema.index({ deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ school: 1, deletedAt: 1, _id: 1 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+Tombstone.TTL_DAYS = TOMBSTONE_TTL_DAYS;
+
+module.exports = Tombstone;
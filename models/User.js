@@ -1,10 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Staff roles, from most to least privileged
+const ROLES = ['admin', 'coordinator', 'verifier'];
+const MIN_PASSWORD_LENGTH = 8;
+
 const userSchema = new mongoose.Schema({
-    username: { type: String, required: true, unique: true },
-    password: { type: String, required: true }
-});
+    username: { type: String, required: true, unique: true, trim: true },
+    password: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'verifier' },
+    // Disabled accounts cannot log in, refresh or use existing tokens
+    isActive: { type: Boolean, default: true },
+    disabledAt: { type: Date, default: null },
+    // Set when an admin forces a reset; cleared once the user picks a new password
+    mustChangePassword: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date, default: null },
+    // Bumped to invalidate every access token issued before it (logout everywhere)
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: { type: Date, default: null },
+    // Schools this account's devices download for offline verification (routes/sync.js)
+    assignedSchools: [{ type: mongoose.Schema.Types.ObjectId, ref: 'School' }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
 
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -16,4 +33,8 @@ userSchema.methods.comparePassword = function(password) {
     return bcrypt.compare(password, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = User;
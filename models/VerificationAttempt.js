@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Outcome of the liveness checks on the capture (see services/liveness.js)
+const livenessSchema = new mongoose.Schema({
+  score: { type: Number, default: null },
+  passed: { type: Boolean, default: null },
+  mode: { type: String, enum: ['report', 'enforce'] },
+  frames: { type: Number, default: 0 },
+  flags: [String],
+  reasons: [String]
+}, { _id: false });
+
+// One document per face verification attempt, kept for investigating disputes at the gate
+const verificationAttemptSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', index: true },
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', index: true },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null, index: true },
+  day: { type: String, default: null },
+  result: { type: String, enum: ['success', 'failed', 'error'], required: true },
+  distance: { type: Number, default: null },
+  threshold: { type: Number, default: null },
+  confidence: { type: Number, default: 0 },
+  faceQuality: { type: Number, default: null },
+  // Where the captured descriptor came from
+  source: { type: String, enum: ['client_descriptor', 'server_extraction'], default: null },
+  // True when the descriptor matched was extracted by the server from the captured image
+  serverVerified: { type: Boolean, default: null },
+  // Distance between a client descriptor and the server's extraction, when cross-checked
+  crossCheckDistance: { type: Number, default: null },
+  // Which reference the capture was compared against
+  matchedAgainst: { type: String, enum: ['student_descriptor', 'group_photo_face', 'group_descriptors', null], default: null },
+  // Null when liveness was not checked for the attempt
+  liveness: { type: livenessSchema, default: null },
+  operator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Set for results verified on an offline device and pushed later; timestamp is then the capture time
+  syncDevice: { type: String, default: null },
+  syncedAt: { type: Date, default: null },
+  error: { type: String, default: null },
+  timestamp: { type: Date, default: Date.now }
+});
+
+verificationAttemptSchema.index({ school: 1, timestamp: -1 });
+verificationAttemptSchema.index({ student: 1, timestamp: -1 });
+
+module.exports = mongoose.model('VerificationAttempt', verificationAttemptSchema);
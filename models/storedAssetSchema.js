@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Reference to a file kept in the storage layer (services/storage) instead of in the document:
+// enough to read, sign or delete it on the backend it was written to
+const storedAssetSchema = new mongoose.Schema({
+  backend: { type: String, required: true },
+  key: { type: String, required: true },
+  access: { type: String, enum: ['public', 'private'], default: 'private' },
+  contentType: { type: String },
+  size: { type: Number },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = storedAssetSchema;
@@ -1,32 +1,162 @@
 const express = require('express');
 const router = express.Router();
-// const jwt = require('jsonwebtoken'); // Removed JWT
-// const bcrypt = require('bcryptjs'); // Removed bcrypt
-// const User = require('../models/User'); // User model no longer needed for bypassed auth
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
 
-// Simplified Login route to bypass authentication
+// Helper function to format user response
+const formatUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  role: user.role,
+  mustChangePassword: !!user.mustChangePassword
+});
+
+// Login with username/password and issue access + refresh tokens
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
-    console.log('Received login attempt with body:', req.body);
-
-    // Check for specific hardcoded credentials
-    if (username === 'user' && password === 'user123') {
-      return res.json({
-        message: 'Login successful',
-        token: 'mock-admin-token', // Provide a mock token for admin
-        user: {
-          id: 'admin-user-id',
-          username: 'admin'
-        }
-      });
-    } else {
+
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Username and password are required' });
+    }
+
+    const user = await User.findOne({ username: String(username).trim() });
+    if (!user || !(await user.comparePassword(String(password)))) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const tokens = await tokenService.issueTokens(user, req.ip);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: formatUserResponse(user)
+    });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Exchange a refresh token for a new token pair (the old refresh token is rotated out)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotation = await tokenService.rotateRefreshToken(refreshToken);
+    if (rotation && rotation.reused) {
+      // A rotated-out token was presented again: it may have been stolen, so end every session
+      await tokenService.revokeAllForUser(rotation.userId);
+      await User.findByIdAndUpdate(rotation.userId, { $inc: { tokenVersion: 1 } });
+      console.warn(`Refresh token reuse detected for user ${rotation.userId}; all sessions revoked`);
+      return res.status(401).json({ message: 'Refresh token has already been used', code: 'REFRESH_TOKEN_REUSED' });
+    }
+    if (!rotation) {
+      return res.status(401).json({ message: 'Refresh token is invalid or expired' });
+    }
+
+    // The old token is already revoked; a disabled account simply gets no replacement
+    const user = await User.findById(rotation.stored.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Refresh token is invalid or expired' });
+    }
+
+    const tokens = await tokenService.issueTokens(user, req.ip, rotation.nextToken);
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens,
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Logout: revoke the given refresh token, or every session when allDevices is set
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    if (allDevices) {
+      const revoked = await tokenService.revokeAllForUser(req.user._id);
+      // Invalidate access tokens that are still within their expiry window
+      await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+      return res.json({ message: 'Logged out from all devices', revokedSessions: revoked });
+    }
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const stored = await tokenService.findActiveRefreshToken(refreshToken);
+    if (stored && String(stored.user) === String(req.user._id)) {
+      await tokenService.revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Current user
+router.get('/me', auth, (req, res) => {
+  res.json({ user: formatUserResponse(req.user) });
+});
+
+// Change own password; other sessions are signed out and a fresh token pair is returned
+router.put('/me/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+    if (String(newPassword).length < User.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${User.MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(String(currentPassword)))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = String(newPassword);
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await tokenService.revokeAllForUser(user._id);
+
+    const tokens = await tokenService.issueTokens(user, req.ip);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens,
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error during password change' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { resolveEventContext, loadEventContext, isValidEventId } = require('../services/eventContext');
+const { formatStudentResponse } = require('../services/studentResponse');
+const { CONFIG: FEED_CONFIG, fetchChanges } = require('../services/changeFeed');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to format a school for the feed
+const formatSchool = (school) => ({
+  _id: school._id,
+  name: school.name,
+  affNo: school.affNo,
+  coachName: school.coachName,
+  coachPhone: school.coachPhone,
+  event: school.event || null,
+  events: school.events || [],
+  groupPhoto: school.groupPhoto || null,
+  groupDescriptorsStatus: school.groupDescriptorsStatus || 'idle',
+  createdAt: school.createdAt,
+  updatedAt: school.updatedAt
+});
+
+// Records changed since a cursor. Call without `since` for a full load, then pass the returned
+// cursor on each poll; keep calling while hasMore is true. Deletions come back as tombstones.
+// A 410 with resetRequired means the cursor is too old and the client must reload from scratch.
+router.get('/', auth, async (req, res) => {
+  try {
+    const { since, schoolId, eventId } = req.query;
+
+    if (schoolId && !isValidObjectId(schoolId)) {
+      return res.status(400).json({ message: 'Invalid school ID format' });
+    }
+
+    const limit = Math.min(FEED_CONFIG.MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || FEED_CONFIG.DEFAULT_LIMIT));
+
+    // Student results are reported for the same event as GET /api/student
+    let context = null;
+    if (schoolId) {
+      context = await resolveEventContext(schoolId, eventId);
+    } else if (eventId) {
+      if (!isValidEventId(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      context = await loadEventContext(eventId);
+    }
+    if (context?.error) {
+      return res.status(context.error.status).json({ message: context.error.message });
+    }
+
+    const changes = await fetchChanges({ since, schoolId, limit });
+    if (changes.error) {
+      return res.status(changes.error.status).json({
+        message: changes.error.message,
+        resetRequired: !!changes.error.resetRequired
+      });
+    }
+
+    res.json({
+      students: changes.students.map(s => formatStudentResponse(s, context)),
+      schools: changes.schools.map(formatSchool),
+      deleted: changes.deleted.map(t => ({ kind: t.kind, _id: t.docId, school: t.school, deletedAt: t.deletedAt })),
+      cursor: changes.cursor,
+      hasMore: changes.hasMore,
+      serverTime: new Date()
+    });
+  } catch (err) {
+    console.error('Change feed error:', err);
+    res.status(500).json({ message: 'Failed to fetch changes', error: err.message });
+  }
+});
+
+module.exports = router;
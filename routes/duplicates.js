@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const Event = require('../models/Event');
+const { CONFIG, enqueueDuplicateScan } = require('../services/duplicateDetection');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to load a candidate with both students for review
+const findCandidate = (id) => DuplicateCandidate.findById(id)
+  .populate('studentA', 'name rollNumber registrationNo class school')
+  .populate('studentB', 'name rollNumber registrationNo class school')
+  .populate('schoolA', 'name')
+  .populate('schoolB', 'name')
+  .populate('reviewedBy', 'username role');
+
+router.use(auth, authorize('admin', 'coordinator'));
+
+// Start a duplicate-identity scan for an event (or across all students)
+router.post('/scan', async (req, res) => {
+  try {
+    const { eventId, threshold } = req.body;
+
+    if (eventId) {
+      if (!isValidObjectId(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      if (!(await Event.exists({ _id: eventId }))) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+    }
+
+    if (threshold !== undefined && (typeof threshold !== 'number' || threshold <= 0 || threshold >= 1)) {
+      return res.status(400).json({ message: 'threshold must be a number between 0 and 1' });
+    }
+
+    const job = await enqueueDuplicateScan({
+      eventId: eventId || null,
+      threshold: threshold || CONFIG.DUPLICATE_THRESHOLD,
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({ message: 'Duplicate scan queued', jobId: job._id, status: job.status });
+  } catch (err) {
+    console.error('Queue duplicate scan error:', err);
+    res.status(500).json({ message: 'Failed to queue duplicate scan', error: err.message });
+  }
+});
+
+// List suspected duplicates, closest pairs first
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'open', eventId, schoolId, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (status !== 'all') {
+      if (!DuplicateCandidate.STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${DuplicateCandidate.STATUSES.join(', ')}, all` });
+      }
+      query.status = status;
+    }
+
+    if (eventId) {
+      if (!isValidObjectId(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      query.event = eventId;
+    }
+
+    if (schoolId) {
+      if (!isValidObjectId(schoolId)) {
+        return res.status(400).json({ message: 'Invalid school ID format' });
+      }
+      query.$or = [{ schoolA: schoolId }, { schoolB: schoolId }];
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [candidates, totalCount] = await Promise.all([
+      DuplicateCandidate.find(query)
+        .populate('studentA', 'name rollNumber registrationNo')
+        .populate('studentB', 'name rollNumber registrationNo')
+        .populate('schoolA', 'name')
+        .populate('schoolB', 'name')
+        .sort({ distance: 1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      DuplicateCandidate.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      candidates,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('List duplicate candidates error:', err);
+    res.status(500).json({ message: 'Failed to fetch duplicate candidates', error: err.message });
+  }
+});
+
+// Get one suspected duplicate
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid candidate ID format' });
+    }
+
+    const candidate = await findCandidate(id);
+    if (!candidate) return res.status(404).json({ message: 'Duplicate candidate not found' });
+
+    res.json({ candidate });
+  } catch (err) {
+    console.error('Get duplicate candidate error:', err);
+    res.status(500).json({ message: 'Failed to fetch duplicate candidate', error: err.message });
+  }
+});
+
+// Helper function to build the review handlers; the latest review wins
+const reviewCandidate = (status, label) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid candidate ID format' });
+    }
+    if (status === 'resolved' && (!notes || !String(notes).trim())) {
+      return res.status(400).json({ message: 'notes describing how the duplicate was handled are required' });
+    }
+
+    const updated = await DuplicateCandidate.findByIdAndUpdate(id, {
+      status,
+      closedReason: null,
+      closedAt: null,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: notes ? String(notes).trim() : null
+    });
+    if (!updated) return res.status(404).json({ message: 'Duplicate candidate not found' });
+
+    res.json({ message: `Duplicate candidate ${label}`, candidate: await findCandidate(id) });
+  } catch (err) {
+    console.error(`Review duplicate candidate (${status}) error:`, err);
+    res.status(500).json({ message: 'Failed to update duplicate candidate', error: err.message });
+  }
+};
+
+// Confirmed duplicate that has been dealt with (e.g. an enrolment removed)
+router.post('/:id/resolve', reviewCandidate('resolved', 'resolved'));
+
+// Not the same person
+router.post('/:id/dismiss', reviewCandidate('dismissed', 'dismissed'));
+
+// Put a reviewed or stale pair back in the queue
+router.post('/:id/reopen', reviewCandidate('open', 'reopened'));
+
+module.exports = router;
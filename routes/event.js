@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Event = require('../models/Event');
+const School = require('../models/School');
+const { DEFAULT_SESSIONS } = require('../services/eventSchedule');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to normalise sessions from the request body; null unless every entry is an object
+const parseSessions = (sessions) => {
+  if (!Array.isArray(sessions)) return null;
+  if (sessions.some(s => !s || typeof s !== 'object' || Array.isArray(s))) return null;
+  return sessions.map(s => ({
+    key: String(s.key || '').trim(),
+    label: s.label ? String(s.label).trim() : undefined,
+    date: s.date ? new Date(s.date) : undefined
+  }));
+};
+
+// Helper function to format event response
+const formatEventResponse = (event, schoolCount) => ({
+  _id: event._id,
+  name: event.name,
+  description: event.description,
+  sessions: event.sessions,
+  isActive: event.isActive,
+  ...(schoolCount !== undefined && { schoolCount }),
+  createdAt: event.createdAt,
+  updatedAt: event.updatedAt
+});
+
+// List events
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const events = await Event.find(query).sort({ createdAt: -1 });
+    const counts = await School.aggregate([
+      { $match: { events: { $in: events.map(e => e._id) } } },
+      { $unwind: '$events' },
+      { $group: { _id: '$events', count: { $sum: 1 } } }
+    ]);
+    const idToCount = new Map(counts.map(row => [String(row._id), row.count]));
+
+    res.json({
+      events: events.map(e => formatEventResponse(e, idToCount.get(String(e._id)) || 0)),
+      defaultSessions: DEFAULT_SESSIONS
+    });
+  } catch (err) {
+    console.error('List events error:', err);
+    res.status(500).json({ message: 'Failed to fetch events', error: err.message });
+  }
+});
+
+// Create event with its session schedule
+router.post('/', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const sessions = parseSessions(req.body.sessions);
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Event name is required' });
+    }
+    if (!sessions || sessions.length === 0) {
+      return res.status(400).json({ message: 'sessions must be a non-empty array of { key, label, date } objects' });
+    }
+
+    const event = await Event.create({
+      name: String(name).trim(),
+      description,
+      sessions,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Event created successfully', event: formatEventResponse(event, 0) });
+  } catch (err) {
+    console.error('Create event error:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create event', error: err.message });
+  }
+});
+
+// Get event with its schools
+router.get('/:eventId', auth, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    if (!isValidObjectId(eventId)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+
+    const schools = await School.find({ events: eventId }).select('name affNo event').lean();
+
+    res.json({
+      event: formatEventResponse(event, schools.length),
+      schools: schools.map(s => ({ ...s, isCurrentEvent: String(s.event) === String(eventId) }))
+    });
+  } catch (err) {
+    console.error('Get event error:', err);
+    res.status(500).json({ message: 'Failed to fetch event', error: err.message });
+  }
+});
+
+// Update event details or schedule
+router.put('/:eventId', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { name, description, isActive } = req.body;
+    if (!isValidObjectId(eventId)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Event name cannot be empty' });
+      event.name = String(name).trim();
+    }
+    if (description !== undefined) event.description = description;
+    if (typeof isActive === 'boolean') event.isActive = isActive;
+    if (req.body.sessions !== undefined) {
+      const sessions = parseSessions(req.body.sessions);
+      if (!sessions) return res.status(400).json({ message: 'sessions must be an array of { key, label, date } objects' });
+      // Results recorded under a removed session key stay on the students but are no longer listed
+      event.sessions = sessions;
+    }
+
+    await event.save();
+
+    res.json({ message: 'Event updated successfully', event: formatEventResponse(event) });
+  } catch (err) {
+    console.error('Update event error:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update event', error: err.message });
+  }
+});
+
+// Enrol existing school rosters in an event; results for their other events are kept
+router.post('/:eventId/schools', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { schoolIds, makeCurrent = true } = req.body;
+    if (!isValidObjectId(eventId)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    if (!Array.isArray(schoolIds) || schoolIds.length === 0) {
+      return res.status(400).json({ message: 'schoolIds array is required' });
+    }
+    const invalidIds = schoolIds.filter(id => !isValidObjectId(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ message: 'Invalid school ID formats found', invalidIds });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+
+    const update = { $addToSet: { events: event._id } };
+    if (makeCurrent) update.$set = { event: event._id };
+    const result = await School.updateMany({ _id: { $in: schoolIds } }, update);
+
+    res.json({
+      message: `${result.modifiedCount} schools enrolled in ${event.name}`,
+      enrolled: result.modifiedCount,
+      madeCurrent: !!makeCurrent,
+      totalRequested: schoolIds.length
+    });
+  } catch (err) {
+    console.error('Enrol schools error:', err);
+    res.status(500).json({ message: 'Failed to enrol schools', error: err.message });
+  }
+});
+
+// Make an event the current one for a school it is already enrolled in
+router.post('/:eventId/schools/:schoolId/current', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { eventId, schoolId } = req.params;
+    if (!isValidObjectId(eventId) || !isValidObjectId(schoolId)) {
+      return res.status(400).json({ message: 'Invalid event or school ID format' });
+    }
+
+    const school = await School.findOneAndUpdate(
+      { _id: schoolId, events: eventId },
+      { event: eventId },
+      { new: true }
+    );
+    if (!school) {
+      return res.status(404).json({ message: 'School not found or not enrolled in this event' });
+    }
+
+    res.json({ message: `Current event updated for ${school.name}`, schoolId: school._id, currentEvent: school.event });
+  } catch (err) {
+    console.error('Set current event error:', err);
+    res.status(500).json({ message: 'Failed to set current event', error: err.message });
+  }
+});
+
+// Delete an event nobody is enrolled in; events with results should be deactivated instead
+router.delete('/:eventId', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    if (!isValidObjectId(eventId)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+
+    const enrolledCount = await School.countDocuments({ $or: [{ event: eventId }, { events: eventId }] });
+    if (enrolledCount > 0) {
+      return res.status(409).json({
+        message: 'Event has enrolled schools; set isActive to false to archive it instead',
+        enrolledSchoolsCount: enrolledCount
+      });
+    }
+
+    const event = await Event.findByIdAndDelete(eventId);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+
+    res.json({
+      message: 'Event deleted successfully',
+      eventName: event.name
+    });
+  } catch (err) {
+    console.error('Delete event error:', err);
+    res.status(500).json({ message: 'Failed to delete event', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Job = require('../models/Job');
+const { cancelJob, retryJob } = require('../services/jobQueue');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to format job response
+const formatJobResponse = (job, { includeLogs = false } = {}) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  payload: job.payload,
+  progress: job.progress,
+  progressMessage: job.progressMessage,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  cancelRequested: job.cancelRequested,
+  result: job.result,
+  hasFile: !!job.resultFile?.filename,
+  error: job.error,
+  createdBy: job.createdBy,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  ...(includeLogs && { logs: job.logs })
+});
+
+router.use(auth, authorize('admin', 'coordinator'));
+
+// List jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { type, status, schoolId, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (type) {
+      if (!Job.TYPES.includes(type)) {
+        return res.status(400).json({ message: `type must be one of: ${Job.TYPES.join(', ')}` });
+      }
+      query.type = type;
+    }
+
+    if (status) {
+      if (!Job.STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${Job.STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    if (schoolId) {
+      if (!isValidObjectId(schoolId)) {
+        return res.status(400).json({ message: 'Invalid school ID format' });
+      }
+      query['payload.schoolId'] = schoolId;
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [jobs, totalCount] = await Promise.all([
+      Job.find(query)
+        .select('-logs')
+        .populate('createdBy', 'username role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Job.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      jobs: jobs.map(job => formatJobResponse(job)),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('List jobs error:', err);
+    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
+  }
+});
+
+// Job details with progress and logs
+router.get('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await Job.findById(jobId).populate('createdBy', 'username role');
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    res.json({ job: formatJobResponse(job, { includeLogs: true }) });
+  } catch (err) {
+    console.error('Get job error:', err);
+    res.status(500).json({ message: 'Failed to fetch job', error: err.message });
+  }
+});
+
+// Download the file produced by a completed job
+router.get('/:jobId/download', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await Job.findById(jobId).select('+resultFile.data status resultFile.filename resultFile.contentType');
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+    if (job.status !== 'completed') {
+      return res.status(409).json({ message: `Job is ${job.status}; no file available yet`, status: job.status });
+    }
+    if (!job.resultFile?.data) {
+      return res.status(404).json({ message: 'This job did not produce a file' });
+    }
+
+    res.setHeader('Content-Type', job.resultFile.contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.resultFile.filename}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(job.resultFile.data);
+  } catch (err) {
+    console.error('Download job file error:', err);
+    res.status(500).json({ message: 'Failed to download job file', error: err.message });
+  }
+});
+
+// Cancel a queued or running job
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await cancelJob(jobId);
+    if (!job) {
+      const exists = await Job.exists({ _id: jobId });
+      return exists
+        ? res.status(409).json({ message: 'Only queued or running jobs can be cancelled' })
+        : res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json({
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: formatJobResponse(job)
+    });
+  } catch (err) {
+    console.error('Cancel job error:', err);
+    res.status(500).json({ message: 'Failed to cancel job', error: err.message });
+  }
+});
+
+// Retry a failed or cancelled job
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await retryJob(jobId);
+    if (!job) {
+      const exists = await Job.exists({ _id: jobId });
+      return exists
+        ? res.status(409).json({ message: 'Only failed or cancelled jobs can be retried' })
+        : res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json({ message: 'Job queued for retry', job: formatJobResponse(job) });
+  } catch (err) {
+    console.error('Retry job error:', err);
+    res.status(500).json({ message: 'Failed to retry job', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,36 @@ const express = require('express');
 const router = express.Router();
 const schoolController = require('../controllers/schoolController');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const upload = require('../middleware/upload');
 const School = require('../models/School');
 const Student = require('../models/Student');
 const XLSX = require('xlsx');
 const path = require('path');
-const cloudinary = require('../cloudinary');
-
-// Helper function to sanitize filename
-const sanitizeFilename = (filename) => {
-  return filename.replace(/[^a-zA-Z0-9\-_\.]/g, '_');
-};
+const { resolveSessionKey, getSessionResult } = require('../services/eventSchedule');
+const { resolveEventContext, statePath, getVerificationState } = require('../services/eventContext');
+const { enqueueGroupDescriptorJob } = require('../services/groupDescriptorJob');
+const { enqueueJob } = require('../services/jobQueue');
+const { removeSchoolFromIndex, updateSchoolGroupInIndex } = require('../services/descriptorIndex');
+const { storeGroupPhoto, readGroupPhoto } = require('../services/groupPhotos');
+const { collectPhotoAssets } = require('../services/studentPhotos');
+const { discardAssets } = require('../services/storage');
+const { recordDeletions } = require('../services/changeFeed');
+const {
+  CONFIG: GROUP_FACE_CONFIG,
+  alignGroupFaces,
+  parseClientFaces,
+  cropRegion,
+  cropGroupFace,
+  linkGroupFace,
+  unlinkGroupFace
+} = require('../services/groupFaces');
+const {
+  XLSX_CONTENT_TYPE,
+  formatVerificationStatus,
+  sanitizeFilename,
+  buildAllVerifiedExport
+} = require('../services/exportService');
 
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => {
@@ -23,6 +42,7 @@ const isValidObjectId = (id) => {
 router.post(
   '/add',
   auth,
+  authorize('admin', 'coordinator'),
   upload.fields([
     { name: 'xlsFile', maxCount: 1 },
     { name: 'groupPhoto', maxCount: 1 }
@@ -31,7 +51,9 @@ router.post(
 );
 
 // Replace group photo for a school
-router.post('/:schoolId/replace-group-photo', auth, upload.single('groupPhoto'), async (req, res) => {
+router.post('/:schoolId/replace-group-photo', auth, authorize('admin', 'coordinator'), upload.single('groupPhoto'), async (req, res) => {
+  // Group photo stored for a school that was not saved; nothing would reference it
+  let unsavedAsset = null;
   try {
     const { schoolId } = req.params;
     if (!isValidObjectId(schoolId)) {
@@ -45,31 +67,37 @@ router.post('/:schoolId/replace-group-photo', auth, upload.single('groupPhoto'),
     const school = await School.findById(schoolId);
     if (!school) return res.status(404).json({ message: 'School not found' });
 
-    // Upload new image to Cloudinary
-    const uploadResult = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream({ folder: 'group-photos', resource_type: 'image' }, (err, result) => {
-        if (err) return reject(err);
-        resolve(result);
-      });
-      stream.end(req.file.buffer);
-    });
+    // Store the new image
+    const asset = await storeGroupPhoto(req.file);
+    unsavedAsset = asset;
 
-    // Optionally: delete old Cloudinary image if needed (requires storing public_id)
-    // For now, only replace URL and clear any existing descriptors
-    school.groupPhoto = uploadResult.secure_url;
+    // Point the school at the new image and clear any existing descriptors; the old image is deleted once saved
+    const previousAsset = school.groupPhotoAsset;
+    school.groupPhoto = asset.url;
+    school.groupPhotoAsset = asset;
     school.groupDescriptors = [];
+    school.groupFaces = [];
+    school.groupPhotoSize = null;
     school.groupDescriptorsStatus = 'idle';
     school.groupDescriptorsError = null;
     school.groupDescriptorsUpdatedAt = null;
     await school.save();
+    unsavedAsset = null;
+    updateSchoolGroupInIndex(school._id, []);
+    await discardAssets(previousAsset);
+
+    // Extract descriptors for the new photo in the background
+    const queued = await enqueueGroupDescriptorJob(school._id, { createdBy: req.user._id });
 
     res.json({
       message: 'Group photo replaced successfully',
       groupPhoto: school.groupPhoto,
-      status: school.groupDescriptorsStatus
+      status: queued ? queued.groupDescriptorsStatus : school.groupDescriptorsStatus,
+      jobId: queued ? queued.groupDescriptorsJob : null
     });
   } catch (err) {
     console.error('Replace group photo error:', err);
+    await discardAssets(unsavedAsset);
     res.status(500).json({ message: 'Failed to replace group photo', error: err.message });
   }
 });
@@ -78,68 +106,37 @@ router.post('/:schoolId/replace-group-photo', auth, upload.single('groupPhoto'),
 router.get('/', auth, schoolController.getSchools);
 
 // Download verified profiles from all schools (must be before /:schoolId routes)
-router.get('/download/all-verified', auth, async (req, res) => {
+// With ?async=true the file is built by a background job and fetched from /api/jobs/:jobId/download
+router.get('/download/all-verified', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
-    console.log('Starting download of all verified profiles');
-    
-    // Get all schools and their verified students
-    const schools = await School.find();
-    const allVerifiedStudents = [];
-    
-    for (const school of schools) {
-      const students = await Student.find({ 
-        school: school._id,
-        verificationResult: { $in: ['success', 'manually_verified'] }
-      });
-      
-      // Add school info to each student
-      const studentsWithSchool = students.map(student => ({
-        'Name': student.name,
-        'Roll Number': student.rollNumber,
-        'Verification Status': student.verificationResult === 'success' ? 'Verified' : 'Manually Verified',
-        'School': school.name,
-        'Verification Date': student.manualVerificationDate || 
-          (student.updatedAt ? student.updatedAt.toISOString().split('T')[0] : new Date().toISOString().split('T')[0])
-      }));
-      
-      allVerifiedStudents.push(...studentsWithSchool);
+    const { eventId } = req.query;
+
+    if (eventId && !isValidObjectId(eventId)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
     }
-    
-    if (allVerifiedStudents.length === 0) {
+
+    if (req.query.async === 'true') {
+      const job = await enqueueJob('verified_export', { eventId: eventId || null }, { createdBy: req.user._id });
+      return res.status(202).json({ message: 'Export queued', jobId: job._id, status: job.status });
+    }
+
+    console.log('Starting download of all verified profiles');
+    const exported = await buildAllVerifiedExport({ eventId });
+
+    if (!exported.buffer) {
       return res.status(404).json({ 
         message: 'No verified students found across all schools',
-        totalSchools: schools.length 
+        totalSchools: exported.schoolCount 
       });
     }
     
-    // Create workbook and worksheet
-    const workbook = XLSX.utils.book_new();
-    const worksheet = XLSX.utils.json_to_sheet(allVerifiedStudents);
-    
-    // Auto-size columns
-    const colWidths = [
-      { wch: 25 }, // Name
-      { wch: 15 }, // Roll Number
-      { wch: 20 }, // Verification Status
-      { wch: 30 }, // School
-      { wch: 15 }  // Verification Date
-    ];
-    worksheet['!cols'] = colWidths;
-    
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'All Verified Profiles');
-    
     // Set headers for file download
-    const filename = sanitizeFilename(`all_verified_profiles_${new Date().toISOString().split('T')[0]}.xlsx`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
     res.setHeader('Cache-Control', 'no-cache');
+    res.send(exported.buffer);
     
-    // Convert to buffer and send
-    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
-    res.send(buffer);
-    
-    console.log(`Downloaded ${allVerifiedStudents.length} verified profiles from ${schools.length} schools`);
+    console.log(`Downloaded ${exported.rowCount} verified profiles from ${exported.schoolCount} schools`);
   } catch (err) {
     console.error('Download all verified profiles error:', err);
     res.status(500).json({ 
@@ -149,35 +146,226 @@ router.get('/download/all-verified', auth, async (req, res) => {
   }
 });
 
-// Client-computed descriptors save endpoint
-router.post('/:schoolId/group-descriptors', auth, async (req, res) => {
+// Client-computed descriptors save endpoint (kept for older clients; the server extracts them itself)
+// Accepts `faces: [{ descriptor, box, score, landmarkCount }]` with optional `photoSize: { width, height }`,
+// or a bare `descriptors` array from clients that send no geometry
+router.post('/:schoolId/group-descriptors', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { schoolId } = req.params;
-    const { descriptors } = req.body;
+    const { descriptors, faces, photoSize } = req.body;
 
     if (!isValidObjectId(schoolId)) {
       return res.status(400).json({ message: 'Invalid school ID format' });
     }
-    if (!Array.isArray(descriptors) || descriptors.length === 0) {
-      return res.status(400).json({ message: 'Descriptors array is required' });
+
+    let parsed;
+    if (Array.isArray(faces) && faces.length > 0) {
+      parsed = parseClientFaces(faces);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+    } else if (Array.isArray(descriptors) && descriptors.length > 0) {
+      // No geometry: faces can still be linked, but not cropped
+      parsed = { descriptors, groupFaces: descriptors.map(() => ({})) };
+    } else {
+      return res.status(400).json({ message: 'faces or descriptors array is required' });
     }
 
+    const validPhotoSize = photoSize && Number.isInteger(photoSize.width) && Number.isInteger(photoSize.height) &&
+      photoSize.width > 0 && photoSize.height > 0;
+
     const school = await School.findById(schoolId);
     if (!school) return res.status(404).json({ message: 'School not found' });
 
-    school.groupDescriptors = descriptors;
+    school.groupDescriptors = parsed.descriptors;
+    school.groupFaces = parsed.groupFaces;
+    school.groupPhotoSize = validPhotoSize ? { width: photoSize.width, height: photoSize.height } : null;
     school.groupDescriptorsStatus = 'ready';
     school.groupDescriptorsError = null;
     school.groupDescriptorsUpdatedAt = new Date();
+    // Any queued server-side extraction is no longer needed
+    school.groupDescriptorsJob = null;
     await school.save();
+    updateSchoolGroupInIndex(school._id, school.groupDescriptors, school.groupFaces);
 
-    res.json({ message: `Saved ${descriptors.length} descriptors`, descriptorsCount: descriptors.length });
+    const count = parsed.descriptors.length;
+    res.json({ message: `Saved ${count} descriptors`, descriptorsCount: count });
   } catch (err) {
     console.error('Save group descriptors error:', err);
     res.status(500).json({ message: 'Failed to save descriptors', error: err.message });
   }
 });
 
+// Helper function to load a school and validate a group face index from the URL
+async function loadGroupFace(req, res) {
+  const { schoolId, faceIndex } = req.params;
+  if (!isValidObjectId(schoolId)) {
+    res.status(400).json({ message: 'Invalid school ID format' });
+    return null;
+  }
+
+  const school = await School.findById(schoolId);
+  if (!school) {
+    res.status(404).json({ message: 'School not found' });
+    return null;
+  }
+
+  const index = Number(faceIndex);
+  const count = (school.groupDescriptors || []).length;
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    res.status(404).json({ message: `Group face ${faceIndex} not found (school has ${count} faces)` });
+    return null;
+  }
+
+  return { school, index };
+}
+
+// Helper function to shape a group face for review screens
+const formatGroupFace = (face, index, school, studentsById) => ({
+  index,
+  box: face.box || null,
+  score: face.score ?? null,
+  landmarkCount: face.landmarkCount ?? null,
+  crop: face.box && school.groupPhotoSize ? cropRegion(face.box, school.groupPhotoSize) : null,
+  thumbnailUrl: face.box ? `/api/school/${school._id}/group-faces/${index}/thumbnail` : null,
+  student: face.student ? (studentsById.get(String(face.student)) || { _id: face.student }) : null,
+  linkedBy: face.linkedBy || null,
+  linkedAt: face.linkedAt || null
+});
+
+// List the faces detected in the group photo with their boxes and linked students
+// With ?includeCrops=true each face also carries a JPEG crop as a data URL
+router.get('/:schoolId/group-faces', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+    if (!isValidObjectId(schoolId)) {
+      return res.status(400).json({ message: 'Invalid school ID format' });
+    }
+
+    const school = await School.findById(schoolId);
+    if (!school) return res.status(404).json({ message: 'School not found' });
+    alignGroupFaces(school);
+
+    const students = await Student.find({ school: schoolId }).select('name rollNumber registrationNo').lean();
+    const studentsById = new Map(students.map(st => [String(st._id), st]));
+    const faces = school.groupFaces.map((face, index) => formatGroupFace(face, index, school, studentsById));
+
+    if (req.query.includeCrops === 'true' && school.groupPhoto && faces.some(f => f.box)) {
+      const photo = await readGroupPhoto(school);
+      for (const face of faces) {
+        const crop = face.box ? await cropGroupFace(photo, face.box) : null;
+        face.cropImage = crop ? `data:image/jpeg;base64,${crop.toString('base64')}` : null;
+      }
+    }
+
+    const linkedIds = new Set(faces.filter(f => f.student).map(f => String(f.student._id)));
+
+    res.json({
+      schoolId: school._id,
+      groupPhoto: school.groupPhoto || null,
+      photoSize: school.groupPhotoSize || null,
+      groupDescriptorsStatus: school.groupDescriptorsStatus || 'idle',
+      // e.g. 18 faces detected for a roster of 20
+      facesDetected: faces.length,
+      studentCount: students.length,
+      faces,
+      linkedCount: linkedIds.size,
+      unlinkedStudents: students.filter(st => !linkedIds.has(String(st._id)))
+    });
+  } catch (err) {
+    console.error('Get group faces error:', err);
+    res.status(500).json({ message: 'Failed to fetch group faces', error: err.message });
+  }
+});
+
+// Cropped thumbnail of one group-photo face (JPEG); ?size= sets the square edge in pixels
+router.get('/:schoolId/group-faces/:faceIndex/thumbnail', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const loaded = await loadGroupFace(req, res);
+    if (!loaded) return;
+    const { school, index } = loaded;
+
+    const face = (school.groupFaces || [])[index];
+    if (!face || !face.box) {
+      return res.status(404).json({ message: `No bounding box stored for group face ${index}` });
+    }
+    if (!school.groupPhoto) {
+      return res.status(404).json({ message: 'School has no group photo' });
+    }
+
+    const size = Math.min(
+      GROUP_FACE_CONFIG.MAX_THUMBNAIL_SIZE,
+      Math.max(GROUP_FACE_CONFIG.MIN_THUMBNAIL_SIZE, parseInt(req.query.size) || GROUP_FACE_CONFIG.CROP_SIZE)
+    );
+
+    const photo = await readGroupPhoto(school);
+    const thumbnail = await cropGroupFace(photo, face.box, size);
+    if (!thumbnail) {
+      return res.status(422).json({ message: `Bounding box of group face ${index} lies outside the photo` });
+    }
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(thumbnail);
+  } catch (err) {
+    console.error('Group face thumbnail error:', err);
+    res.status(500).json({ message: 'Failed to create face thumbnail', error: err.message });
+  }
+});
+
+// Link a group-photo face to a student; the face becomes one of the student's reference samples
+router.post('/:schoolId/group-faces/:faceIndex/link', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const loaded = await loadGroupFace(req, res);
+    if (!loaded) return;
+    const { school, index } = loaded;
+    const { studentId } = req.body;
+
+    if (!isValidObjectId(studentId)) {
+      return res.status(400).json({ message: 'Valid studentId is required' });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+    if (String(student.school) !== String(school._id)) {
+      return res.status(400).json({ message: 'Student does not belong to this school' });
+    }
+
+    const face = await linkGroupFace(school, index, student, req.user);
+
+    res.json({
+      message: `Group face ${index} linked to ${student.name}`,
+      face: formatGroupFace(face, index, school, new Map([[String(student._id), {
+        _id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        registrationNo: student.registrationNo
+      }]])),
+      referenceId: face.reference,
+      referenceCount: student.referenceDescriptors.length
+    });
+  } catch (err) {
+    console.error('Link group face error:', err);
+    res.status(500).json({ message: 'Failed to link group face', error: err.message });
+  }
+});
+
+// Remove a face-to-student link and the reference sample it created
+router.delete('/:schoolId/group-faces/:faceIndex/link', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const loaded = await loadGroupFace(req, res);
+    if (!loaded) return;
+    const { school, index } = loaded;
+
+    if (!(await unlinkGroupFace(school, index))) {
+      return res.status(404).json({ message: `Group face ${index} is not linked to a student` });
+    }
+
+    res.json({ message: `Group face ${index} unlinked` });
+  } catch (err) {
+    console.error('Unlink group face error:', err);
+    res.status(500).json({ message: 'Failed to unlink group face', error: err.message });
+  }
+});
+
 // Get students by school
 router.get('/:schoolId/students', auth, async (req, res) => {
   try {
@@ -195,7 +383,7 @@ router.get('/:schoolId/students', auth, async (req, res) => {
 });
 
 // Download verified profiles as XLSX for specific school
-router.get('/:schoolId/download', auth, async (req, res) => {
+router.get('/:schoolId/download', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { schoolId } = req.params;
     
@@ -208,6 +396,9 @@ router.get('/:schoolId/download', auth, async (req, res) => {
     if (!school) {
       return res.status(404).json({ message: 'School not found' });
     }
+
+    const context = await resolveEventContext(school, req.query.eventId);
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
     
     const students = await Student.find({ school: schoolId });
     
@@ -225,9 +416,7 @@ router.get('/:schoolId/download', auth, async (req, res) => {
       'Class': student.class || 'N/A',
       'DOB': student.dob ? new Date(student.dob).toLocaleDateString() : 'N/A',
       'Age Group': student.ageGroup || 'N/A',
-      'Verification Status': student.verificationResult === 'success' ? 'Verified' : 
-                           student.verificationResult === 'manually_verified' ? 'Manually Verified' :
-                           student.verificationResult === 'failed' ? 'Failed' : 'Pending',
+      'Verification Status': formatVerificationStatus(getVerificationState(student, context.eventId)?.verificationResult),
       'School': school.name,
       'Last Updated': student.updatedAt ? student.updatedAt.toISOString().split('T')[0] : 'N/A'
     }));
@@ -253,7 +442,8 @@ router.get('/:schoolId/download', auth, async (req, res) => {
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Student Profiles');
     
     // Set headers for file download
-    const filename = sanitizeFilename(`${school.name}_all_profiles_${new Date().toISOString().split('T')[0]}.xlsx`);
+    const eventPrefix = context.event ? `${context.event.name}_` : '';
+    const filename = sanitizeFilename(`${school.name}_${eventPrefix}all_profiles_${new Date().toISOString().split('T')[0]}.xlsx`);
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Cache-Control', 'no-cache');
@@ -273,10 +463,10 @@ router.get('/:schoolId/download', auth, async (req, res) => {
 });
 
 // Download only verified profiles for current school
-router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
+router.get('/:schoolId/download/verified-only', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { schoolId } = req.params;
-    const { dayNumber } = req.query;
+    const { dayNumber, eventId } = req.query;
     
     if (!isValidObjectId(schoolId)) {
       return res.status(400).json({ message: 'Invalid school ID format' });
@@ -288,21 +478,30 @@ router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
       return res.status(404).json({ message: 'School not found' });
     }
 
+    const context = await resolveEventContext(school, eventId);
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const { sessions } = context;
+    const dayKey = dayNumber ? resolveSessionKey(dayNumber, sessions) : null;
+    if (dayNumber && !dayKey) {
+      return res.status(400).json({
+        message: 'Unknown session for this event',
+        sessions: sessions.map(s => s.key)
+      });
+    }
+
     let verifiedStudents = [];
-    const parsedDay = dayNumber ? parseInt(dayNumber, 10) : null;
-    if (parsedDay && parsedDay >= 1 && parsedDay <= 6) {
-      const dayKey = `day${parsedDay}`;
+    if (dayKey) {
       // Filter by day-specific verification success
       const query = {
         school: schoolId,
-        [`dayVerification.${dayKey}.result`]: { $in: ['success', 'manually_verified'] }
+        [statePath(context.eventId, `dayVerification.${dayKey}.result`)]: { $in: ['success', 'manually_verified'] }
       };
       verifiedStudents = await Student.find(query);
     } else {
       // Fallback to overall verification status
       verifiedStudents = await Student.find({ 
         school: schoolId,
-        verificationResult: { $in: ['success', 'manually_verified'] }
+        [statePath(context.eventId, 'verificationResult')]: { $in: ['success', 'manually_verified'] }
       });
     }
     
@@ -315,6 +514,7 @@ router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
     
     // Create data for Excel
     const excelData = verifiedStudents.map(student => {
+      const state = getVerificationState(student, context.eventId);
       const row = {
         'Name': student.name,
         'Roll Number': student.rollNumber,
@@ -324,14 +524,14 @@ router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
         'Age Group': student.ageGroup || 'N/A',
         'School': school.name
       };
-      if (parsedDay && parsedDay >= 1 && parsedDay <= 6) {
-        const dayKey = `day${parsedDay}`;
+      if (dayKey) {
+        const entry = getSessionResult(state, dayKey);
         row['Day'] = dayKey.toUpperCase();
-        row['Day Result'] = student.dayVerification?.[dayKey]?.result || '';
-        row['Day Date'] = student.dayVerification?.[dayKey]?.date ? new Date(student.dayVerification[dayKey].date).toISOString().split('T')[0] : '';
+        row['Day Result'] = entry?.result || '';
+        row['Day Date'] = entry?.date ? new Date(entry.date).toISOString().split('T')[0] : '';
       } else {
-        row['Verification Status'] = student.verificationResult === 'success' ? 'Verified' : 'Manually Verified';
-        row['Verification Date'] = student.manualVerificationDate || 
+        row['Verification Status'] = formatVerificationStatus(state.verificationResult);
+        row['Verification Date'] = state.manualVerificationDate || 
           (student.updatedAt ? student.updatedAt.toISOString().split('T')[0] : new Date().toISOString().split('T')[0]);
       }
       return row;
@@ -358,10 +558,11 @@ router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Verified Profiles Only');
     
     // Set headers for file download
+    const eventPrefix = context.event ? `${context.event.name}_` : '';
     const filename = sanitizeFilename(
-      parsedDay && parsedDay >= 1 && parsedDay <= 6
-        ? `${school.name}_verified_only_day_${parsedDay}_${new Date().toISOString().split('T')[0]}.xlsx`
-        : `${school.name}_verified_only_${new Date().toISOString().split('T')[0]}.xlsx`
+      dayKey
+        ? `${school.name}_${eventPrefix}verified_only_${dayKey}_${new Date().toISOString().split('T')[0]}.xlsx`
+        : `${school.name}_${eventPrefix}verified_only_${new Date().toISOString().split('T')[0]}.xlsx`
     );
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -382,7 +583,7 @@ router.get('/:schoolId/download/verified-only', auth, async (req, res) => {
 });
 
 // Regenerate group descriptors for a school
-router.post('/:schoolId/regenerate-descriptors', auth, async (req, res) => {
+router.post('/:schoolId/regenerate-descriptors', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { schoolId } = req.params;
     
@@ -407,18 +608,21 @@ router.get('/:schoolId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid school ID format' });
     }
     
-    const school = await School.findById(schoolId);
+    const school = await School.findById(schoolId).populate('events', 'name isActive');
     console.log('Found school:', school ? school.name : 'None');
     
     if (!school) {
       return res.status(404).json({ message: 'School not found' });
     }
     
+    const context = await resolveEventContext(school, req.query.eventId);
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+
     // Get student count for this school
     const studentCount = await Student.countDocuments({ school: schoolId });
     const verifiedCount = await Student.countDocuments({ 
       school: schoolId, 
-      verificationResult: { $in: ['success', 'manually_verified'] } 
+      [statePath(context.eventId, 'verificationResult')]: { $in: ['success', 'manually_verified'] } 
     });
     
     res.json({
@@ -427,11 +631,17 @@ router.get('/:schoolId', auth, async (req, res) => {
       affNo: school.affNo,
       coachName: school.coachName || null,
       coachPhone: school.coachPhone || null,
+      event: context.event ? { _id: context.event._id, name: context.event.name } : null,
+      currentEvent: school.event || null,
+      events: school.events || [],
+      sessions: context.sessions,
       groupPhoto: school.groupPhoto,
       hasGroupDescriptors: school.groupDescriptors && school.groupDescriptors.length > 0,
       descriptorsCount: school.groupDescriptors ? school.groupDescriptors.length : 0,
+      linkedFacesCount: (school.groupFaces || []).filter(f => f.student).length,
       groupDescriptorsStatus: school.groupDescriptorsStatus || 'idle',
       groupDescriptorsUpdatedAt: school.groupDescriptorsUpdatedAt || null,
+      groupDescriptorsJob: school.groupDescriptorsJob || null,
       groupDescriptorsError: school.groupDescriptorsError || null,
       studentCount: studentCount,
       verifiedCount: verifiedCount,
@@ -448,7 +658,7 @@ router.get('/:schoolId', auth, async (req, res) => {
 });
 
 // Delete school and all its students
-router.delete('/:schoolId', auth, async (req, res) => {
+router.delete('/:schoolId', auth, authorize('admin'), async (req, res) => {
   try {
     const { schoolId } = req.params;
     
@@ -462,14 +672,21 @@ router.delete('/:schoolId', auth, async (req, res) => {
       return res.status(404).json({ message: 'School not found' });
     }
     
-    // Get count of students to be deleted
-    const studentCount = await Student.countDocuments({ school: schoolId });
+    // Stored photos of the students to be deleted
+    const students = await Student.find({ school: schoolId }).select('school day1PhotoAsset eventResults');
+    const studentCount = students.length;
     
     // Delete all students associated with this school
     const deletedStudents = await Student.deleteMany({ school: schoolId });
     
     // Delete the school
     await School.findByIdAndDelete(schoolId);
+    removeSchoolFromIndex(schoolId);
+    await recordDeletions('student', students, req.user);
+    await recordDeletions('school', school, req.user);
+
+    // Delete the group photo and student photos from storage
+    await discardAssets([school.groupPhotoAsset, ...students.flatMap(collectPhotoAssets)]);
     
     console.log(`Deleted school: ${school.name} with ${studentCount} students`);
     
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const mime = require('mime-types');
+const localBackend = require('../services/storage/localBackend');
+
+// Serve a file of the local storage backend through a signed URL (see getSignedUrl in services/storage).
+// The signature stands in for the API token, so clients can use these URLs directly in <img> tags.
+router.get('/local/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!localBackend.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired signed URL' });
+    }
+
+    const buffer = await localBackend.get(key);
+    const maxAge = Math.max(0, parseInt(expires, 10) - Math.floor(Date.now() / 1000));
+    res.setHeader('Content-Type', mime.lookup(key) || 'application/octet-stream');
+    res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+    res.send(buffer);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    console.error('Signed storage download error:', err);
+    res.status(500).json({ message: 'Failed to fetch file', error: err.message });
+  }
+});
+
+module.exports = router;
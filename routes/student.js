@@ -1,43 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const Student = require('../models/Student');
 const School = require('../models/School');
+const StudentAuditLog = require('../models/StudentAuditLog');
+const { snapshotStudentState, recordStudentAudit, recordStudentAudits } = require('../services/auditService');
+const {
+  resolveSessionKey,
+  getReferenceSessionKey,
+  getSessionResult,
+  setSessionResult
+} = require('../services/eventSchedule');
+const {
+  resolveEventContext,
+  loadEventContext,
+  isValidEventId,
+  statePath,
+  getVerificationState
+} = require('../services/eventContext');
+const {
+  getReferenceDescriptors,
+  addReferenceDescriptor,
+  removeReferenceDescriptor,
+  clearReferenceDescriptors
+} = require('../services/referenceDescriptors');
+const { extractDescriptorFromBase64, InvalidImageError } = require('../services/faceRecognition');
+const { resolveDescriptor } = require('../services/descriptorPolicy');
+const { CONFIG: QUALITY_CONFIG } = require('../services/faceQuality');
+const { updateStudentInIndex, removeStudentFromIndex } = require('../services/descriptorIndex');
+const { clearStudentGroupFaceLinks } = require('../services/groupFaces');
+const {
+  hasDay1Photo,
+  storeDay1Photo,
+  removeDay1Photo,
+  readDay1Photo,
+  collectPhotoAssets
+} = require('../services/studentPhotos');
+const { discardAssets } = require('../services/storage');
+const { formatStudentResponse } = require('../services/studentResponse');
+const { recordDeletions } = require('../services/changeFeed');
 const XLSX = require('xlsx');
-const faceapi = require('face-api.js');
-const canvas = require('canvas');
-const { Canvas, Image, ImageData } = canvas;
-faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
 
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
-// Helper function to format student response
-const formatStudentResponse = (student) => {
-  return {
-    _id: student._id,
-    name: student.name,
-    registrationNo: student.registrationNo,
-    rollNumber: student.rollNumber,
-    class: student.class,
-    dob: student.dob,
-    ageGroup: student.ageGroup,
-    school: student.school,
-    verified: student.verified,
-    verificationResult: student.verificationResult,
-    manuallyVerified: student.manuallyVerified,
-    manualVerificationDate: student.manualVerificationDate,
-    faceDescriptors: student.faceDescriptors ? student.faceDescriptors.length : 0,
-    day1Photo: student.day1Photo,
-    dayVerification: student.dayVerification,
-    hasFaceDescriptor: Array.isArray(student.faceDescriptor) && student.faceDescriptor.length > 0,
-    createdAt: student.createdAt,
-    updatedAt: student.updatedAt
-  };
-};
-
 // Get all students with optional filters
 router.get('/', auth, async (req, res) => {
   try {
@@ -49,7 +58,8 @@ router.get('/', auth, async (req, res) => {
       limit = 50,
       sortBy = 'name',
       sortOrder = 'asc',
-      day
+      day,
+      eventId
     } = req.query;
 
     // Build query
@@ -62,13 +72,29 @@ router.get('/', auth, async (req, res) => {
       query.school = schoolId;
     }
 
+    // Event whose results are reported: the school's (current or requested) event, or an explicit
+    // eventId across schools; without either the default-programme fields are used
+    let context = null;
+    if (schoolId) {
+      context = await resolveEventContext(schoolId, eventId);
+    } else if (eventId) {
+      if (!isValidEventId(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      context = await loadEventContext(eventId);
+    }
+    if (context?.error) {
+      return res.status(context.error.status).json({ message: context.error.message });
+    }
+    const resultPath = statePath(context?.eventId, 'verificationResult');
+
     if (verificationStatus) {
       if (verificationStatus === 'verified') {
-        query.verificationResult = { $in: ['success', 'manually_verified'] };
+        query[resultPath] = { $in: ['success', 'manually_verified'] };
       } else if (verificationStatus === 'pending') {
-        query.verificationResult = { $in: ['pending', null] };
+        query[resultPath] = { $in: ['pending', null] };
       } else if (verificationStatus === 'failed') {
-        query.verificationResult = 'failed';
+        query[resultPath] = 'failed';
       }
     }
 
@@ -87,7 +113,9 @@ router.get('/', auth, async (req, res) => {
 
     // Build sort object
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const stateFields = ['verified', 'verificationResult', 'manuallyVerified', 'manualVerificationDate'];
+    const sortField = stateFields.includes(sortBy) ? statePath(context?.eventId, sortBy) : sortBy;
+    sort[sortField] = sortOrder === 'desc' ? -1 : 1;
 
     // Execute query with pagination
     const [students, totalCount] = await Promise.all([
@@ -101,14 +129,20 @@ router.get('/', auth, async (req, res) => {
 
     const totalPages = Math.ceil(totalCount / limitNum);
 
+    // Sessions are only known within an event context; otherwise accept any well-formed key
+    const sessionKey = context
+      ? resolveSessionKey(day, context.sessions)
+      : (day && /^[A-Za-z0-9_-]{1,32}$/.test(day) ? day : null);
+
     // If day filter is specified, project day-specific view
     const projected = students.map((s) => {
-      const obj = formatStudentResponse(s);
-      if (day && /^day[1-6]$/.test(day)) {
-        obj.day = day;
-        obj.dayResult = s.dayVerification?.[day]?.result || 'pending';
-        obj.dayConfidence = s.dayVerification?.[day]?.confidence || null;
-        obj.dayDate = s.dayVerification?.[day]?.date || null;
+      const obj = formatStudentResponse(s, context);
+      if (sessionKey) {
+        const entry = getSessionResult(getVerificationState(s, context?.eventId), sessionKey);
+        obj.day = sessionKey;
+        obj.dayResult = entry?.result || 'pending';
+        obj.dayConfidence = entry?.confidence || null;
+        obj.dayDate = entry?.date || null;
       }
       return obj;
     });
@@ -122,8 +156,10 @@ router.get('/', auth, async (req, res) => {
         hasNextPage: pageNum < totalPages,
         hasPreviousPage: pageNum > 1
       },
+      ...(context && { event: context.eventId, sessions: context.sessions }),
       filters: {
         schoolId,
+        eventId,
         verificationStatus,
         search,
         sortBy,
@@ -141,92 +177,195 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Save per-student descriptor from base64 (Day 1)
-router.post('/:id/save-descriptor', auth, async (req, res) => {
+// Helper function to get an enrolment descriptor under the descriptor policy and apply the quality gate.
+// The photo becomes a reference image, so it is quality-checked even when a trusted descriptor is sent;
+// with the gate on, a descriptor without its photo is refused, as there would be nothing to check.
+// Returns { descriptor, extraction } or { error: { status, body } } naming every failed check.
+async function resolveEnrolmentDescriptor({ photo, descriptor }) {
+  if (QUALITY_CONFIG.ENROLMENT_GATE && !photo) {
+    return { error: { status: 400, body: { message: 'A photo is required for enrolment so its quality can be checked' } } };
+  }
+
+  const resolved = await resolveDescriptor({ descriptor, image: photo, extract: extractDescriptorFromBase64 });
+  if (resolved?.error) {
+    const { status, message, crossCheckDistance } = resolved.error;
+    return { error: { status, body: { message, ...(crossCheckDistance !== undefined && { crossCheckDistance }) } } };
+  }
+
+  const extraction = resolved ? resolved.extraction || (photo ? await extractDescriptorFromBase64(photo) : null) : null;
+  if (!resolved || (photo && !extraction)) {
+    return { error: { status: 400, body: { message: 'No face detected in the photo' } } };
+  }
+  if (QUALITY_CONFIG.ENROLMENT_GATE && extraction && !extraction.quality.passed) {
+    return {
+      error: {
+        status: 422,
+        body: {
+          message: 'Photo quality is too low for enrolment',
+          reasons: extraction.quality.reasons,
+          quality: extraction.quality
+        }
+      }
+    };
+  }
+  return { descriptor: resolved.descriptor, extraction };
+}
+
+// Save per-student descriptor from base64 (enrolment session, normally Day 1)
+router.post('/:id/save-descriptor', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  // Photo uploaded for a student that was not saved; nothing would reference it
+  let storedPhoto = null;
   try {
     const { id } = req.params;
-    const { photo, descriptor } = req.body;
+    const { photo, descriptor, eventId, replace } = req.body;
     if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid student ID format' });
     if (!photo && !descriptor) return res.status(400).json({ message: 'photo (base64) or descriptor is required' });
 
     const student = await Student.findById(id);
     if (!student) return res.status(404).json({ message: 'Student not found' });
-    if (descriptor && Array.isArray(descriptor)) {
-      student.faceDescriptor = descriptor.map(Number);
-    } else {
-      // Compute from photo if descriptor not provided
-      await faceapi.nets.tinyFaceDetector.loadFromDisk('./models/face_models');
-      await faceapi.nets.faceLandmark68Net.loadFromDisk('./models/face_models');
-      await faceapi.nets.faceRecognitionNet.loadFromDisk('./models/face_models');
-      const buffer = Buffer.from(photo.replace(/^data:image\/\w+;base64,/, ''), 'base64');
-      const img = await canvas.loadImage(buffer);
-      const detection = await faceapi
-        .detectSingleFace(img, new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.3 }))
-        .withFaceLandmarks()
-        .withFaceDescriptor();
-      if (!detection) return res.status(400).json({ message: 'No face detected in the photo' });
-      student.faceDescriptor = Array.from(detection.descriptor);
-    }
-    if (photo && !student.day1Photo) student.day1Photo = photo;
-    student.dayVerification = student.dayVerification || {};
-    if (!student.dayVerification.day1) student.dayVerification.day1 = {};
-    student.dayVerification.day1.result = 'success';
-    student.dayVerification.day1.date = new Date();
+
+    const context = await resolveEventContext(student.school, eventId, { forWrite: true });
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const enrolment = await resolveEnrolmentDescriptor({ photo, descriptor });
+    if (enrolment.error) return res.status(enrolment.error.status).json(enrolment.error.body);
+    const enrolledDescriptor = enrolment.descriptor;
+    const detectionScore = enrolment.extraction ? enrolment.extraction.confidence : null;
+    const quality = enrolment.extraction ? enrolment.extraction.quality : null;
+
+    // Each enrolment photo adds a reference sample; replace starts the set over
+    if (replace === true) clearReferenceDescriptors(student);
+    const reference = addReferenceDescriptor(student, {
+      descriptor: enrolledDescriptor,
+      source: 'enrolment',
+      event: context.eventId,
+      session: getReferenceSessionKey(context.sessions),
+      confidence: detectionScore !== null ? parseFloat(detectionScore.toFixed(2)) : null,
+      quality: quality ? quality.score : null,
+      addedBy: req.user._id
+    });
+
+    const state = getVerificationState(student, context.eventId, { create: true });
+    let replacedPhoto = null;
+    if (photo && !hasDay1Photo(state)) {
+      replacedPhoto = await storeDay1Photo(student, state, photo);
+      storedPhoto = state.day1PhotoAsset;
+    }
+    const referenceKey = getReferenceSessionKey(context.sessions);
+    setSessionResult(state, referenceKey, {
+      ...(getSessionResult(state, referenceKey)?.toObject?.() || {}),
+      result: 'success',
+      date: new Date()
+    });
     await student.save();
+    storedPhoto = null;
+    await discardAssets(replacedPhoto);
+    updateStudentInIndex(student);
+    // Replaced samples include any taken from the group photo
+    if (replace === true) await clearStudentGroupFaceLinks(student._id);
 
-    res.json({ message: 'Descriptor saved', hasFaceDescriptor: true });
+    res.json({
+      message: 'Descriptor saved',
+      hasFaceDescriptor: true,
+      referenceId: reference._id,
+      referenceCount: student.referenceDescriptors.length,
+      quality
+    });
   } catch (err) {
     console.error('Save descriptor error:', err);
+    await discardAssets(storedPhoto);
+    if (err instanceof InvalidImageError) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Failed to save descriptor', error: err.message });
   }
 });
 
-// Day result update (when verifying on Day N)
-router.post('/:id/day/:dayNumber/result', auth, async (req, res) => {
+// Results a session can be set to directly; manually_verified is for admins and coordinators only
+const DAY_RESULTS = ['success', 'failed', 'pending', 'manually_verified'];
+
+// Day result update (when verifying on Day N); dayNumber may be a number or any session key of the event
+router.post('/:id/day/:dayNumber/result', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
+  // Photo uploaded for a student that was not saved; nothing would reference it
+  let storedPhoto = null;
   try {
     const { id, dayNumber } = req.params;
-    const { result, confidence, photo } = req.body; // photo optional, only stored on day1
+    const { result, confidence, photo, eventId } = req.body; // photo optional, only stored on the enrolment session
 
     if (!isValidObjectId(id)) {
       return res.status(400).json({ message: 'Invalid student ID format' });
     }
-    const dayKey = `day${parseInt(dayNumber, 10)}`;
-    if (!/^day[1-6]$/.test(dayKey)) {
-      return res.status(400).json({ message: 'dayNumber must be 1-6' });
+    if (result !== undefined && result !== null && !DAY_RESULTS.includes(result)) {
+      return res.status(400).json({ message: `result must be one of: ${DAY_RESULTS.join(', ')}` });
+    }
+    // Manual verification stays with the roles allowed on /:id/manual-verify, and is audited the same way
+    const manual = result === 'manually_verified';
+    if (manual && !['admin', 'coordinator'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only admins and coordinators can record manual verification' });
     }
 
     const student = await Student.findById(id);
     if (!student) return res.status(404).json({ message: 'Student not found' });
 
-    // Save day 1 photo if provided
-    if (dayKey === 'day1' && photo) {
-      student.day1Photo = photo;
+    const context = await resolveEventContext(student.school, eventId, { forWrite: true });
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const { sessions } = context;
+    const dayKey = resolveSessionKey(dayNumber, sessions);
+    if (!dayKey) {
+      return res.status(400).json({
+        message: 'Unknown session for this event',
+        sessions: sessions.map(s => s.key)
+      });
     }
 
-    student.dayVerification[dayKey] = {
+    const previousState = snapshotStudentState(student, context.eventId);
+    const state = getVerificationState(student, context.eventId, { create: true });
+
+    // Save reference photo if provided on the enrolment session
+    let replacedPhoto = null;
+    if (dayKey === getReferenceSessionKey(sessions) && photo) {
+      replacedPhoto = await storeDay1Photo(student, state, photo);
+      storedPhoto = state.day1PhotoAsset;
+    }
+
+    setSessionResult(state, dayKey, {
       result: result || 'pending',
-      confidence: confidence || null,
+      confidence: manual ? null : confidence || null,
       date: new Date()
-    };
+    });
 
     await student.save();
-    res.json({ message: 'Day result updated', student: formatStudentResponse(student) });
+    storedPhoto = null;
+    await discardAssets(replacedPhoto);
+
+    if (manual) {
+      await recordStudentAudit({
+        student,
+        actor: req.user,
+        event: context.eventId,
+        action: 'manual_verify',
+        day: dayKey,
+        previousState,
+        newState: snapshotStudentState(student, context.eventId)
+      });
+    }
+
+    res.json({ message: 'Day result updated', day: dayKey, student: formatStudentResponse(student, context) });
   } catch (err) {
     console.error('Update day result error:', err);
+    await discardAssets(storedPhoto);
+    if (err instanceof InvalidImageError) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Failed to update day result', error: err.message });
   }
 });
 
 // Download day-specific details
-router.get('/download/day/:dayNumber', auth, async (req, res) => {
+router.get('/download/day/:dayNumber', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { dayNumber } = req.params;
-    const { schoolId } = req.query;
+    const { schoolId, eventId } = req.query;
 
-    const dayKey = `day${parseInt(dayNumber, 10)}`;
-    if (!/^day[1-6]$/.test(dayKey)) {
-      return res.status(400).json({ message: 'dayNumber must be 1-6' });
-    }
     if (!schoolId || !isValidObjectId(schoolId)) {
       return res.status(400).json({ message: 'Valid schoolId is required' });
     }
@@ -234,7 +373,19 @@ router.get('/download/day/:dayNumber', auth, async (req, res) => {
     const school = await School.findById(schoolId);
     if (!school) return res.status(404).json({ message: 'School not found' });
 
+    const context = await resolveEventContext(school, eventId);
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const { sessions } = context;
+    const dayKey = resolveSessionKey(dayNumber, sessions);
+    if (!dayKey) {
+      return res.status(400).json({
+        message: 'Unknown session for this event',
+        sessions: sessions.map(s => s.key)
+      });
+    }
+
     const students = await Student.find({ school: schoolId });
+    const dayEntry = (s) => getSessionResult(getVerificationState(s, context.eventId), dayKey);
     const rows = students.map(s => ({
       'Register No': s.registrationNo,
       'Name': s.name,
@@ -242,17 +393,18 @@ router.get('/download/day/:dayNumber', auth, async (req, res) => {
       'DOB': s.dob || '',
       'Age Group': s.ageGroup || '',
       'Day': dayKey,
-      'Day Result': s.dayVerification?.[dayKey]?.result || 'pending',
-      'Day Confidence': s.dayVerification?.[dayKey]?.confidence || '',
-      'Day Date': s.dayVerification?.[dayKey]?.date ? new Date(s.dayVerification[dayKey].date).toISOString().split('T')[0] : ''
+      'Day Result': dayEntry(s)?.result || 'pending',
+      'Day Confidence': dayEntry(s)?.confidence || '',
+      'Day Date': dayEntry(s)?.date ? new Date(dayEntry(s).date).toISOString().split('T')[0] : ''
     }));
 
     const workbook = XLSX.utils.book_new();
     const worksheet = XLSX.utils.json_to_sheet(rows);
-    XLSX.utils.book_append_sheet(workbook, worksheet, `${dayKey.toUpperCase()} Details`);
+    XLSX.utils.book_append_sheet(workbook, worksheet, `${dayKey.toUpperCase()} Details`.slice(0, 31));
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${school.name}_${dayKey}_details.xlsx"`);
+    const eventSuffix = context.event ? `_${context.event.name}` : '';
+    res.setHeader('Content-Disposition', `attachment; filename="${school.name}${eventSuffix}_${dayKey}_details.xlsx"`);
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
     res.send(buffer);
   } catch (err) {
@@ -260,7 +412,267 @@ router.get('/download/day/:dayNumber', auth, async (req, res) => {
     res.status(500).json({ message: 'Failed to generate day download', error: err.message });
   }
 });
- 
+
+// Download the audit trail for every student in a school
+router.get('/download/history', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { schoolId, eventId, from, to } = req.query;
+
+    if (!schoolId || !isValidObjectId(schoolId)) {
+      return res.status(400).json({ message: 'Valid schoolId is required' });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const school = await School.findById(schoolId);
+    if (!school) return res.status(404).json({ message: 'School not found' });
+
+    const query = { school: schoolId };
+    if (eventId) {
+      if (!isValidObjectId(eventId)) return res.status(400).json({ message: 'Invalid event ID format' });
+      query.event = eventId;
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const entries = await StudentAuditLog.find(query)
+      .populate('student', 'name registrationNo rollNumber')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const rows = entries.map(e => ({
+      'Date': new Date(e.createdAt).toISOString(),
+      'Register No': e.student?.registrationNo || '',
+      'Name': e.student?.name || '(deleted student)',
+      'Action': e.action,
+      'Day': e.day || '',
+      'Actor': e.actorUsername || '',
+      'Reason': e.reason || '',
+      'Notes': e.notes || '',
+      'Previous Result': e.day
+        ? e.previousState?.dayVerification?.[e.day]?.result || ''
+        : e.previousState?.verificationResult || '',
+      'New Result': e.day
+        ? e.newState?.dayVerification?.[e.day]?.result || ''
+        : e.newState?.verificationResult || ''
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Verification History');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${school.name}_verification_history.xlsx"`);
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    res.send(buffer);
+  } catch (err) {
+    console.error('Download history error:', err);
+    res.status(500).json({ message: 'Failed to generate history download', error: err.message });
+  }
+});
+
+// Helper function to format a reference sample without its descriptor values
+const formatReferenceResponse = (reference) => ({
+  _id: reference._id,
+  source: reference.source,
+  event: reference.event || null,
+  session: reference.session || null,
+  confidence: reference.confidence ?? null,
+  quality: reference.quality ?? null,
+  distance: reference.distance ?? null,
+  addedBy: reference.addedBy || null,
+  createdAt: reference.createdAt
+});
+
+// List a student's reference face samples
+router.get('/:id/references', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid student ID format' });
+
+    const student = await Student.findById(id).select('name faceDescriptor referenceDescriptors');
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    const references = student.referenceDescriptors || [];
+    res.json({
+      studentId: student._id,
+      name: student.name,
+      references: references.map(formatReferenceResponse),
+      // Enrolled before multiple samples were supported: the single descriptor is used as the only reference
+      legacyDescriptor: references.length === 0 && getReferenceDescriptors(student).length === 1,
+      ...(req.query.includeDescriptors === 'true' && {
+        descriptors: references.map(r => ({ _id: r._id, descriptor: r.descriptor }))
+      })
+    });
+  } catch (err) {
+    console.error('List references error:', err);
+    res.status(500).json({ message: 'Failed to fetch reference samples', error: err.message });
+  }
+});
+
+// Add a reference face sample from a photo or a client-computed descriptor
+router.post('/:id/references', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { photo, descriptor, eventId, session } = req.body;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid student ID format' });
+    if (!photo && !descriptor) return res.status(400).json({ message: 'photo (base64) or descriptor is required' });
+
+    const student = await Student.findById(id);
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    const context = await resolveEventContext(student.school, eventId, { forWrite: true });
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+
+    let sessionKey = null;
+    if (session !== undefined && session !== null && session !== '') {
+      sessionKey = resolveSessionKey(session, context.sessions);
+      if (!sessionKey) {
+        return res.status(400).json({
+          message: 'Unknown session for this event',
+          sessions: context.sessions.map(s => s.key)
+        });
+      }
+    }
+
+    const enrolment = await resolveEnrolmentDescriptor({ photo, descriptor });
+    if (enrolment.error) return res.status(enrolment.error.status).json(enrolment.error.body);
+    const sampleDescriptor = enrolment.descriptor;
+    const confidence = enrolment.extraction ? parseFloat(enrolment.extraction.confidence.toFixed(2)) : null;
+    const quality = enrolment.extraction ? enrolment.extraction.quality : null;
+
+    const reference = addReferenceDescriptor(student, {
+      descriptor: sampleDescriptor,
+      source: 'manual',
+      event: context.eventId,
+      session: sessionKey,
+      confidence,
+      quality: quality ? quality.score : null,
+      addedBy: req.user._id
+    });
+    await student.save();
+    updateStudentInIndex(student);
+
+    res.status(201).json({
+      message: 'Reference sample added',
+      reference: formatReferenceResponse(reference),
+      referenceCount: student.referenceDescriptors.length,
+      quality
+    });
+  } catch (err) {
+    console.error('Add reference error:', err);
+    if (err instanceof InvalidImageError) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Failed to add reference sample', error: err.message });
+  }
+});
+
+// Remove one reference face sample; the template is recomputed from the rest
+router.delete('/:id/references/:referenceId', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { id, referenceId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(referenceId)) {
+      return res.status(400).json({ message: 'Invalid student or reference ID format' });
+    }
+
+    const student = await Student.findById(id);
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    if (!removeReferenceDescriptor(student, referenceId)) {
+      return res.status(404).json({ message: 'Reference sample not found' });
+    }
+    await student.save();
+    updateStudentInIndex(student);
+    // A sample taken from the group photo takes its face link with it
+    await clearStudentGroupFaceLinks(student._id, referenceId);
+
+    res.json({
+      message: 'Reference sample removed',
+      referenceCount: student.referenceDescriptors.length,
+      hasFaceDescriptor: getReferenceDescriptors(student).length > 0
+    });
+  } catch (err) {
+    console.error('Remove reference error:', err);
+    res.status(500).json({ message: 'Failed to remove reference sample', error: err.message });
+  }
+});
+
+// Audit trail for a single student
+router.get('/:id/history', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid student ID format' });
+    }
+
+    const student = await Student.findById(id).select('name rollNumber registrationNo school');
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    const query = { student: id };
+    if (req.query.eventId) {
+      if (!isValidObjectId(req.query.eventId)) return res.status(400).json({ message: 'Invalid event ID format' });
+      query.event = req.query.eventId;
+    }
+
+    const history = await StudentAuditLog.find(query)
+      .populate('actor', 'username role')
+      .populate('event', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      student: {
+        _id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        registrationNo: student.registrationNo,
+        school: student.school
+      },
+      history,
+      totalCount: history.length
+    });
+  } catch (err) {
+    console.error('Get student history error:', err);
+    res.status(500).json({ message: 'Failed to fetch student history', error: err.message });
+  }
+});
+
+// Serve the Day 1 photo of a student (for the default programme, or ?eventId=)
+router.get('/:id/photo', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid student ID format' });
+    }
+
+    const student = await Student.findById(id);
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    const context = await resolveEventContext(student.school, req.query.eventId);
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+
+    const photo = await readDay1Photo(getVerificationState(student, context.eventId));
+    if (!photo) return res.status(404).json({ message: 'No Day 1 photo for this student' });
+
+    res.setHeader('Content-Type', photo.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(photo.buffer);
+  } catch (err) {
+    console.error('Get student photo error:', err);
+    res.status(500).json({ message: 'Failed to fetch student photo', error: err.message });
+  }
+});
+
  // Get student by ID
  router.get('/:id', auth, async (req, res) => {
    try {
@@ -276,9 +688,14 @@ router.get('/download/day/:dayNumber', auth, async (req, res) => {
        return res.status(404).json({ message: 'Student not found' });
      }
 
+     const context = await resolveEventContext(student.school?._id, req.query.eventId);
+     if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+
      res.json({
-       student: formatStudentResponse(student),
-       school: student.school
+       student: formatStudentResponse(student, context),
+       school: student.school,
+       event: context.eventId,
+       sessions: context.sessions
      });
 
    } catch (err) {
@@ -291,7 +708,7 @@ router.get('/download/day/:dayNumber', auth, async (req, res) => {
  });
 
 // Update student information
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, rollNumber, class: studentClass, dob, ageGroup } = req.body;
@@ -337,6 +754,7 @@ router.put('/:id', auth, async (req, res) => {
     if (ageGroup) student.ageGroup = ageGroup.trim();
 
     await student.save();
+    updateStudentInIndex(student);
 
     res.json({
       message: 'Student updated successfully',
@@ -360,10 +778,12 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Manual verification endpoint
-router.post('/:id/manual-verify', auth, async (req, res) => {
+router.post('/:id/manual-verify', auth, authorize('admin', 'coordinator'), async (req, res) => {
+  // Photo uploaded for a student that was not saved; nothing would reference it
+  let storedPhoto = null;
   try {
     const { id } = req.params;
-    const { reason, notes, photo, day } = req.body; // optional photo and day
+    const { reason, notes, photo, day, eventId } = req.body; // optional photo, day and event
 
     if (!isValidObjectId(id)) {
       return res.status(400).json({ message: 'Invalid student ID format' });
@@ -375,75 +795,104 @@ router.post('/:id/manual-verify', auth, async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    // Determine day key if provided
+    const context = await resolveEventContext(student.school._id, eventId, { forWrite: true });
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const { sessions } = context;
+
+    const previousState = snapshotStudentState(student, context.eventId);
+    const state = getVerificationState(student, context.eventId, { create: true });
+
+    // Determine session key if provided
     let dayKey = null;
-    if (typeof day !== 'undefined' && day !== null) {
-      if (typeof day === 'number') {
-        dayKey = `day${parseInt(day, 10)}`;
-      } else if (typeof day === 'string') {
-        dayKey = /^day[1-6]$/.test(day) ? day : null;
+    if (typeof day !== 'undefined' && day !== null && day !== '') {
+      dayKey = resolveSessionKey(day, sessions);
+      if (!dayKey) {
+        return res.status(400).json({
+          message: 'Unknown session for this event',
+          sessions: sessions.map(s => s.key)
+        });
       }
     }
 
     // If a valid day is provided, only update that day (do not set global verification flags)
-    if (dayKey && /^day[1-6]$/.test(dayKey)) {
+    let replacedPhoto = null;
+    if (dayKey) {
       // Prevent duplicate manual verification for the same day
-      if (student.dayVerification?.[dayKey]?.result === 'manually_verified') {
+      if (getSessionResult(state, dayKey)?.result === 'manually_verified') {
         return res.status(400).json({ 
           message: `Student is already manually verified for ${dayKey}`
         });
       }
 
-      student.dayVerification = student.dayVerification || {};
-      student.dayVerification[dayKey] = {
+      setSessionResult(state, dayKey, {
         result: 'manually_verified',
         confidence: null,
         date: new Date()
-      };
+      });
 
-      // If Day 1 manual verify and photo provided, save Day 1 reference photo
-      if (dayKey === 'day1' && photo) {
-        student.day1Photo = photo;
+      // If enrolment-session manual verify and photo provided, save the reference photo
+      if (dayKey === getReferenceSessionKey(sessions) && photo) {
+        replacedPhoto = await storeDay1Photo(student, state, photo);
+        storedPhoto = state.day1PhotoAsset;
       }
 
       // Add optional metadata (kept for audit)
-      if (reason) student.manualVerificationReason = reason.trim();
-      if (notes) student.manualVerificationNotes = notes.trim();
+      if (reason) state.manualVerificationReason = reason.trim();
+      if (notes) state.manualVerificationNotes = notes.trim();
     } else {
       // No valid day provided: fall back to global manual verification behavior
-      if (student.verificationResult === 'manually_verified') {
+      if (state.verificationResult === 'manually_verified') {
         return res.status(400).json({ 
           message: 'Student is already manually verified',
-          verificationDate: student.manualVerificationDate
+          verificationDate: state.manualVerificationDate
         });
       }
 
-      student.verified = true;
-      student.verificationResult = 'manually_verified';
-      student.manuallyVerified = true;
-      student.manualVerificationDate = new Date();
+      state.verified = true;
+      state.verificationResult = 'manually_verified';
+      state.manuallyVerified = true;
+      state.manualVerificationDate = new Date();
 
-      if (reason) student.manualVerificationReason = reason.trim();
-      if (notes) student.manualVerificationNotes = notes.trim();
+      if (reason) state.manualVerificationReason = reason.trim();
+      if (notes) state.manualVerificationNotes = notes.trim();
 
       // If Day 1 photo is provided without explicit day, still allow saving
       if (photo) {
-        student.day1Photo = photo;
+        replacedPhoto = await storeDay1Photo(student, state, photo);
+        storedPhoto = state.day1PhotoAsset;
       }
     }
 
     await student.save();
+    storedPhoto = null;
+    await discardAssets(replacedPhoto);
+
+    await recordStudentAudit({
+      student,
+      actor: req.user,
+      event: context.eventId,
+      action: 'manual_verify',
+      day: dayKey,
+      reason,
+      notes,
+      previousState,
+      newState: snapshotStudentState(student, context.eventId)
+    });
 
     console.log(`Student ${student.name} (${student.rollNumber}) manually verified in school: ${student.school.name}`);
 
     res.json({
       message: 'Student manually verified successfully',
-      student: formatStudentResponse(student),
+      student: formatStudentResponse(student, context),
       school: student.school
     });
 
   } catch (err) {
     console.error('Manual verification error:', err);
+    await discardAssets(storedPhoto);
+    if (err instanceof InvalidImageError) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ 
       message: 'Failed to manually verify student',
       error: err.message 
@@ -452,10 +901,10 @@ router.post('/:id/manual-verify', auth, async (req, res) => {
 });
 
 // Reset verification endpoint
-router.post('/:id/reset-verification', auth, async (req, res) => {
+router.post('/:id/reset-verification', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, clearDay1Photo } = req.body;
+    const { reason, clearDay1Photo, eventId } = req.body;
 
     if (!isValidObjectId(id)) {
       return res.status(400).json({ message: 'Invalid student ID format' });
@@ -467,43 +916,61 @@ router.post('/:id/reset-verification', auth, async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const context = await resolveEventContext(student.school._id, eventId, { forWrite: true });
+    if (context.error) return res.status(context.error.status).json({ message: context.error.message });
+    const state = getVerificationState(student, context.eventId, { create: true });
+
     // Check if already pending; allow clearing Day 1 photo even if pending
-    if ((student.verificationResult === 'pending' || !student.verificationResult) && !clearDay1Photo) {
+    if ((state.verificationResult === 'pending' || !state.verificationResult) && !clearDay1Photo) {
       return res.status(400).json({ 
         message: 'Student verification is already pending'
       });
     }
 
-    const previousStatus = student.verificationResult;
+    const previousStatus = state.verificationResult;
+    const previousState = snapshotStudentState(student, context.eventId);
 
     // Reset verification status to pending only if it isn't already pending
-    if (student.verificationResult !== 'pending' && student.verificationResult) {
-      student.verified = false;
-      student.verificationResult = 'pending';
-      student.manuallyVerified = false;
-      student.manualVerificationDate = null;
-      student.manualVerificationReason = null;
-      student.manualVerificationNotes = null;
+    if (state.verificationResult !== 'pending' && state.verificationResult) {
+      state.verified = false;
+      state.verificationResult = 'pending';
+      state.manuallyVerified = false;
+      state.manualVerificationDate = null;
+      state.manualVerificationReason = null;
+      state.manualVerificationNotes = null;
     }
     
     // Add reset metadata
-    student.lastResetDate = new Date();
-    if (reason) student.resetReason = reason.trim();
+    state.lastResetDate = new Date();
+    if (reason) state.resetReason = reason.trim();
 
-    // If triggered from Day 1 re-verify, clear stored Day 1 photo and day1 result
+    // If triggered from Day 1 re-verify, clear stored reference photo and the enrolment session result
+    const referenceKey = getReferenceSessionKey(context.sessions);
+    let clearedPhoto = null;
     if (clearDay1Photo) {
-      student.day1Photo = null;
-      if (!student.dayVerification) student.dayVerification = {};
-      student.dayVerification.day1 = { result: 'pending', date: new Date(), confidence: null };
+      clearedPhoto = removeDay1Photo(state);
+      setSessionResult(state, referenceKey, { result: 'pending', date: new Date(), confidence: null });
     }
 
     await student.save();
+    await discardAssets(clearedPhoto);
+
+    await recordStudentAudit({
+      student,
+      actor: req.user,
+      event: context.eventId,
+      action: 'reset_verification',
+      day: clearDay1Photo ? referenceKey : null,
+      reason,
+      previousState,
+      newState: snapshotStudentState(student, context.eventId)
+    });
 
     console.log(`Student ${student.name} (${student.rollNumber}) verification reset from ${previousStatus} to pending in school: ${student.school.name}`);
 
     res.json({
       message: 'Student verification status reset successfully',
-      student: formatStudentResponse(student),
+      student: formatStudentResponse(student, context),
       previousStatus,
       school: student.school
     });
@@ -518,7 +985,7 @@ router.post('/:id/reset-verification', auth, async (req, res) => {
 });
 
 // Bulk operations endpoint
-router.post('/bulk-actions', auth, async (req, res) => {
+router.post('/bulk-actions', auth, authorize('admin'), async (req, res) => {
   try {
     const { action, studentIds, data = {} } = req.body;
 
@@ -543,50 +1010,82 @@ router.post('/bulk-actions', auth, async (req, res) => {
       });
     }
 
-    let result = {};
-
-    switch (action) {
-      case 'manual-verify':
-        const verifyResult = await Student.updateMany(
-          { _id: { $in: studentIds } },
-          {
-            verified: true,
-            verificationResult: 'manually_verified',
-            manuallyVerified: true,
-            manualVerificationDate: new Date(),
-            manualVerificationReason: data.reason || 'Bulk verification'
-          }
-        );
-        result = {
-          action: 'manual-verify',
-          processed: verifyResult.modifiedCount,
-          message: `${verifyResult.modifiedCount} students manually verified`
-        };
-        break;
-
-      case 'reset-verification':
-        const resetResult = await Student.updateMany(
-          { _id: { $in: studentIds } },
-          {
-            verified: false,
-            verificationResult: 'pending',
-            manuallyVerified: false,
-            manualVerificationDate: null,
-            lastResetDate: new Date(),
-            resetReason: data.reason || 'Bulk reset'
-          }
-        );
-        result = {
-          action: 'reset-verification',
-          processed: resetResult.modifiedCount,
-          message: `${resetResult.modifiedCount} students verification reset`
+    if (!['manual-verify', 'reset-verification'].includes(action)) {
+      return res.status(400).json({ message: 'Invalid action specified' });
+    }
+
+    // Capture state before the update so each student gets its own audit entry
+    const studentsBefore = await Student.find({ _id: { $in: studentIds } });
+
+    // Students may come from schools with different current events: resolve each school once
+    const schoolKey = (student) => (student.school ? String(student.school) : '');
+    const contexts = new Map();
+    for (const schoolId of new Set(studentsBefore.map(schoolKey))) {
+      const context = schoolId
+        ? await resolveEventContext(schoolId, data.eventId, { forWrite: true })
+        : await loadEventContext(null);
+      if (context.error) {
+        return res.status(context.error.status).json({ message: context.error.message, schoolId });
+      }
+      contexts.set(schoolId, context);
+    }
+
+    const fields = action === 'manual-verify'
+      ? {
+          verified: true,
+          verificationResult: 'manually_verified',
+          manuallyVerified: true,
+          manualVerificationDate: new Date(),
+          manualVerificationReason: data.reason || 'Bulk verification'
+        }
+      : {
+          verified: false,
+          verificationResult: 'pending',
+          manuallyVerified: false,
+          manualVerificationDate: null,
+          lastResetDate: new Date(),
+          resetReason: data.reason || 'Bulk reset'
         };
-        break;
 
-      default:
-        return res.status(400).json({ message: 'Invalid action specified' });
+    let processed = 0;
+    for (const [schoolId, context] of contexts) {
+      const ids = studentsBefore.filter(st => schoolKey(st) === schoolId).map(st => st._id);
+      const update = {};
+      for (const [field, value] of Object.entries(fields)) {
+        update[statePath(context.eventId, field)] = value;
+      }
+      const updateResult = await Student.updateMany({ _id: { $in: ids } }, { $set: update });
+      processed += updateResult.modifiedCount;
     }
 
+    const result = {
+      action,
+      processed,
+      message: action === 'manual-verify'
+        ? `${processed} students manually verified`
+        : `${processed} students verification reset`
+    };
+
+    const studentsAfter = await Student.find({ _id: { $in: studentIds } });
+    const afterById = new Map(studentsAfter.map(st => [String(st._id), st]));
+    await recordStudentAudits(
+      studentsBefore
+        .filter(before => afterById.has(String(before._id)))
+        .map(before => {
+          const { eventId } = contexts.get(schoolKey(before));
+          return {
+            student: before,
+            actor: req.user,
+            event: eventId,
+            action: action === 'manual-verify' ? 'bulk_manual_verify' : 'bulk_reset_verification',
+            reason: data.reason || (action === 'manual-verify' ? 'Bulk verification' : 'Bulk reset'),
+            notes: data.notes,
+            previousState: snapshotStudentState(before, eventId),
+            newState: snapshotStudentState(afterById.get(String(before._id)), eventId)
+          };
+        })
+    );
+
     console.log(`Bulk ${action} completed for ${result.processed} students`);
 
     res.json({
@@ -605,7 +1104,7 @@ router.post('/bulk-actions', auth, async (req, res) => {
 });
 
 // Delete student
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -620,6 +1119,10 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Student.findByIdAndDelete(id);
+    removeStudentFromIndex(id);
+    await clearStudentGroupFaceLinks(id);
+    await discardAssets(collectPhotoAssets(student));
+    await recordDeletions('student', student, req.user);
 
     console.log(`Student ${student.name} (${student.rollNumber}) deleted from school: ${student.school.name}`);
 
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const { resolveEventContext, getVerificationState } = require('../services/eventContext');
+const { getReferenceSessionKey, formatSessionResults } = require('../services/eventSchedule');
+const referenceDescriptors = require('../services/referenceDescriptors');
+const descriptorPolicy = require('../services/descriptorPolicy');
+const { hasDay1Photo, day1PhotoUrl } = require('../services/studentPhotos');
+const { CONFIG: SYNC_CONFIG, applySyncItem } = require('../services/syncService');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to check a device identifier
+const isValidDeviceId = (deviceId) => typeof deviceId === 'string' && /^[A-Za-z0-9_.:-]{1,64}$/.test(deviceId);
+
+// Helper function to work out which schools a user may sync.
+// Verifiers are limited to the schools assigned to their account; admins and coordinators
+// may name any school, and default to their assigned ones.
+// Returns { schoolIds } or { error: { status, message } }.
+function resolveSyncSchools(user, requested) {
+  const assigned = (user.assignedSchools || []).map(String);
+  const requestedIds = requested
+    ? String(requested).split(',').map(id => id.trim()).filter(Boolean)
+    : [];
+
+  if (requestedIds.some(id => !isValidObjectId(id))) {
+    return { error: { status: 400, message: 'Invalid school ID format' } };
+  }
+
+  if (user.role === 'verifier') {
+    if (assigned.length === 0) {
+      return { error: { status: 403, message: 'No schools are assigned to this account' } };
+    }
+    if (requestedIds.some(id => !assigned.includes(id))) {
+      return { error: { status: 403, message: 'You can only sync schools assigned to your account' } };
+    }
+  }
+
+  const schoolIds = [...new Set(requestedIds.length ? requestedIds : assigned)];
+  if (schoolIds.length === 0) {
+    return { error: { status: 400, message: 'schoolIds is required when no schools are assigned to this account' } };
+  }
+  return { schoolIds };
+}
+
+// Helper function to format a student for the offline snapshot
+const formatSnapshotStudent = (student, context) => {
+  const state = getVerificationState(student, context.eventId) || {};
+  return {
+    _id: student._id,
+    name: student.name,
+    rollNumber: student.rollNumber,
+    registrationNo: student.registrationNo,
+    class: student.class,
+    ageGroup: student.ageGroup,
+    school: student.school,
+    referenceDescriptors: referenceDescriptors.getReferenceDescriptors(student),
+    hasDay1Photo: hasDay1Photo(state),
+    day1PhotoUrl: day1PhotoUrl(student, state, context.eventId),
+    verified: !!state.verified,
+    verificationResult: state.verificationResult || 'pending',
+    manuallyVerified: !!state.manuallyVerified,
+    dayVerification: formatSessionResults(state, context.sessions)
+  };
+};
+
+// Download everything a device needs to verify offline: schools with their event sessions and
+// group-photo descriptors, students with their reference descriptors and current results
+router.get('/snapshot', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const scope = resolveSyncSchools(req.user, req.query.schoolIds);
+    if (scope.error) return res.status(scope.error.status).json({ message: scope.error.message });
+
+    const generatedAt = new Date();
+    const schools = await School.find({ _id: { $in: scope.schoolIds } })
+      .select('name event events groupPhoto groupDescriptors groupFaces groupDescriptorsStatus');
+    if (schools.length !== scope.schoolIds.length) {
+      return res.status(404).json({ message: 'One or more schools were not found' });
+    }
+
+    const snapshotSchools = [];
+    const snapshotStudents = [];
+    for (const school of schools) {
+      const context = await resolveEventContext(school, eventId);
+      if (context.error) {
+        return res.status(context.error.status).json({ message: context.error.message, schoolId: school._id });
+      }
+
+      // Photos still stored inline (not yet moved by scripts/migrateDay1Photos.js) are left out
+      const students = await Student.find({ school: school._id }).select('-day1Photo').sort({ name: 1 });
+      snapshotStudents.push(...students.map(s => formatSnapshotStudent(s, context)));
+
+      snapshotSchools.push({
+        _id: school._id,
+        name: school.name,
+        event: context.eventId,
+        eventName: context.event ? context.event.name : null,
+        sessions: context.sessions,
+        referenceSession: getReferenceSessionKey(context.sessions),
+        groupPhoto: school.groupPhoto || null,
+        groupDescriptorsStatus: school.groupDescriptorsStatus || 'idle',
+        groupDescriptors: school.groupDescriptors || [],
+        // Faces operators linked to students: matched only for that student, as on the server
+        groupFaces: (school.groupFaces || []).map((face, faceIndex) => ({ faceIndex, student: face.student || null })),
+        studentCount: students.length
+      });
+    }
+
+    res.json({
+      generatedAt,
+      matching: {
+        threshold: referenceDescriptors.CONFIG.VERIFICATION_THRESHOLD,
+        strategy: referenceDescriptors.CONFIG.MATCH_STRATEGY,
+        matchK: referenceDescriptors.CONFIG.MATCH_K,
+        descriptorPolicy: descriptorPolicy.CONFIG.POLICY,
+        // Whether automatic results verified on the device will be accepted by /push
+        acceptsDeviceResults: descriptorPolicy.acceptsBareDescriptors()
+      },
+      schools: snapshotSchools,
+      students: snapshotStudents,
+      totalStudents: snapshotStudents.length
+    });
+  } catch (err) {
+    console.error('Sync snapshot error:', err);
+    res.status(500).json({ message: 'Failed to build sync snapshot', error: err.message });
+  }
+});
+
+// Push results verified offline. Items are reconciled oldest first under the conflict rules in
+// services/syncService.js, and every item gets its own outcome; pushing a batch again is safe.
+router.post('/push', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
+  try {
+    const { deviceId, items } = req.body;
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ message: 'deviceId must be 1-64 letters, digits or . _ : -' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'items must be a non-empty array' });
+    }
+    if (items.length > SYNC_CONFIG.MAX_ITEMS) {
+      return res.status(400).json({ message: `Maximum ${SYNC_CONFIG.MAX_ITEMS} items can be pushed at once` });
+    }
+
+    let allowedSchoolIds = null;
+    if (req.user.role === 'verifier') {
+      allowedSchoolIds = (req.user.assignedSchools || []).map(String);
+      if (allowedSchoolIds.length === 0) {
+        return res.status(403).json({ message: 'No schools are assigned to this account' });
+      }
+    }
+
+    // Oldest first, so results for the same student are reconciled in the order they happened
+    const capturedTime = (item) => new Date(item && item.capturedAt).getTime() || 0;
+    const order = items.map((item, index) => index).sort((a, b) => capturedTime(items[a]) - capturedTime(items[b]));
+
+    const results = new Array(items.length);
+    for (const index of order) {
+      try {
+        results[index] = await applySyncItem(items[index], { device: deviceId, user: req.user, allowedSchoolIds });
+      } catch (err) {
+        // Not recorded, so the device can push the item again
+        console.error('Sync item error:', err);
+        results[index] = { id: items[index] && items[index].id, status: 'error', reason: err.message };
+      }
+    }
+
+    const summary = { applied: 0, conflict: 0, stale: 0, rejected: 0, error: 0, duplicate: 0 };
+    for (const result of results) {
+      if (result.duplicate) summary.duplicate++;
+      else summary[result.status]++;
+    }
+
+    console.log(`Sync push from ${deviceId} by ${req.user.username}: ${JSON.stringify(summary)}`);
+
+    res.json({
+      message: `${items.length} items processed`,
+      deviceId,
+      serverTime: new Date(),
+      summary,
+      results
+    });
+  } catch (err) {
+    console.error('Sync push error:', err);
+    res.status(500).json({ message: 'Failed to process sync push', error: err.message });
+  }
+});
+
+module.exports = router;
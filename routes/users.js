@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const User = require('../models/User');
+const School = require('../models/School');
+const tokenService = require('../services/tokenService');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+};
+
+// Helper function to match user input literally inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to format user response (never exposes the password hash)
+const formatUserResponse = (user) => ({
+  _id: user._id,
+  username: user.username,
+  role: user.role,
+  isActive: user.isActive,
+  disabledAt: user.disabledAt,
+  mustChangePassword: user.mustChangePassword,
+  passwordChangedAt: user.passwordChangedAt,
+  lastLoginAt: user.lastLoginAt,
+  assignedSchools: user.assignedSchools || [],
+  createdBy: user.createdBy,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Helper function to validate a password, returning an error message or null
+const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') return 'Password is required';
+  if (password.length < User.MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${User.MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+// Sign a user out everywhere: stale access tokens and all refresh tokens
+const revokeSessions = async (user) => {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await tokenService.revokeAllForUser(user._id);
+};
+
+// Every route in this file is admin-only
+router.use(auth, authorize('admin'));
+
+// List users
+router.get('/', async (req, res) => {
+  try {
+    const { role, active, search } = req.query;
+    const query = {};
+
+    if (role) {
+      if (!User.ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${User.ROLES.join(', ')}` });
+      }
+      query.role = role;
+    }
+    if (active === 'true' || active === 'false') {
+      query.isActive = active === 'true';
+    }
+    if (search) {
+      query.username = { $regex: escapeRegex(search), $options: 'i' };
+    }
+
+    const users = await User.find(query).select('-password').sort({ username: 1 });
+    res.json({ users: users.map(formatUserResponse), totalCount: users.length });
+  } catch (err) {
+    console.error('List users error:', err);
+    res.status(500).json({ message: 'Failed to fetch users', error: err.message });
+  }
+});
+
+// Create user with an initial password
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role = 'verifier', mustChangePassword = true } = req.body;
+
+    if (!username || String(username).trim().length < 3) {
+      return res.status(400).json({ message: 'Username must be at least 3 characters long' });
+    }
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${User.ROLES.join(', ')}` });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const existing = await User.findOne({ username: String(username).trim() });
+    if (existing) {
+      return res.status(409).json({ message: 'A user with this username already exists' });
+    }
+
+    const user = await User.create({
+      username: String(username).trim(),
+      password,
+      role,
+      mustChangePassword: !!mustChangePassword,
+      createdBy: req.user._id
+    });
+
+    console.log(`User ${user.username} (${user.role}) created by ${req.user.username}`);
+
+    res.status(201).json({ message: 'User created successfully', user: formatUserResponse(user) });
+  } catch (err) {
+    console.error('Create user error:', err);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'A user with this username already exists' });
+    }
+    res.status(500).json({ message: 'Failed to create user', error: err.message });
+  }
+});
+
+// Get user by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+
+    const user = await User.findById(id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ user: formatUserResponse(user) });
+  } catch (err) {
+    console.error('Get user error:', err);
+    res.status(500).json({ message: 'Failed to fetch user', error: err.message });
+  }
+});
+
+// Update username, role or the schools assigned for offline sync
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, role, assignedSchools } = req.body;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+
+    if (assignedSchools !== undefined) {
+      if (!Array.isArray(assignedSchools) || !assignedSchools.every(isValidObjectId)) {
+        return res.status(400).json({ message: 'assignedSchools must be an array of school IDs' });
+      }
+      const found = await School.countDocuments({ _id: { $in: assignedSchools } });
+      if (found !== new Set(assignedSchools.map(String)).size) {
+        return res.status(404).json({ message: 'One or more assigned schools were not found' });
+      }
+    }
+
+    if (role && !User.ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${User.ROLES.join(', ')}` });
+    }
+    if (username !== undefined && String(username).trim().length < 3) {
+      return res.status(400).json({ message: 'Username must be at least 3 characters long' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // Keep at least one admin able to manage accounts
+    if (role && role !== 'admin' && String(user._id) === String(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    if (username) user.username = String(username).trim();
+    if (role) user.role = role;
+    if (assignedSchools !== undefined) user.assignedSchools = [...new Set(assignedSchools.map(String))];
+    await user.save();
+
+    res.json({ message: 'User updated successfully', user: formatUserResponse(user) });
+  } catch (err) {
+    console.error('Update user error:', err);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'A user with this username already exists' });
+    }
+    res.status(500).json({ message: 'Failed to update user', error: err.message });
+  }
+});
+
+// Disable user and revoke their sessions
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+    if (String(id) === String(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.isActive) return res.status(400).json({ message: 'User is already disabled' });
+
+    user.isActive = false;
+    user.disabledAt = new Date();
+    await revokeSessions(user);
+    await user.save();
+
+    console.log(`User ${user.username} disabled by ${req.user.username}`);
+
+    res.json({ message: 'User disabled successfully', user: formatUserResponse(user) });
+  } catch (err) {
+    console.error('Disable user error:', err);
+    res.status(500).json({ message: 'Failed to disable user', error: err.message });
+  }
+});
+
+// Re-enable a disabled user
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.isActive) return res.status(400).json({ message: 'User is already active' });
+
+    user.isActive = true;
+    user.disabledAt = null;
+    await user.save();
+
+    res.json({ message: 'User enabled successfully', user: formatUserResponse(user) });
+  } catch (err) {
+    console.error('Enable user error:', err);
+    res.status(500).json({ message: 'Failed to enable user', error: err.message });
+  }
+});
+
+// Force a password reset: set a temporary password the user must change on next login
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { temporaryPassword } = req.body;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+
+    if (temporaryPassword !== undefined) {
+      const passwordError = validatePassword(temporaryPassword);
+      if (passwordError) return res.status(400).json({ message: passwordError });
+    }
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // Generate one when the admin does not supply it; it is returned only in this response
+    const password = temporaryPassword || crypto.randomBytes(9).toString('base64url');
+
+    user.password = password;
+    user.mustChangePassword = true;
+    user.passwordChangedAt = new Date();
+    await revokeSessions(user);
+    await user.save();
+
+    console.log(`Password reset for ${user.username} by ${req.user.username}`);
+
+    res.json({
+      message: 'Password reset successfully. The user must change it at next login.',
+      user: formatUserResponse(user),
+      ...(!temporaryPassword && { temporaryPassword: password })
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ message: 'Failed to reset password', error: err.message });
+  }
+});
+
+// Delete user
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid user ID format' });
+    if (String(id) === String(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    const user = await User.findByIdAndDelete(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    await tokenService.revokeAllForUser(user._id);
+
+    console.log(`User ${user.username} deleted by ${req.user.username}`);
+
+    res.json({ message: 'User deleted successfully', deletedUser: { _id: user._id, username: user.username } });
+  } catch (err) {
+    console.error('Delete user error:', err);
+    res.status(500).json({ message: 'Failed to delete user', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,231 +1,716 @@
 const express = require('express');
 const router = express.Router();
-const path = require('path');
-const fs = require('fs').promises;
 
 // Middleware and models
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const Student = require('../models/Student');
 const School = require('../models/School');
-
-// Face recognition libraries
-const faceapi = require('face-api.js');
-const canvas = require('canvas');
-const { Canvas, Image, ImageData } = canvas;
-
-// Monkey patch for face-api.js
-faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+const VerificationAttempt = require('../models/VerificationAttempt');
+const { resolveSessionKey, getReferenceSessionKey, getSessionResult } = require('../services/eventSchedule');
+const { resolveEventContext, statePath, getVerificationState } = require('../services/eventContext');
+const faceRecognition = require('../services/faceRecognition');
+const referenceDescriptors = require('../services/referenceDescriptors');
+const { CONFIG: QUALITY_CONFIG } = require('../services/faceQuality');
+const { CONFIG: LIVENESS_CONFIG, assessLiveness } = require('../services/liveness');
+const descriptorPolicy = require('../services/descriptorPolicy');
+const { getReferenceDescriptors, matchReferences, buildReferenceUpdate } = referenceDescriptors;
+const {
+  searchDescriptorIndex,
+  searchDescriptorIndexBulk,
+  matchGroupDescriptors,
+  getGroupDescriptorCount,
+  updateStudentInIndex
+} = require('../services/descriptorIndex');
+const { checkModelsExist, extractDescriptorFromBase64, InvalidImageError } = faceRecognition;
 
 // Configuration
 const CONFIG = {
-  MODELS_PATH: './models/face_models',
-  VERIFICATION_THRESHOLD: 0.4, // Stricter threshold - lower means more strict matching
-  MAX_IMAGE_SIZE: 5 * 1024 * 1024, // 5MB
-  SUPPORTED_FORMATS: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
-  DETECTOR_OPTIONS: {
-    inputSize: 416,
-    scoreThreshold: 0.5
-  }
+  VERIFICATION_THRESHOLD: referenceDescriptors.CONFIG.VERIFICATION_THRESHOLD,
+  MAX_IMAGE_SIZE: faceRecognition.CONFIG.MAX_IMAGE_SIZE,
+  SUPPORTED_FORMATS: faceRecognition.CONFIG.SUPPORTED_FORMATS,
+  BATCH_MAX_ITEMS: parseInt(process.env.BATCH_VERIFICATION_MAX_ITEMS, 10) || 100,
+  BATCH_CONCURRENCY: parseInt(process.env.BATCH_VERIFICATION_CONCURRENCY, 10) || 4,
+  IDENTIFY_DEFAULT_TOP_N: 5,
+  IDENTIFY_MAX_TOP_N: 20
 };
 
-// Model loading state
-let modelsLoaded = false;
-const modelLoadPromise = loadFaceApiModels();
+// Start loading models at startup so the first verification is not delayed
+faceRecognition.ensureModelsLoaded().catch(() => {});
 
 /**
- * Load face-api.js models
+ * Normalise a session filter given as a number (3 -> "day3") or a session key
  */
-async function loadFaceApiModels() {
-  try {
-    if (modelsLoaded) return;
+function parseSessionFilter(day) {
+  const raw = String(day).trim();
+  if (/^\d+$/.test(raw)) return `day${parseInt(raw, 10)}`;
+  return /^[A-Za-z0-9_-]{1,32}$/.test(raw) ? raw : null;
+}
 
-    console.log('Loading face recognition models...');
-    
-    // Check if models directory exists
-    const modelsExist = await checkModelsExist();
-    if (!modelsExist) {
-      throw new Error('Face recognition models not found. Please ensure models are placed in the correct directory.');
-    }
+/**
+ * Match threshold for a request: a client may ask for a stricter threshold, never a looser one
+ */
+function resolveThreshold(requested) {
+  return typeof requested === 'number' && requested > 0
+    ? Math.min(requested, CONFIG.VERIFICATION_THRESHOLD)
+    : CONFIG.VERIFICATION_THRESHOLD;
+}
 
-    await Promise.all([
-      faceapi.nets.tinyFaceDetector.loadFromDisk(CONFIG.MODELS_PATH),
-      faceapi.nets.faceLandmark68Net.loadFromDisk(CONFIG.MODELS_PATH),
-      faceapi.nets.faceRecognitionNet.loadFromDisk(CONFIG.MODELS_PATH)
-    ]);
+/**
+ * Helper function to validate ObjectId
+ */
+function isValidObjectId(id) {
+  return /^[0-9a-fA-F]{24}$/.test(id);
+}
 
-    modelsLoaded = true;
-    console.log('Face recognition models loaded successfully');
-  } catch (error) {
-    console.error('Error loading face recognition models:', error);
-    throw error;
+/**
+ * Log verification attempt to the VerificationAttempt collection.
+ * Never throws: a logging failure must not fail the verification itself.
+ */
+async function logVerificationAttempt(attempt) {
+  const {
+    studentId,
+    schoolId,
+    eventId = null,
+    day = null,
+    result,
+    distance = null,
+    threshold = null,
+    confidence = 0,
+    faceQuality = null,
+    source = null,
+    serverVerified = null,
+    crossCheckDistance = null,
+    matchedAgainst = null,
+    liveness = null,
+    operator = null,
+    error = null
+  } = attempt;
+
+  console.log(`Verification attempt - Student: ${studentId}, School: ${schoolId}, Day: ${day || 'n/a'}, Result: ${result}, Confidence: ${confidence}%, Error: ${error || 'None'}`);
+
+  try {
+    await VerificationAttempt.create({
+      student: isValidObjectId(studentId) ? studentId : null,
+      school: isValidObjectId(schoolId) ? schoolId : null,
+      event: eventId || null,
+      day,
+      result,
+      distance: typeof distance === 'number' && isFinite(distance) ? distance : null,
+      threshold,
+      confidence: Math.round(confidence || 0),
+      faceQuality,
+      source,
+      serverVerified,
+      crossCheckDistance,
+      matchedAgainst,
+      liveness: liveness && {
+        score: liveness.score,
+        passed: liveness.passed,
+        mode: LIVENESS_CONFIG.MODE,
+        frames: liveness.frames,
+        flags: liveness.artefacts ? liveness.artefacts.flags : [],
+        reasons: liveness.reasons
+      },
+      operator,
+      error
+    });
+  } catch (logError) {
+    console.error('Error logging verification attempt:', logError);
   }
 }
 
 /**
- * Check if face recognition models exist
+ * Get the descriptor to verify under the descriptor policy (services/descriptorPolicy.js):
+ * the client-computed one when trusted, otherwise extracted (and cross-checked) on the server.
+ * Returns null when no face is found in the image, or { error } when the policy refuses the capture.
  */
-async function checkModelsExist() {
-  try {
-    const modelFiles = [
-      'tiny_face_detector_model-weights_manifest.json',
-      'face_landmark_68_model-weights_manifest.json',
-      'face_recognition_model-weights_manifest.json'
-    ];
+async function resolveCapturedDescriptor({ descriptor, capturedImage }) {
+  const resolved = await descriptorPolicy.resolveDescriptor({
+    descriptor,
+    image: capturedImage,
+    extract: extractDescriptorFromBase64
+  });
+  if (!resolved || resolved.error) return resolved;
 
-    const checks = modelFiles.map(async (file) => {
-      try {
-        await fs.access(path.join(CONFIG.MODELS_PATH, file));
-        return true;
-      } catch {
-        return false;
-      }
-    });
+  const { extraction } = resolved;
+  return {
+    descriptor: resolved.descriptor,
+    source: resolved.source,
+    serverVerified: resolved.serverVerified,
+    crossCheckDistance: resolved.crossCheckDistance,
+    faceQuality: extraction?.confidence ? parseFloat(extraction.confidence.toFixed(2)) : null,
+    landmarks: extraction ? extraction.landmarks : null,
+    // Reported, not enforced: a poor capture lowers confidence but is still matched
+    quality: extraction ? extraction.quality : null
+  };
+}
 
-    const results = await Promise.all(checks);
-    return results.every(exists => exists);
-  } catch {
-    return false;
+// Helper function to record a capture the descriptor policy refused; a cross-check mismatch counts as a failed attempt
+const logPolicyRefusal = (attempt, refusal) => logVerificationAttempt({
+  ...attempt,
+  result: refusal.status === 422 ? 'failed' : 'error',
+  source: 'client_descriptor',
+  serverVerified: false,
+  crossCheckDistance: refusal.crossCheckDistance ?? null,
+  error: refusal.message
+});
+
+/**
+ * Run the liveness checks for a capture. A burst of frames (`livenessFrames`) is checked whenever
+ * one is sent, and must show the captured face (`descriptor`, within `threshold`); in enforce mode
+ * a capture without one is checked too, and fails.
+ * Returns null when liveness is off or not checked, otherwise the assessment from services/liveness.js.
+ */
+async function checkLiveness({ livenessFrames, descriptor, threshold }) {
+  if (LIVENESS_CONFIG.MODE === 'off') return null;
+
+  const capture = { descriptor, threshold };
+  const frames = Array.isArray(livenessFrames) ? livenessFrames.filter(Boolean) : [];
+  if (frames.length === 0) {
+    return LIVENESS_CONFIG.MODE === 'enforce' ? assessLiveness([], capture) : null;
   }
+  return assessLiveness(await faceRecognition.analyzeFrames(frames), capture);
 }
 
+// Helper function: whether a liveness result should stop the verification
+const blocksVerification = (liveness) => LIVENESS_CONFIG.MODE === 'enforce' && !!liveness && !liveness.passed;
+
 /**
- * Validate base64 image
+ * Compare a captured descriptor with the student's reference samples, falling back to the school's
+ * group photo (from the descriptor index) when the student has none: the face linked to the student
+ * when an operator has mapped one, otherwise the faces not yet linked to anybody
  */
-function validateBase64Image(base64) {
-  if (!base64 || typeof base64 !== 'string') {
-    throw new Error('Invalid image data provided');
+async function matchStudent(capturedDescriptor, student, school, threshold) {
+  const references = getReferenceDescriptors(student);
+  if (references.length > 0) {
+    return {
+      ...matchReferences(capturedDescriptor, references, threshold),
+      matchedAgainst: 'student_descriptor'
+    };
+  }
+
+  const groupMatch = await matchGroupDescriptors(school._id, capturedDescriptor, threshold, { studentId: student._id });
+  if (!groupMatch) {
+    return { match: false, distance: null, confidence: 0, matchedAgainst: null };
   }
+  return { ...groupMatch, matchedAgainst: groupMatch.linkedFace ? 'group_photo_face' : 'group_descriptors' };
+}
+
+/**
+ * Save the outcome of a verification on the student for the event in context,
+ * and on the session when one is given. A confident match against the student's own
+ * samples on a later session is kept as another reference sample.
+ */
+async function recordVerificationResult(student, eventId, dayKey, matchResult, { capturedDescriptor, sessions } = {}) {
+  const result = matchResult.match ? 'success' : 'failed';
+  const confidence = Math.round(matchResult.confidence);
+  const now = new Date();
 
-  // Check if it's a valid base64 image
-  const base64Regex = /^data:image\/(jpeg|jpg|png|webp);base64,/;
-  if (!base64Regex.test(base64)) {
-    throw new Error('Invalid image format. Only JPEG, PNG, and WebP are supported');
+  const updateData = {
+    [statePath(eventId, 'verified')]: matchResult.match,
+    [statePath(eventId, 'verificationResult')]: result,
+    [statePath(eventId, 'verificationDate')]: now,
+    lastVerificationAttempt: now,
+    verificationConfidence: confidence
+  };
+  if (dayKey) {
+    updateData[statePath(eventId, `dayVerification.${dayKey}`)] = {
+      result,
+      confidence,
+      distance: typeof matchResult.distance === 'number' ? parseFloat(matchResult.distance.toFixed(4)) : null,
+      date: now
+    };
   }
 
-  // Estimate size (base64 is ~4/3 larger than binary)
-  const estimatedSize = (base64.length * 3) / 4;
-  if (estimatedSize > CONFIG.MAX_IMAGE_SIZE) {
-    throw new Error(`Image too large. Maximum size is ${CONFIG.MAX_IMAGE_SIZE / (1024 * 1024)}MB`);
+  const learnSample = matchResult.match &&
+    matchResult.matchedAgainst === 'student_descriptor' &&
+    capturedDescriptor &&
+    dayKey && sessions && dayKey !== getReferenceSessionKey(sessions) &&
+    matchResult.distance <= referenceDescriptors.CONFIG.AUTO_ADD_MAX_DISTANCE;
+  if (learnSample) {
+    Object.assign(updateData, buildReferenceUpdate(student, {
+      descriptor: capturedDescriptor,
+      source: 'verification',
+      event: eventId,
+      session: dayKey,
+      confidence,
+      distance: parseFloat(matchResult.distance.toFixed(4))
+    }));
   }
 
-  return true;
+  const updated = await Student.findByIdAndUpdate(student._id, { $set: updateData }, { new: true });
+  if (learnSample) updateStudentInIndex(updated);
+  return updated;
 }
 
 /**
- * Extract face descriptor from base64 image
+ * Sessions after the enrolment session are compared against the student's own reference
+ * descriptor only; group descriptors are a fallback for the enrolment session itself
  */
-async function extractDescriptorFromBase64(base64) {
+function missingReferenceFor(student, dayKey, sessions) {
+  if (!dayKey || dayKey === getReferenceSessionKey(sessions)) return false;
+  return getReferenceDescriptors(student).length === 0;
+}
+
+/**
+ * Describe a student's result for one session, as returned by the verification endpoints
+ */
+function formatDayStatus(student, eventId, dayKey, sessions) {
+  const state = getVerificationState(student, eventId);
+  const entry = state ? getSessionResult(state, dayKey) : null;
+  const session = sessions.find(s => s.key === dayKey);
+  return {
+    key: dayKey,
+    label: session?.label || dayKey,
+    isReferenceSession: dayKey === getReferenceSessionKey(sessions),
+    result: entry?.result || 'pending',
+    confidence: entry?.confidence ?? null,
+    distance: entry?.distance ?? null,
+    date: entry?.date || null
+  };
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Batch verification for several students of one school (must be before /:studentId)
+router.post('/batch', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
-    // Ensure models are loaded
-    await modelLoadPromise;
-    
-    // Validate image
-    validateBase64Image(base64);
+    const { verifications, schoolId, eventId, day } = req.body;
+
+    if (!Array.isArray(verifications) || verifications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verifications array is required'
+      });
+    }
+
+    if (verifications.length > CONFIG.BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${CONFIG.BATCH_MAX_ITEMS} verifications`
+      });
+    }
 
-    // Convert base64 to buffer and load as image
-    const base64Data = base64.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-    const img = await canvas.loadImage(buffer);
+    if (!isValidObjectId(schoolId)) {
+      return res.status(400).json({ success: false, message: 'Valid school ID is required' });
+    }
 
-    // Detect face with enhanced options
-    const detection = await faceapi
-      .detectSingleFace(img, new faceapi.TinyFaceDetectorOptions(CONFIG.DETECTOR_OPTIONS))
-      .withFaceLandmarks()
-      .withFaceDescriptor();
+    // Group descriptors are matched from the descriptor index, so skip loading them
+    const school = await School.findById(schoolId).select('-groupDescriptors');
+    if (!school) {
+      return res.status(404).json({ success: false, message: 'School not found' });
+    }
 
-    if (!detection) {
-      return null;
+    const context = await resolveEventContext(school, eventId, { forWrite: true });
+    if (context.error) {
+      return res.status(context.error.status).json({ success: false, message: context.error.message });
     }
 
-    // Validate detection quality
-    const detectionScore = detection.detection.score;
-    if (detectionScore < CONFIG.DETECTOR_OPTIONS.scoreThreshold) {
-      console.log(`Low quality face detection: ${detectionScore}`);
-      return null;
+    // Every item is recorded against a session: the batch-level day unless the item names its own
+    const { sessions } = context;
+    const resolveDay = (value) => resolveSessionKey(value, sessions);
+    const hasDay = (value) => value !== undefined && value !== null && value !== '';
+    const batchDayKey = hasDay(day) ? resolveDay(day) : null;
+    const invalidDays = verifications.filter(v => (hasDay(v?.day) ? !resolveDay(v.day) : !batchDayKey));
+    if (invalidDays.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each verification needs a valid session (day) for this event',
+        sessions: sessions.map(s => s.key)
+      });
     }
 
-    return {
-      descriptor: Array.from(detection.descriptor),
-      confidence: detectionScore,
-      landmarks: detection.landmarks?.positions?.length || 0
+    // The match threshold is the server's; a client-chosen one could pass any face
+    const verificationThreshold = CONFIG.VERIFICATION_THRESHOLD;
+
+    // Load all students of this school in one query
+    const studentIds = [...new Set(verifications.map(v => v?.studentId).filter(isValidObjectId))];
+    const students = await Student.find({ _id: { $in: studentIds }, school: school._id });
+    const studentsById = new Map(students.map(s => [String(s._id), s]));
+
+    const results = await mapWithConcurrency(verifications, CONFIG.BATCH_CONCURRENCY, async (item, index) => {
+      const verification = item || {};
+      const { studentId, capturedImage, descriptor, livenessFrames } = verification;
+      const dayKey = hasDay(verification.day) ? resolveDay(verification.day) : batchDayKey;
+      const base = { index, studentId, day: dayKey };
+
+      const student = studentsById.get(String(studentId));
+      if (!student) {
+        return { ...base, success: false, result: 'error', message: 'Student not found in this school', confidence: 0 };
+      }
+      if (!capturedImage && !descriptor) {
+        return { ...base, success: false, result: 'error', message: 'Captured image or descriptor is required', confidence: 0 };
+      }
+      if (livenessFrames !== undefined && (!Array.isArray(livenessFrames) || livenessFrames.length > LIVENESS_CONFIG.MAX_FRAMES)) {
+        return { ...base, success: false, result: 'error', message: `livenessFrames must be an array of at most ${LIVENESS_CONFIG.MAX_FRAMES} images`, confidence: 0 };
+      }
+
+      if (missingReferenceFor(student, dayKey, sessions)) {
+        return { ...base, success: false, result: 'error', message: 'Student has no reference descriptor from the enrolment session', confidence: 0 };
+      }
+
+      try {
+        const captured = await resolveCapturedDescriptor({ descriptor, capturedImage });
+        if (captured?.error) {
+          await logPolicyRefusal({ studentId, schoolId, eventId: context.eventId, day: dayKey, operator: req.user._id }, captured.error);
+          return {
+            ...base,
+            success: false,
+            result: captured.error.status === 422 ? 'failed' : 'error',
+            message: captured.error.message,
+            confidence: 0
+          };
+        }
+        if (!captured) {
+          await logVerificationAttempt({
+            studentId,
+            schoolId,
+            eventId: context.eventId,
+            day: dayKey,
+            result: 'failed',
+            source: 'server_extraction',
+            operator: req.user._id,
+            error: 'No face detected'
+          });
+          return { ...base, success: false, result: 'failed', message: 'No face detected', confidence: 0 };
+        }
+
+        const liveness = await checkLiveness({ livenessFrames, descriptor: captured.descriptor, threshold: verificationThreshold });
+        if (blocksVerification(liveness)) {
+          await logVerificationAttempt({
+            studentId,
+            schoolId,
+            eventId: context.eventId,
+            day: dayKey,
+            result: 'failed',
+            faceQuality: captured.faceQuality,
+            source: captured.source,
+            serverVerified: captured.serverVerified,
+            crossCheckDistance: captured.crossCheckDistance,
+            liveness,
+            operator: req.user._id,
+            error: 'Liveness check failed'
+          });
+          return { ...base, success: false, result: 'failed', message: 'Liveness check failed', confidence: 0, liveness };
+        }
+
+        const matchResult = await matchStudent(captured.descriptor, student, school, verificationThreshold);
+        if (!matchResult.matchedAgainst) {
+          return { ...base, success: false, result: 'error', message: 'No reference descriptors available for this student', confidence: 0 };
+        }
+
+        const updatedStudent = await recordVerificationResult(student, context.eventId, dayKey, matchResult, {
+          capturedDescriptor: captured.descriptor,
+          sessions
+        });
+
+        await logVerificationAttempt({
+          studentId,
+          schoolId,
+          eventId: context.eventId,
+          day: dayKey,
+          result: matchResult.match ? 'success' : 'failed',
+          distance: matchResult.distance,
+          threshold: verificationThreshold,
+          confidence: matchResult.confidence,
+          faceQuality: captured.faceQuality,
+          source: captured.source,
+          serverVerified: captured.serverVerified,
+          crossCheckDistance: captured.crossCheckDistance,
+          matchedAgainst: matchResult.matchedAgainst,
+          liveness,
+          operator: req.user._id
+        });
+
+        return {
+          ...base,
+          success: true,
+          result: matchResult.match ? 'success' : 'failed',
+          confidence: Math.round(matchResult.confidence),
+          distance: typeof matchResult.distance === 'number' ? parseFloat(matchResult.distance.toFixed(4)) : null,
+          matchedAgainst: matchResult.matchedAgainst,
+          source: captured.source,
+          serverVerified: captured.serverVerified,
+          quality: captured.quality,
+          liveness,
+          dayStatus: updatedStudent ? formatDayStatus(updatedStudent, context.eventId, dayKey, sessions) : null
+        };
+      } catch (error) {
+        await logVerificationAttempt({
+          studentId,
+          schoolId,
+          eventId: context.eventId,
+          day: dayKey,
+          result: 'error',
+          operator: req.user._id,
+          error: error.message
+        });
+        return { ...base, success: false, result: 'error', message: error.message, confidence: 0 };
+      }
+    });
+
+    const summary = {
+      total: results.length,
+      success: results.filter(r => r.result === 'success').length,
+      failed: results.filter(r => r.result === 'failed').length,
+      errors: results.filter(r => r.result === 'error').length
     };
 
+    res.json({
+      success: true,
+      message: `Processed ${results.length} verifications`,
+      summary,
+      threshold: verificationThreshold,
+      results
+    });
+
   } catch (error) {
-    console.error('Error extracting face descriptor:', error);
-    throw new Error(`Face extraction failed: ${error.message}`);
+    console.error('Batch verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Batch verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
+});
+
+/**
+ * Clamp a requested number of identification candidates
+ */
+function parseTopN(value) {
+  const requested = parseInt(value, 10) || CONFIG.IDENTIFY_DEFAULT_TOP_N;
+  return Math.min(CONFIG.IDENTIFY_MAX_TOP_N, Math.max(1, requested));
 }
 
 /**
- * Calculate Euclidean distance between two descriptors
+ * Schools an identification is limited to: one school, every school enrolled in an event, or all (null)
  */
-function euclideanDistance(desc1, desc2) {
-  if (!desc1 || !desc2 || desc1.length !== desc2.length) {
-    throw new Error('Invalid descriptors for distance calculation');
+async function resolveIdentifyScope({ schoolId, eventId }) {
+  if (schoolId) {
+    if (!isValidObjectId(schoolId)) return { error: 'Invalid school ID format' };
+    return { schoolIds: [schoolId] };
   }
-  
-  return Math.sqrt(
-    desc1.reduce((sum, val, i) => sum + Math.pow(val - desc2[i], 2), 0)
-  );
+  if (eventId) {
+    if (!isValidObjectId(eventId)) return { error: 'Invalid event ID format' };
+    const schools = await School.find({ $or: [{ event: eventId }, { events: eventId }] }).select('_id');
+    return { schoolIds: schools.map(s => s._id) };
+  }
+  return { schoolIds: null };
 }
 
 /**
- * Find best match from group descriptors
+ * Turn descriptor index matches (one list per query) into candidate responses with school names
  */
-function findBestMatch(capturedDescriptor, groupDescriptors, threshold = CONFIG.VERIFICATION_THRESHOLD) {
-  if (!groupDescriptors || groupDescriptors.length === 0) {
-    return { match: false, distance: null, confidence: 0 };
-  }
+async function formatIdentifyCandidates(matchLists, threshold) {
+  const schoolIds = [...new Set(matchLists.flat().map(m => String(m.school)))];
+  const schoolNames = new Map(
+    (await School.find({ _id: { $in: schoolIds } }).select('name')).map(s => [String(s._id), s.name])
+  );
+
+  return matchLists.map(matches => matches.map(m => ({
+    studentId: m.studentId,
+    name: m.name,
+    rollNumber: m.rollNumber,
+    registrationNo: m.registrationNo,
+    ageGroup: m.ageGroup,
+    school: { _id: m.school, name: schoolNames.get(String(m.school)) || null },
+    distance: parseFloat(m.distance.toFixed(4)),
+    confidence: Math.round(Math.max(0, (1 - m.distance) * 100)),
+    withinThreshold: m.distance < threshold
+  })));
+}
 
-  let bestDistance = Infinity;
-  let bestMatch = false;
+// Bulk 1:N identification for client-computed descriptors, answered in one pass over the index
+router.post('/identify/batch', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
+  try {
+    const { descriptors, schoolId, eventId, ageGroup, threshold } = req.body;
 
-  for (const groupDesc of groupDescriptors) {
-    try {
-      const distance = euclideanDistance(capturedDescriptor, groupDesc);
-      if (distance < bestDistance) {
-        bestDistance = distance;
-        bestMatch = distance < threshold;
+    if (!descriptorPolicy.acceptsBareDescriptors()) {
+      return res.status(403).json({
+        success: false,
+        message: `Client descriptors without images are not accepted under the '${descriptorPolicy.CONFIG.POLICY}' descriptor policy; use /identify with captured images`
+      });
+    }
+    if (!Array.isArray(descriptors) || descriptors.length === 0) {
+      return res.status(400).json({ success: false, message: 'descriptors array is required' });
+    }
+    if (descriptors.length > CONFIG.BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${CONFIG.BATCH_MAX_ITEMS} descriptors`
+      });
+    }
+
+    const queries = descriptors.map(d => (Array.isArray(d) ? d.map(Number) : null));
+    const invalid = queries
+      .map((d, index) => (referenceDescriptors.isValidDescriptor(d) ? null : index))
+      .filter(index => index !== null);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each descriptor must be an array of 128 numbers',
+        invalidIndexes: invalid
+      });
+    }
+
+    const scope = await resolveIdentifyScope({ schoolId, eventId });
+    if (scope.error) {
+      return res.status(400).json({ success: false, message: scope.error });
+    }
+
+    const topN = parseTopN(req.body.topN);
+    const verificationThreshold = resolveThreshold(threshold);
+
+    const searches = await searchDescriptorIndexBulk(queries, { schoolIds: scope.schoolIds, ageGroup, topN });
+    const candidateLists = await formatIdentifyCandidates(searches.map(r => r.matches), verificationThreshold);
+
+    res.json({
+      success: true,
+      results: candidateLists.map((candidates, index) => ({
+        index,
+        identified: candidates.length > 0 && candidates[0].withinThreshold,
+        candidates
+      })),
+      details: {
+        threshold: verificationThreshold,
+        searched: searches[0]?.searched || 0,
+        indexSize: searches[0]?.indexSize || 0
       }
-    } catch (error) {
-      console.warn('Error calculating distance for descriptor:', error);
-      continue;
+    });
+  } catch (error) {
+    console.error('Bulk identification error:', error);
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ success: false, message: error.message });
     }
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred during identification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
+});
 
-  return {
-    match: bestMatch,
-    distance: bestDistance === Infinity ? null : bestDistance,
-    confidence: bestDistance === Infinity ? 0 : Math.max(0, (1 - bestDistance) * 100)
-  };
-}
-
-/**
- * Log verification attempt
- */
-async function logVerificationAttempt(studentId, schoolId, result, confidence, error = null) {
+// 1:N identification: which enrolled students does this face look like? (must be before /:studentId)
+router.post('/identify', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
   try {
-    // You could implement logging to database or file here
-    console.log(`Verification attempt - Student: ${studentId}, School: ${schoolId}, Result: ${result}, Confidence: ${confidence}%, Error: ${error || 'None'}`);
-  } catch (logError) {
-    console.error('Error logging verification attempt:', logError);
+    const { capturedImage, descriptor, schoolId, eventId, ageGroup, threshold } = req.body;
+
+    if (!capturedImage && !descriptor) {
+      return res.status(400).json({ success: false, message: 'Captured image or descriptor is required' });
+    }
+
+    const topN = parseTopN(req.body.topN);
+    const verificationThreshold = resolveThreshold(threshold);
+
+    const scope = await resolveIdentifyScope({ schoolId, eventId });
+    if (scope.error) {
+      return res.status(400).json({ success: false, message: scope.error });
+    }
+    const { schoolIds } = scope;
+
+    const captured = await resolveCapturedDescriptor({ descriptor, capturedImage });
+    if (captured?.error) {
+      return res.status(captured.error.status).json({ success: false, message: captured.error.message });
+    }
+    if (!captured) {
+      return res.json({
+        success: false,
+        message: 'No face detected in captured image. Please ensure your face is clearly visible and try again.',
+        details: { faceDetected: false }
+      });
+    }
+
+    const { matches, searched, indexSize } = await searchDescriptorIndex(captured.descriptor, { schoolIds, ageGroup, topN });
+
+    const [candidates] = await formatIdentifyCandidates([matches], verificationThreshold);
+
+    res.json({
+      success: true,
+      identified: candidates.length > 0 && candidates[0].withinThreshold,
+      message: candidates.some(c => c.withinThreshold)
+        ? 'Possible matches found'
+        : 'No enrolled student is within the verification threshold',
+      candidates,
+      details: {
+        threshold: verificationThreshold,
+        searched,
+        indexSize,
+        source: captured.source,
+        serverVerified: captured.serverVerified,
+        faceQuality: captured.faceQuality,
+        quality: captured.quality
+      }
+    });
+  } catch (error) {
+    console.error('Identification error:', error);
+
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes('models not found') || error.message.includes('Face extraction failed')) {
+      return res.status(503).json({
+        success: false,
+        message: 'Face verification service is temporarily unavailable. Please try again later.',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred during identification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
-}
+});
 
 // Face verification endpoint
-router.post('/:studentId', auth, async (req, res) => {
+router.post('/:studentId', auth, authorize('admin', 'coordinator', 'verifier'), async (req, res) => {
   let student = null;
   let school = null;
+  let dayKey = null;
+  let context = null;
 
   try {
     const { studentId } = req.params;
-    const { capturedImage, descriptor, schoolId, threshold } = req.body;
+    const { capturedImage, descriptor, schoolId, threshold, eventId, livenessFrames } = req.body;
+    // A session may be named by day number ("3") or by key ("day3", "finals")
+    const day = req.body.day ?? req.body.session;
+
+    if (!isValidObjectId(studentId)) {
+      return res.status(400).json({ success: false, result: 'failed', message: 'Invalid student ID format' });
+    }
 
     // Validate required parameters
     if (!capturedImage && !descriptor) {
       return res.status(400).json({ success: false, result: 'failed', message: 'Captured image or descriptor is required' });
     }
 
+    if (livenessFrames !== undefined && (!Array.isArray(livenessFrames) || livenessFrames.length > LIVENESS_CONFIG.MAX_FRAMES)) {
+      return res.status(400).json({
+        success: false,
+        result: 'failed',
+        message: `livenessFrames must be an array of at most ${LIVENESS_CONFIG.MAX_FRAMES} base64 images`
+      });
+    }
+
     if (!schoolId) {
       return res.status(400).json({
         success: false,
@@ -233,18 +718,21 @@ router.post('/:studentId', auth, async (req, res) => {
         message: 'School ID is required'
       });
     }
+    if (!isValidObjectId(schoolId)) {
+      return res.status(400).json({ success: false, result: 'failed', message: 'Invalid school ID format' });
+    }
 
-    // Fetch student and school data
+    // Fetch student and school data; the school decides the event and group photo, so the student must be in it
     [student, school] = await Promise.all([
-      Student.findById(studentId),
-      School.findById(schoolId)
+      Student.findOne({ _id: studentId, school: schoolId }),
+      School.findById(schoolId).select('-groupDescriptors')
     ]);
 
     if (!student) {
       return res.status(404).json({
         success: false,
         result: 'failed',
-        message: 'Student not found'
+        message: 'Student not found in this school'
       });
     }
 
@@ -256,58 +744,128 @@ router.post('/:studentId', auth, async (req, res) => {
       });
     }
 
-    // Use client-provided descriptor if available, else extract on server
-    let capturedDescriptor;
-    let faceQuality = null;
-    let landmarksDetected = null;
-    if (Array.isArray(descriptor) && descriptor.length) {
-      capturedDescriptor = descriptor.map(Number);
-    } else {
-      const extractionResult = await extractDescriptorFromBase64(capturedImage);
-      if (!extractionResult?.descriptor) {
-        await logVerificationAttempt(studentId, schoolId, 'failed', 0, 'No face detected');
-        return res.json({
+    // Event the result is recorded against (the school's current event unless one is named)
+    context = await resolveEventContext(school, eventId, { forWrite: true });
+    if (context.error) {
+      return res.status(context.error.status).json({
+        success: false,
+        result: 'failed',
+        message: context.error.message
+      });
+    }
+
+    // Optional session this attempt belongs to; its result is written together with the overall status
+    if (day !== undefined && day !== null && day !== '') {
+      const { sessions } = context;
+      dayKey = resolveSessionKey(day, sessions);
+      if (!dayKey) {
+        return res.status(400).json({
           success: false,
           result: 'failed',
-          message: 'No face detected in captured image. Please ensure your face is clearly visible and try again.',
-          details: { faceDetected: false, imageQuality: 'poor' }
+          message: 'Unknown session for this event',
+          sessions: sessions.map(s => s.key)
         });
       }
-      capturedDescriptor = extractionResult.descriptor;
-      faceQuality = extractionResult.confidence ? parseFloat(extractionResult.confidence.toFixed(2)) : null;
-      landmarksDetected = extractionResult.landmarks;
-    }
-
-    const verificationThreshold = threshold && typeof threshold === 'number' ? threshold : CONFIG.VERIFICATION_THRESHOLD;
-
-    // Prefer per-student descriptor if available
-    let matchResult;
-    if (Array.isArray(student.faceDescriptor) && student.faceDescriptor.length === 128) {
-      const distance = euclideanDistance(capturedDescriptor, student.faceDescriptor);
-      matchResult = {
-        match: distance < verificationThreshold,
-        distance,
-        confidence: Math.max(0, (1 - distance) * 100)
-      };
-      console.log(`Using per-student descriptor - Distance: ${distance}, Threshold: ${verificationThreshold}, Match: ${matchResult.match}`);
-    } else {
-      // Fall back to group descriptors
-      console.log(`Using group descriptors - Count: ${school.groupDescriptors?.length || 0}`);
-      matchResult = findBestMatch(capturedDescriptor, school.groupDescriptors, verificationThreshold);
-      console.log(`Group descriptor match - Distance: ${matchResult.distance}, Threshold: ${verificationThreshold}, Match: ${matchResult.match}`);
-    }
-
-    // Update student verification status
-    const updateData = {
-      verified: matchResult.match,
-      verificationResult: matchResult.match ? 'success' : 'failed',
-      lastVerificationAttempt: new Date(),
-      verificationConfidence: Math.round(matchResult.confidence)
-    };
+    }
+
+    // Later sessions are only checked against the enrolment (reference) descriptor
+    if (missingReferenceFor(student, dayKey, context.sessions)) {
+      return res.status(409).json({
+        success: false,
+        result: 'failed',
+        message: `Student has no reference descriptor; enrol them on ${getReferenceSessionKey(context.sessions)} first`,
+        day: formatDayStatus(student, context.eventId, dayKey, context.sessions)
+      });
+    }
 
-    await Student.findByIdAndUpdate(studentId, updateData, { new: true });
+    // Client-provided descriptor or server extraction, as the descriptor policy allows
+    const captured = await resolveCapturedDescriptor({ descriptor, capturedImage });
+    if (captured?.error) {
+      await logPolicyRefusal({ studentId, schoolId, eventId: context.eventId, day: dayKey, operator: req.user._id }, captured.error);
+      return res.status(captured.error.status).json({
+        success: false,
+        result: 'failed',
+        message: captured.error.message,
+        ...(captured.error.crossCheckDistance !== undefined && { details: { crossCheckDistance: captured.error.crossCheckDistance } })
+      });
+    }
+    if (!captured) {
+      await logVerificationAttempt({
+        studentId,
+        schoolId,
+        eventId: context.eventId,
+        day: dayKey,
+        result: 'failed',
+        source: 'server_extraction',
+        operator: req.user._id,
+        error: 'No face detected'
+      });
+      return res.json({
+        success: false,
+        result: 'failed',
+        message: 'No face detected in captured image. Please ensure your face is clearly visible and try again.',
+        details: { faceDetected: false, imageQuality: 'poor' }
+      });
+    }
+    const { faceQuality, source } = captured;
+    const landmarksDetected = captured.landmarks;
 
-    await logVerificationAttempt(studentId, schoolId, matchResult.match ? 'success' : 'failed', matchResult.confidence);
+    const verificationThreshold = resolveThreshold(threshold);
+
+    // Presentation-attack checks; in enforce mode a failing capture is not matched at all
+    const liveness = await checkLiveness({ livenessFrames, descriptor: captured.descriptor, threshold: verificationThreshold });
+    if (blocksVerification(liveness)) {
+      await logVerificationAttempt({
+        studentId,
+        schoolId,
+        eventId: context.eventId,
+        day: dayKey,
+        result: 'failed',
+        faceQuality,
+        source,
+        serverVerified: captured.serverVerified,
+        crossCheckDistance: captured.crossCheckDistance,
+        liveness,
+        operator: req.user._id,
+        error: 'Liveness check failed'
+      });
+      return res.json({
+        success: false,
+        result: 'failed',
+        message: 'Liveness check failed. Capture a short burst of frames while blinking or turning your head.',
+        details: { faceDetected: true, liveness }
+      });
+    }
+
+    // Prefer per-student descriptor if available, else fall back to group descriptors
+    const matchResult = await matchStudent(captured.descriptor, student, school, verificationThreshold);
+    console.log(`Matched against ${matchResult.matchedAgainst || 'nothing'} - Distance: ${matchResult.distance}, Threshold: ${verificationThreshold}, Match: ${matchResult.match}`);
+
+    // Update overall and session status for the event in context in a single write
+    const updatedStudent = await recordVerificationResult(student, context.eventId, dayKey, matchResult, {
+      capturedDescriptor: captured.descriptor,
+      sessions: context.sessions
+    });
+
+    const usedStudentDescriptor = matchResult.matchedAgainst === 'student_descriptor';
+
+    await logVerificationAttempt({
+      studentId,
+      schoolId,
+      eventId: context.eventId,
+      day: dayKey,
+      result: matchResult.match ? 'success' : 'failed',
+      distance: matchResult.distance,
+      threshold: verificationThreshold,
+      confidence: matchResult.confidence,
+      faceQuality,
+      source,
+      serverVerified: captured.serverVerified,
+      crossCheckDistance: captured.crossCheckDistance,
+      matchedAgainst: matchResult.matchedAgainst,
+      liveness,
+      operator: req.user._id
+    });
 
     const response = {
       success: true,
@@ -317,14 +875,26 @@ router.post('/:studentId', auth, async (req, res) => {
         : 'Face verification failed.',
       details: {
         confidence: Math.round(matchResult.confidence),
-        distance: matchResult.distance ? parseFloat(matchResult.distance.toFixed(4)) : null,
+        distance: typeof matchResult.distance === 'number' ? parseFloat(matchResult.distance.toFixed(4)) : null,
         threshold: verificationThreshold,
         faceQuality,
+        quality: captured.quality,
+        source,
+        serverVerified: captured.serverVerified,
+        ...(captured.crossCheckDistance !== null && { crossCheckDistance: captured.crossCheckDistance }),
+        liveness,
         landmarksDetected,
-        groupDescriptorsCount: Array.isArray(school.groupDescriptors) ? school.groupDescriptors.length : 0,
-        usedStudentDescriptor: Array.isArray(student.faceDescriptor) && student.faceDescriptor.length === 128,
+        groupDescriptorsCount: await getGroupDescriptorCount(school._id),
+        usedStudentDescriptor,
+        ...(typeof matchResult.faceIndex === 'number' && { groupFaceIndex: matchResult.faceIndex }),
+        ...(usedStudentDescriptor && {
+          matchStrategy: matchResult.strategy,
+          referenceCount: matchResult.referenceCount,
+          matchingReferences: matchResult.matchingReferences
+        }),
         groupDescriptorsStatus: school.groupDescriptorsStatus || 'unknown'
-      }
+      },
+      ...(dayKey && updatedStudent && { day: formatDayStatus(updatedStudent, context.eventId, dayKey, context.sessions) })
     };
 
     res.json(response);
@@ -333,23 +903,31 @@ router.post('/:studentId', auth, async (req, res) => {
     console.error('Face verification error:', error);
 
     if (student && school) {
-      await logVerificationAttempt(req.params.studentId, req.body.schoolId, 'error', 0, error.message);
+      await logVerificationAttempt({
+        studentId: req.params.studentId,
+        schoolId: req.body.schoolId,
+        eventId: context?.eventId,
+        day: dayKey,
+        result: 'error',
+        operator: req.user?._id,
+        error: error.message
+      });
     }
 
-    if (error.message.includes('models not found') || error.message.includes('Face extraction failed')) {
-      return res.status(503).json({
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
         success: false,
         result: 'failed',
-        message: 'Face verification service is temporarily unavailable. Please try again later.',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        message: error.message
       });
     }
 
-    if (error.message.includes('Invalid image')) {
-      return res.status(400).json({
+    if (error.message.includes('models not found') || error.message.includes('Face extraction failed')) {
+      return res.status(503).json({
         success: false,
         result: 'failed',
-        message: error.message
+        message: 'Face verification service is temporarily unavailable. Please try again later.',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
 
@@ -370,12 +948,26 @@ router.get('/health', async (req, res) => {
     res.json({
       success: true,
       status: 'healthy',
-      modelsLoaded,
+      modelsLoaded: faceRecognition.isModelsLoaded(),
       modelsExist,
       config: {
         threshold: CONFIG.VERIFICATION_THRESHOLD,
+        matchStrategy: referenceDescriptors.CONFIG.MATCH_STRATEGY,
+        ...(referenceDescriptors.CONFIG.MATCH_STRATEGY === 'k_of_n' && { matchK: referenceDescriptors.CONFIG.MATCH_K }),
         maxImageSize: `${CONFIG.MAX_IMAGE_SIZE / (1024 * 1024)}MB`,
-        supportedFormats: CONFIG.SUPPORTED_FORMATS
+        supportedFormats: CONFIG.SUPPORTED_FORMATS,
+        livenessMode: LIVENESS_CONFIG.MODE,
+        descriptorPolicy: descriptorPolicy.CONFIG.POLICY,
+        ...(descriptorPolicy.CONFIG.POLICY === 'cross_check' && { crossCheckTolerance: descriptorPolicy.CONFIG.CROSS_CHECK_TOLERANCE }),
+        enrolmentQuality: {
+          minSharpness: QUALITY_CONFIG.MIN_SHARPNESS,
+          minBrightness: QUALITY_CONFIG.MIN_BRIGHTNESS,
+          maxBrightness: QUALITY_CONFIG.MAX_BRIGHTNESS,
+          minFaceRatio: QUALITY_CONFIG.MIN_FACE_RATIO,
+          maxYaw: QUALITY_CONFIG.MAX_YAW,
+          maxPitch: QUALITY_CONFIG.MAX_PITCH,
+          maxFaces: QUALITY_CONFIG.MAX_FACES
+        }
       }
     });
   } catch (error) {
@@ -387,81 +979,121 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Batch verification endpoint (optional - for multiple students)
-router.post('/batch', auth, async (req, res) => {
+// Query the verification attempt log
+router.get('/attempts', auth, authorize('admin', 'coordinator'), async (req, res) => {
   try {
-    const { verifications, schoolId } = req.body;
+    const {
+      schoolId,
+      studentId,
+      eventId,
+      day,
+      result,
+      livenessPassed,
+      serverVerified,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
 
-    if (!Array.isArray(verifications) || verifications.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Verifications array is required'
-      });
+    const query = {};
+
+    if (schoolId) {
+      if (!isValidObjectId(schoolId)) {
+        return res.status(400).json({ message: 'Invalid school ID format' });
+      }
+      query.school = schoolId;
     }
 
-    const school = await School.findById(schoolId);
-    if (!school || !school.groupDescriptors?.length) {
-      return res.status(400).json({
-        success: false,
-        message: 'School not found or no group descriptors available'
-      });
+    if (studentId) {
+      if (!isValidObjectId(studentId)) {
+        return res.status(400).json({ message: 'Invalid student ID format' });
+      }
+      query.student = studentId;
     }
 
-    const results = [];
+    if (eventId) {
+      if (!isValidObjectId(eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      query.event = eventId;
+    }
 
-    for (const verification of verifications) {
-      try {
-        const { studentId, capturedImage } = verification;
-        const extractionResult = await extractDescriptorFromBase64(capturedImage);
-        
-        if (extractionResult?.descriptor) {
-          const matchResult = findBestMatch(extractionResult.descriptor, school.groupDescriptors);
-          
-          await Student.findByIdAndUpdate(studentId, {
-            verified: matchResult.match,
-            verificationResult: matchResult.match ? 'success' : 'failed',
-            lastVerificationAttempt: new Date(),
-            verificationConfidence: Math.round(matchResult.confidence)
-          });
+    if (day) {
+      const dayKey = parseSessionFilter(day);
+      if (!dayKey) {
+        return res.status(400).json({ message: 'day must be a day number or session key' });
+      }
+      query.day = dayKey;
+    }
 
-          results.push({
-            studentId,
-            success: true,
-            result: matchResult.match ? 'success' : 'failed',
-            confidence: Math.round(matchResult.confidence)
-          });
-        } else {
-          results.push({
-            studentId,
-            success: false,
-            result: 'failed',
-            message: 'No face detected',
-            confidence: 0
-          });
-        }
-      } catch (error) {
-        results.push({
-          studentId: verification.studentId,
-          success: false,
-          result: 'error',
-          message: error.message,
-          confidence: 0
-        });
+    if (result) {
+      if (!['success', 'failed', 'error'].includes(result)) {
+        return res.status(400).json({ message: 'result must be one of: success, failed, error' });
+      }
+      query.result = result;
+    }
+
+    // e.g. ?livenessPassed=false to review suspected photo attacks
+    if (livenessPassed !== undefined) {
+      if (!['true', 'false'].includes(livenessPassed)) {
+        return res.status(400).json({ message: 'livenessPassed must be true or false' });
+      }
+      query['liveness.passed'] = livenessPassed === 'true';
+    }
+
+    if (serverVerified !== undefined) {
+      if (!['true', 'false'].includes(serverVerified)) {
+        return res.status(400).json({ message: 'serverVerified must be true or false' });
+      }
+      query.serverVerified = serverVerified === 'true';
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
       }
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = fromDate;
+      if (toDate) query.timestamp.$lte = toDate;
     }
 
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [attempts, totalCount] = await Promise.all([
+      VerificationAttempt.find(query)
+        .populate('student', 'name registrationNo rollNumber')
+        .populate('school', 'name')
+        .populate('operator', 'username role')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      VerificationAttempt.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
     res.json({
-      success: true,
-      message: `Processed ${results.length} verifications`,
-      results
+      attempts,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1
+      },
+      filters: { schoolId, studentId, eventId, day, result, from, to }
     });
-
   } catch (error) {
-    console.error('Batch verification error:', error);
+    console.error('Get verification attempts error:', error);
     res.status(500).json({
-      success: false,
-      message: 'Batch verification failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Failed to fetch verification attempts',
+      error: error.message
     });
   }
 });
@@ -0,0 +1,95 @@
+// Benchmark the in-memory descriptor index against the old linear scan.
+// Runs without MongoDB on synthetic descriptors; each timing is the best of a few runs:
+//   node scripts/benchDescriptorIndex.js [students] [queries]
+// (tests/descriptorIndex.test.js checks the results; timings are only compared here)
+
+const descriptorIndex = require('../services/descriptorIndex');
+
+const STUDENTS = parseInt(process.argv[2], 10) || 5000;
+const QUERIES = parseInt(process.argv[3], 10) || 100;
+const DIM = descriptorIndex.CONFIG.DIMENSIONS;
+const SCHOOLS = 50;
+const RUNS = 3;
+
+// Helper function for a random descriptor in the range face-api.js produces
+const randomDescriptor = () => Array.from({ length: DIM }, () => (Math.random() - 0.5) * 0.4);
+
+// The matching loop verification used before the index
+function linearScan(query, descriptors, topN) {
+  return descriptors
+    .map((d, i) => ({ i, distance: Math.sqrt(d.reduce((sum, v, k) => sum + Math.pow(v - query[k], 2), 0)) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, topN);
+}
+
+// Helper function to time an async function in milliseconds, best of `runs`
+async function time(label, fn, runs = RUNS) {
+  let result;
+  let ms = Infinity;
+  for (let r = 0; r < runs; r++) {
+    const start = process.hrtime.bigint();
+    result = await fn();
+    ms = Math.min(ms, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  console.log(`${label.padEnd(40)} ${ms.toFixed(1).padStart(10)} ms`);
+  return { result, ms };
+}
+
+async function main() {
+  const students = Array.from({ length: STUDENTS }, (_, i) => ({
+    _id: i.toString(16).padStart(24, '0'),
+    name: `Student ${i}`,
+    school: (i % SCHOOLS).toString(16).padStart(24, 'a'),
+    ageGroup: i % 2 ? 'U14' : 'U17',
+    faceDescriptor: randomDescriptor()
+  }));
+  const queries = Array.from({ length: QUERIES }, () => randomDescriptor());
+  const descriptors = students.map(s => s.faceDescriptor);
+
+  console.log(`Descriptor index benchmark: ${STUDENTS} students, ${QUERIES} queries\n`);
+
+  await time('load index', async () => descriptorIndex.loadDescriptorIndexFrom(students), 1);
+
+  // Warm up every path first so the timings compare optimised code, not JIT start-up
+  const warmUp = queries.slice(0, 10);
+  warmUp.forEach(q => linearScan(q, descriptors, 5));
+  for (const q of warmUp) await descriptorIndex.searchDescriptorIndex(q, { topN: 5 });
+  await descriptorIndex.searchDescriptorIndexBulk(warmUp, { topN: 5 });
+
+  const linear = await time('linear scan (Math.pow), one by one', async () =>
+    queries.map(q => linearScan(q, descriptors, 5)));
+
+  const single = await time('index search, one by one', async () => {
+    const out = [];
+    for (const q of queries) out.push(await descriptorIndex.searchDescriptorIndex(q, { topN: 5 }));
+    return out;
+  });
+
+  const bulk = await time('index search, bulk', () => descriptorIndex.searchDescriptorIndexBulk(queries, { topN: 5 }));
+
+  await time('index search, one school, bulk', () => descriptorIndex.searchDescriptorIndexBulk(queries, {
+    topN: 5,
+    schoolIds: [students[0].school]
+  }));
+
+  await time(`incremental update x${QUERIES}`, async () => {
+    for (let i = 0; i < QUERIES; i++) {
+      descriptorIndex.updateStudentInIndex({ ...students[i], faceDescriptor: randomDescriptor() });
+    }
+  }, 1);
+
+  // Sanity check: the index returns the same nearest student as the linear scan (before the updates above)
+  const agree = queries.every((_, q) =>
+    String(students[linear.result[q][0].i]._id) === String(single.result[q].matches[0].studentId) &&
+    String(single.result[q].matches[0].studentId) === String(bulk.result[q].matches[0].studentId));
+  console.log(`\nNearest neighbours agree with linear scan: ${agree ? 'yes' : 'NO'}`);
+  console.log(`Speed-up (one by one vs linear): ${(linear.ms / single.ms).toFixed(1)}x`);
+  console.log(`Speed-up (bulk vs linear): ${(linear.ms / bulk.ms).toFixed(1)}x`);
+
+  if (!agree) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Move Day 1 photos stored inline as base64 data URLs into the storage layer
+// (STORAGE_BACKEND, local uploads/ by default), leaving only a reference on each student.
+//   node scripts/migrateDay1Photos.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Student = require('../models/Student');
+const { CONFIG: STORAGE_CONFIG, putObject } = require('../services/storage');
+const { PHOTO_FOLDER, decodeDataUrl } = require('../services/studentPhotos');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Helper function to list the verification states of a student that still hold an inline photo
+function inlinePhotoStates(student) {
+  const states = [student, ...(student.eventResults ? Array.from(student.eventResults.values()) : [])];
+  return states.filter(state => state && state.day1Photo);
+}
+
+async function main() {
+  const MONGO_URL = process.env.MONGO_URL || process.env.MONGODB_URI;
+  if (!MONGO_URL) {
+    throw new Error('Please set MONGO_URL or MONGODB_URI in your .env file');
+  }
+  await mongoose.connect(MONGO_URL);
+
+  console.log(`Migrating Day 1 photos to the '${STORAGE_CONFIG.BACKEND}' storage backend${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const counts = { students: 0, photos: 0, bytes: 0, unreadable: 0 };
+  const cursor = Student.find().cursor();
+  for await (const student of cursor) {
+    const states = inlinePhotoStates(student);
+    if (states.length === 0) continue;
+
+    for (const state of states) {
+      const decoded = decodeDataUrl(state.day1Photo);
+      if (!decoded) {
+        counts.unreadable++;
+        console.warn(`Student ${student._id}: Day 1 photo is not a base64 image data URL, left in place`);
+        continue;
+      }
+      counts.photos++;
+      counts.bytes += decoded.buffer.length;
+      if (DRY_RUN) continue;
+
+      state.day1PhotoAsset = await putObject(decoded.buffer, {
+        folder: `${PHOTO_FOLDER}/${student._id}`,
+        contentType: decoded.contentType
+      });
+      state.day1Photo = undefined;
+    }
+
+    if (!DRY_RUN) await student.save();
+    counts.students++;
+  }
+
+  console.log(`${counts.photos} photos (${(counts.bytes / (1024 * 1024)).toFixed(1)} MB) from ${counts.students} students ${DRY_RUN ? 'would be' : 'were'} moved`);
+  if (counts.unreadable) console.log(`${counts.unreadable} photos could not be decoded and were left in place`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,112 @@
+// List stored photos that no school or student references any more, and optionally delete them.
+//   node scripts/reconcileStorage.js [--purge] [--backend=local|cloudinary|s3] [--min-age-hours=24]
+// Files younger than --min-age-hours are left alone: they may belong to an upload whose
+// document has not been saved yet.
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const School = require('../models/School');
+const Student = require('../models/Student');
+const { CONFIG: STORAGE_CONFIG, BACKENDS, listObjects, deleteObject } = require('../services/storage');
+const { GROUP_PHOTO_FOLDER } = require('../services/groupPhotos');
+const { PHOTO_FOLDER, collectPhotoAssets } = require('../services/studentPhotos');
+
+// Helper function to read a --name=value option
+const option = (name, fallback) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const PURGE = process.argv.includes('--purge');
+const BACKEND = option('backend', STORAGE_CONFIG.BACKEND);
+const MIN_AGE_HOURS = parseFloat(option('min-age-hours', '24'));
+
+// Folders the application writes to; anything else in the bucket or uploads/ is not ours to judge
+const FOLDERS = [
+  { folder: GROUP_PHOTO_FOLDER, access: 'public' },
+  { folder: PHOTO_FOLDER, access: 'private' }
+];
+
+const assetId = (asset) => `${asset.backend}:${asset.key}`;
+
+// Helper function to collect everything the database still points at
+async function collectReferences() {
+  const assetIds = new Set();
+  // Group photos uploaded before assets were recorded are only known by URL
+  const groupPhotoUrls = [];
+
+  const schools = await School.find({}).select('groupPhoto groupPhotoAsset').lean();
+  for (const school of schools) {
+    if (school.groupPhotoAsset) assetIds.add(assetId(school.groupPhotoAsset));
+    else if (school.groupPhoto) groupPhotoUrls.push(school.groupPhoto);
+  }
+
+  for await (const student of Student.find({}).select('day1PhotoAsset eventResults').cursor()) {
+    collectPhotoAssets(student).forEach(asset => assetIds.add(assetId(asset)));
+  }
+
+  return { assetIds, groupPhotoUrls };
+}
+
+async function main() {
+  if (!BACKENDS[BACKEND]) {
+    throw new Error(`Unknown storage backend '${BACKEND}'; expected one of ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  const MONGO_URL = process.env.MONGO_URL || process.env.MONGODB_URI;
+  if (!MONGO_URL) {
+    throw new Error('Please set MONGO_URL or MONGODB_URI in your .env file');
+  }
+  await mongoose.connect(MONGO_URL);
+
+  const { assetIds, groupPhotoUrls } = await collectReferences();
+  const cutoff = Date.now() - MIN_AGE_HOURS * 60 * 60 * 1000;
+
+  const orphans = [];
+  let scanned = 0;
+  let recent = 0;
+  for (const { folder, access } of FOLDERS) {
+    const assets = await listObjects(folder, { access, backend: BACKEND });
+    scanned += assets.length;
+    for (const asset of assets) {
+      if (assetIds.has(assetId(asset)) || groupPhotoUrls.some(url => url.includes(asset.key))) continue;
+      if (asset.uploadedAt && asset.uploadedAt.getTime() > cutoff) {
+        recent++;
+        continue;
+      }
+      orphans.push(asset);
+    }
+  }
+
+  console.log(`Scanned ${scanned} assets on the '${BACKEND}' backend`);
+  for (const asset of orphans) {
+    const uploaded = asset.uploadedAt ? asset.uploadedAt.toISOString() : 'unknown';
+    console.log(`  orphaned  ${asset.key}  ${asset.size || 0} bytes  uploaded ${uploaded}`);
+  }
+  const totalBytes = orphans.reduce((sum, asset) => sum + (asset.size || 0), 0);
+  console.log(`${orphans.length} orphaned assets (${(totalBytes / (1024 * 1024)).toFixed(1)} MB)`);
+  if (recent) console.log(`${recent} unreferenced assets are newer than ${MIN_AGE_HOURS}h and were skipped`);
+
+  if (!PURGE) {
+    if (orphans.length) console.log('Run again with --purge to delete them');
+    return;
+  }
+
+  let deleted = 0;
+  for (const asset of orphans) {
+    try {
+      await deleteObject(asset);
+      deleted++;
+    } catch (err) {
+      console.error(`Failed to delete ${asset.key}:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+  console.log(`Deleted ${deleted} of ${orphans.length} orphaned assets`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
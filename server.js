@@ -4,6 +4,11 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
+const { seedInitialAdmin } = require('./services/seedAdmin');
+const { startJobWorker, stopJobWorker } = require('./services/jobQueue');
+const { recoverGroupDescriptorJobs } = require('./services/groupDescriptorJob');
+const { ensureDescriptorIndex } = require('./services/descriptorIndex');
+const localBackend = require('./services/storage/localBackend');
 
 // Initialize Express app
 const app = express();
@@ -30,6 +35,10 @@ app.use((req, res, next) => {
   next();
 });
 
+// Private files of the local storage backend (student photos) share uploads/, but are only
+// served through authenticated routes and signed /api/storage URLs
+app.use(`/uploads/${localBackend.PRIVATE_PREFIX}`, (req, res) => res.status(404).json({ message: 'Not found' }));
+
 // Serve static files from uploads directory
 app.use('/uploads', express.static(uploadsDir));
 
@@ -44,17 +53,31 @@ app.get('/health', (req, res) => {
 
 // Route imports
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const eventRoutes = require('./routes/event');
 const schoolRoutes = require('./routes/school');
 const studentRoutes = require('./routes/student');
 const verificationRoutes = require('./routes/verification');
 const uploadRoutes = require('./routes/upload');
+const jobRoutes = require('./routes/jobs');
+const duplicateRoutes = require('./routes/duplicates');
+const storageRoutes = require('./routes/storage');
+const syncRoutes = require('./routes/sync');
+const changesRoutes = require('./routes/changes');
 
 // API Routes
+app.use('/api/auth/users', userRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/event', eventRoutes);
 app.use('/api/school', schoolRoutes);
 app.use('/api/student', studentRoutes);
 app.use('/api/verification', verificationRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/changes', changesRoutes);
 
 // Root route for testing
 app.get('/', (req, res) => {
@@ -63,10 +86,17 @@ app.get('/', (req, res) => {
     version: '1.00',
     endpoints: [
       '/api/auth',
+      '/api/auth/users',
+      '/api/event',
       '/api/school',
       '/api/student',
       '/api/verification',
-      '/api/upload'
+      '/api/upload',
+      '/api/jobs',
+      '/api/duplicates',
+      '/api/storage',
+      '/api/sync',
+      '/api/changes'
     ]
   });
 });
@@ -108,14 +138,30 @@ if (!MONGO_URL) {
   process.exit(1);
 }
 
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET not found in environment variables');
+  console.error('Please set JWT_SECRET in your .env file');
+  process.exit(1);
+}
+
 // Connect to MongoDB
 mongoose.connect(MONGO_URL, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('✅ Connected to MongoDB');
 
+  // Make sure someone can log in on a fresh database
+  await seedInitialAdmin();
+
+  // Background jobs: requeue work interrupted by a restart, then start the worker
+  await startJobWorker();
+  await recoverGroupDescriptorJobs();
+
+  // Load face descriptors into memory in the background; queries wait for it if needed
+  ensureDescriptorIndex().catch(err => console.error('Descriptor index load error:', err.message));
+
   // Start server only after successful database connection
   const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
@@ -131,6 +177,7 @@ mongoose.connect(MONGO_URL, {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    stopJobWorker();
     server.close(() => {
       mongoose.connection.close();
       process.exit(0);
@@ -139,6 +186,7 @@ mongoose.connect(MONGO_URL, {
 
   process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
+    stopJobWorker();
     server.close(() => {
       mongoose.connection.close();
       process.exit(0);
@@ -0,0 +1,59 @@
+const StudentAuditLog = require('../models/StudentAuditLog');
+const { getVerificationState } = require('./eventContext');
+
+/**
+ * Capture the verification-related fields of a student for an event as a plain object
+ */
+function snapshotStudentState(student, eventId = null) {
+  const obj = typeof student.toObject === 'function' ? student.toObject({ flattenMaps: true }) : student;
+  const state = getVerificationState(obj, eventId) || {};
+  return {
+    verified: !!state.verified,
+    verificationResult: state.verificationResult || 'pending',
+    manuallyVerified: !!state.manuallyVerified,
+    manualVerificationDate: state.manualVerificationDate || null,
+    hasDay1Photo: !!(state.day1PhotoAsset || state.day1Photo),
+    hasFaceDescriptor: Array.isArray(obj.faceDescriptor) && obj.faceDescriptor.length > 0,
+    dayVerification: state.dayVerification ? JSON.parse(JSON.stringify(state.dayVerification)) : null
+  };
+}
+
+/**
+ * Build an audit entry for one student
+ */
+function buildAuditEntry({ student, actor, event = null, action, day = null, reason = null, notes = null, previousState, newState }) {
+  return {
+    student: student._id,
+    school: student.school?._id || student.school || null,
+    actor: actor?._id || null,
+    actorUsername: actor?.username || null,
+    event,
+    action,
+    day,
+    reason: reason ? String(reason).trim() : null,
+    notes: notes ? String(notes).trim() : null,
+    previousState,
+    newState
+  };
+}
+
+/**
+ * Append a single audit entry
+ */
+async function recordStudentAudit(entry) {
+  return StudentAuditLog.create(buildAuditEntry(entry));
+}
+
+/**
+ * Append audit entries for many students at once
+ */
+async function recordStudentAudits(entries) {
+  if (!entries.length) return [];
+  return StudentAuditLog.insertMany(entries.map(buildAuditEntry));
+}
+
+module.exports = {
+  snapshotStudentState,
+  recordStudentAudit,
+  recordStudentAudits
+};
@@ -0,0 +1,205 @@
+// Incremental change feed for dashboards (GET /api/changes). Students and schools are read
+// in (updatedAt, _id) order and deletions from tombstones in (deletedAt, _id) order; the cursor
+// holds the last position reached in each of the three streams.
+
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Tombstone = require('../models/Tombstone');
+const { CONFIG: REFERENCE_CONFIG } = require('./referenceDescriptors');
+
+// Configuration
+const CONFIG = {
+  DEFAULT_LIMIT: 200,
+  MAX_LIMIT: 1000,
+  // Records written in the last moment are left for the next poll: a write whose updatedAt
+  // was stamped earlier may still be in flight, and would otherwise fall behind the cursor
+  SETTLE_MS: 2000
+};
+
+const CURSOR_VERSION = 1;
+const STREAMS = ['students', 'schools', 'deleted'];
+
+// Helper function for "has a legacy inline photo" in an aggregation, without returning the photo itself
+const hasInlinePhoto = (field) => ({ $gt: [{ $strLenCP: { $ifNull: [field, ''] } }, 0] });
+
+// Students are sent as formatStudentResponse() reads them, without the heavy fields: inline photos
+// (top-level or in any event's state, until scripts/migrateDay1Photos.js has run) are reduced to
+// whether there is one, and face descriptors to how many there are
+const STUDENT_PROJECTION = {
+  name: 1,
+  registrationNo: 1,
+  rollNumber: 1,
+  class: 1,
+  dob: 1,
+  ageGroup: 1,
+  school: 1,
+  verified: 1,
+  verificationResult: 1,
+  manuallyVerified: 1,
+  manualVerificationDate: 1,
+  day1PhotoAsset: 1,
+  day1Photo: hasInlinePhoto('$day1Photo'),
+  dayVerification: 1,
+  eventResults: {
+    $arrayToObject: {
+      $map: {
+        input: { $objectToArray: { $ifNull: ['$eventResults', {}] } },
+        as: 'state',
+        in: { k: '$$state.k', v: { $mergeObjects: ['$$state.v', { day1Photo: hasInlinePhoto('$$state.v.day1Photo') }] } }
+      }
+    }
+  },
+  referenceCount: {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$referenceDescriptors', []] } }, 0] },
+      { $size: '$referenceDescriptors' },
+      { $cond: [{ $eq: [{ $size: { $ifNull: ['$faceDescriptor', []] } }, REFERENCE_CONFIG.DESCRIPTOR_LENGTH] }, 1, 0] }
+    ]
+  },
+  hasFaceDescriptor: { $gt: [{ $size: { $ifNull: ['$faceDescriptor', []] } }, 0] },
+  createdAt: 1,
+  updatedAt: 1
+};
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id));
+
+/**
+ * Opaque cursor for a set of stream positions ({ t: ms or null, id } per stream) and the time it was issued
+ */
+function encodeCursor(positions, issuedAt) {
+  const payload = { v: CURSOR_VERSION, at: issuedAt.getTime(), ...positions };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor back; returns { positions, issuedAt } or null when it is not one of ours
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || payload.v !== CURSOR_VERSION || !Number.isFinite(payload.at)) return null;
+
+  const positions = {};
+  for (const stream of STREAMS) {
+    const position = payload[stream];
+    if (position === undefined || position === null) {
+      positions[stream] = null;
+      continue;
+    }
+    if (!isValidObjectId(position.id) || !(position.t === null || Number.isFinite(position.t))) return null;
+    positions[stream] = { t: position.t, id: position.id };
+  }
+  return { positions, issuedAt: new Date(payload.at) };
+}
+
+// Helper function for the query condition "after this position" on a timestamp field.
+// Documents written before timestamps were enabled have no timestamp and sort first.
+function afterPosition(field, position) {
+  if (!position) return {};
+  if (position.t === null) {
+    return { $or: [{ [field]: null, _id: { $gt: position.id } }, { [field]: { $ne: null } }] };
+  }
+  const t = new Date(position.t);
+  return { $or: [{ [field]: { $gt: t } }, { [field]: t, _id: { $gt: position.id } }] };
+}
+
+// Helper function to read the next page of one stream.
+// fields is a select string, or an aggregation $project (plain documents come back).
+// Returns { docs, position, hasMore } where position is the last document read (or the old one).
+async function readStream(Model, field, filter, position, upTo, limit, fields) {
+  const query = {
+    $and: [
+      filter,
+      { $or: [{ [field]: null }, { [field]: { $lte: upTo } }] },
+      afterPosition(field, position)
+    ]
+  };
+  let docs;
+  if (fields && typeof fields === 'object') {
+    // Aggregations skip schema casting, so ids in the filter are cast the way find() would
+    docs = await Model.aggregate([
+      { $match: Model.find(query).cast(Model) },
+      { $sort: { [field]: 1, _id: 1 } },
+      { $limit: limit + 1 },
+      { $project: fields }
+    ]);
+  } else {
+    let find = Model.find(query).sort({ [field]: 1, _id: 1 }).limit(limit + 1);
+    if (fields) find = find.select(fields);
+    docs = await find;
+  }
+
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  const last = docs[docs.length - 1];
+  return {
+    docs,
+    position: last ? { t: last[field] ? last[field].getTime() : null, id: String(last._id) } : position,
+    hasMore
+  };
+}
+
+/**
+ * Changes after a cursor (everything when there is none), optionally for one school.
+ * Returns { students, schools, deleted, cursor, hasMore } or { error: { status, message, resetRequired? } }.
+ */
+async function fetchChanges({ since = null, schoolId = null, limit = CONFIG.DEFAULT_LIMIT } = {}) {
+  const now = new Date();
+  let positions = { students: null, schools: null, deleted: null };
+
+  if (since) {
+    const decoded = decodeCursor(since);
+    if (!decoded) {
+      return { error: { status: 400, message: 'Invalid cursor' } };
+    }
+    // Deletions older than the tombstone lifetime are gone; the client cannot catch up incrementally
+    if (decoded.issuedAt.getTime() < now.getTime() - Tombstone.TTL_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: { status: 410, message: 'Cursor has expired; reload without since', resetRequired: true } };
+    }
+    positions = decoded.positions;
+  }
+
+  const upTo = new Date(now.getTime() - CONFIG.SETTLE_MS);
+  const [students, schools, deleted] = await Promise.all([
+    readStream(Student, 'updatedAt', schoolId ? { school: schoolId } : {}, positions.students, upTo, limit, STUDENT_PROJECTION),
+    readStream(School, 'updatedAt', schoolId ? { _id: schoolId } : {}, positions.schools, upTo, limit, '-groupDescriptors -groupFaces'),
+    readStream(Tombstone, 'deletedAt', schoolId ? { school: schoolId } : {}, positions.deleted, upTo, limit)
+  ]);
+
+  return {
+    students: students.docs,
+    schools: schools.docs,
+    deleted: deleted.docs,
+    cursor: encodeCursor({ students: students.position, schools: schools.position, deleted: deleted.position }, now),
+    hasMore: students.hasMore || schools.hasMore || deleted.hasMore
+  };
+}
+
+/**
+ * Record tombstones for deleted students or schools ({ _id, school } documents)
+ */
+async function recordDeletions(kind, docs, user = null) {
+  const list = [].concat(docs).filter(Boolean);
+  if (list.length === 0) return [];
+  return Tombstone.insertMany(list.map(doc => ({
+    kind,
+    docId: doc._id,
+    school: kind === 'school' ? doc._id : (doc.school?._id || doc.school || null),
+    deletedBy: user ? user._id : null,
+    deletedAt: new Date()
+  })));
+}
+
+module.exports = {
+  CONFIG,
+  encodeCursor,
+  decodeCursor,
+  afterPosition,
+  fetchChanges,
+  recordDeletions
+};
@@ -0,0 +1,89 @@
+const { euclideanDistance, isValidDescriptor } = require('./referenceDescriptors');
+
+// How far descriptors computed by clients are trusted:
+//   trust       - a client descriptor is used as sent (older clients, offline capture)
+//   cross_check - a client descriptor is only accepted with the image it came from, and must be
+//                 within CROSS_CHECK_TOLERANCE of the descriptor the server extracts from that image
+//   server_only - the server always extracts the descriptor itself; client descriptors are ignored
+// cross_check is the default: under trust a tampered client can send any descriptor. Set
+// DESCRIPTOR_POLICY=trust only for clients that cannot send images, such as offline devices
+// pushing results through /api/sync (refused under the other policies).
+const POLICIES = ['trust', 'cross_check', 'server_only'];
+
+// Configuration
+const CONFIG = {
+  POLICY: POLICIES.includes(process.env.DESCRIPTOR_POLICY) ? process.env.DESCRIPTOR_POLICY : 'cross_check',
+  // Same face through two face-api.js builds (browser vs node) lands well inside this
+  CROSS_CHECK_TOLERANCE: parseFloat(process.env.DESCRIPTOR_CROSS_CHECK_TOLERANCE) || 0.15
+};
+
+/**
+ * Pick the descriptor for a capture under the configured policy.
+ * `extract(image)` runs server-side extraction and resolves to { descriptor, ... } or null.
+ * Returns:
+ *   { descriptor, source, serverVerified, crossCheckDistance, extraction } when a descriptor is available,
+ *   null when the server found no face in the image,
+ *   { error: { status, message, crossCheckDistance? } } when the policy refuses the capture.
+ */
+async function resolveDescriptor({ descriptor, image, extract }, policy = CONFIG.POLICY) {
+  const hasClientDescriptor = Array.isArray(descriptor) && descriptor.length > 0;
+  const clientDescriptor = hasClientDescriptor ? descriptor.map(Number) : null;
+
+  if (hasClientDescriptor && policy !== 'server_only' && !isValidDescriptor(clientDescriptor)) {
+    return { error: { status: 400, message: 'descriptor must be an array of 128 numbers' } };
+  }
+
+  if (hasClientDescriptor && policy === 'trust') {
+    return { descriptor: clientDescriptor, source: 'client_descriptor', serverVerified: false, crossCheckDistance: null, extraction: null };
+  }
+
+  if (!image) {
+    return {
+      error: {
+        status: 400,
+        message: policy === 'cross_check'
+          ? 'The captured image is required with a client descriptor so the server can cross-check it'
+          : 'A captured image is required; the server extracts the face descriptor itself'
+      }
+    };
+  }
+
+  const extraction = await extract(image);
+  if (!extraction || !extraction.descriptor) return null;
+
+  let crossCheckDistance = null;
+  if (hasClientDescriptor && policy === 'cross_check') {
+    crossCheckDistance = parseFloat(euclideanDistance(clientDescriptor, extraction.descriptor).toFixed(4));
+    if (crossCheckDistance > CONFIG.CROSS_CHECK_TOLERANCE) {
+      return {
+        error: {
+          status: 422,
+          message: 'Client descriptor does not match the captured image',
+          crossCheckDistance
+        }
+      };
+    }
+  }
+
+  return {
+    descriptor: extraction.descriptor,
+    source: 'server_extraction',
+    serverVerified: true,
+    crossCheckDistance,
+    extraction
+  };
+}
+
+/**
+ * Whether raw descriptors without images may be used under the configured policy
+ */
+function acceptsBareDescriptors(policy = CONFIG.POLICY) {
+  return policy === 'trust';
+}
+
+module.exports = {
+  CONFIG,
+  POLICIES,
+  resolveDescriptor,
+  acceptsBareDescriptors
+};
@@ -0,0 +1,192 @@
+const School = require('../models/School');
+const Student = require('../models/Student');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { isValidDescriptor } = require('./referenceDescriptors');
+const { squaredDistance, packDescriptors, CONFIG: INDEX_CONFIG } = require('./descriptorIndex');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const JOB_TYPE = 'duplicate_detection';
+
+// Configuration
+const CONFIG = {
+  // Tighter than the verification threshold: two different enrolments this close are very likely one person
+  DUPLICATE_THRESHOLD: parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.35,
+  WRITE_BATCH_SIZE: 500
+};
+
+/**
+ * Queue a scan of every enrolled face template in an event (or of all students when eventId is null)
+ */
+function enqueueDuplicateScan({ eventId = null, threshold = CONFIG.DUPLICATE_THRESHOLD, createdBy = null } = {}) {
+  return enqueueJob(JOB_TYPE, { eventId, threshold }, { createdBy, maxAttempts: 1 });
+}
+
+// Helper function to upsert detected pairs; reviewed pairs keep their status
+async function saveCandidates(pairs, eventId, threshold, jobId) {
+  if (pairs.length === 0) return;
+  const now = new Date();
+
+  await DuplicateCandidate.bulkWrite(pairs.map(pair => ({
+    updateOne: {
+      filter: { event: eventId, studentA: pair.studentA, studentB: pair.studentB },
+      update: {
+        $set: {
+          schoolA: pair.schoolA,
+          schoolB: pair.schoolB,
+          sameSchool: String(pair.schoolA) === String(pair.schoolB),
+          distance: pair.distance,
+          threshold,
+          detectedByJob: jobId,
+          lastDetectedAt: now
+        },
+        $setOnInsert: { status: 'open', firstDetectedAt: now }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+// Helper function to close open pairs a scan did not flag again: a student has been deleted,
+// or the two templates (e.g. after re-enrolment) are no longer within the pair's threshold.
+// Pairs that still match are kept open with their current distance. Returns the number closed.
+async function closeStaleCandidates({ eventId, jobId, students, packed }) {
+  const DIM = INDEX_CONFIG.DIMENSIONS;
+  const positions = new Map(students.map((st, i) => [String(st._id), i]));
+  const unconfirmed = await DuplicateCandidate.find({ event: eventId, status: 'open', detectedByJob: { $ne: jobId } })
+    .select('studentA studentB threshold')
+    .lean();
+  if (unconfirmed.length === 0) return 0;
+
+  const missingIds = unconfirmed
+    .flatMap(c => [c.studentA, c.studentB])
+    .filter(id => !positions.has(String(id)));
+  const existing = new Set((await Student.find({ _id: { $in: missingIds } }).select('_id').lean()).map(st => String(st._id)));
+
+  const now = new Date();
+  const close = (candidate, closedReason) => ({
+    updateOne: {
+      filter: { _id: candidate._id, status: 'open' },
+      update: { $set: { status: 'stale', closedReason, closedAt: now } }
+    }
+  });
+
+  const operations = [];
+  let closed = 0;
+  for (const candidate of unconfirmed) {
+    const a = positions.get(String(candidate.studentA));
+    const b = positions.get(String(candidate.studentB));
+    if (a === undefined || b === undefined) {
+      const deleted = [candidate.studentA, candidate.studentB]
+        .some(id => !positions.has(String(id)) && !existing.has(String(id)));
+      // Students still on file but not scanned have no usable template, or left the event's roster
+      operations.push(close(candidate, deleted ? 'student_deleted' : 'no_longer_matching'));
+      closed++;
+      continue;
+    }
+
+    const distance = Math.sqrt(squaredDistance(packed, a * DIM, packed, b * DIM));
+    if (distance >= candidate.threshold) {
+      operations.push(close(candidate, 'no_longer_matching'));
+      closed++;
+    } else {
+      operations.push({
+        updateOne: {
+          filter: { _id: candidate._id },
+          update: { $set: { distance: parseFloat(distance.toFixed(4)), detectedByJob: jobId, lastDetectedAt: now } }
+        }
+      });
+    }
+  }
+
+  await DuplicateCandidate.bulkWrite(operations, { ordered: false });
+  return closed;
+}
+
+// Helper function to let requests in between rows: the worker shares the API process
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Compare every student's template against all others and flag close pairs
+registerJobHandler(JOB_TYPE, async (job, ctx) => {
+  const eventId = job.payload.eventId || null;
+  const threshold = job.payload.threshold || CONFIG.DUPLICATE_THRESHOLD;
+
+  const studentQuery = { 'faceDescriptor.0': { $exists: true } };
+  if (eventId) {
+    const schools = await School.find({ $or: [{ event: eventId }, { events: eventId }] }).select('_id');
+    studentQuery.school = { $in: schools.map(s => s._id) };
+  }
+
+  const students = (await Student.find(studentQuery).select('_id school faceDescriptor').lean())
+    .map(s => ({ _id: s._id, school: s.school, descriptor: s.faceDescriptor }))
+    .filter(s => isValidDescriptor(s.descriptor))
+    // Sorted by id so every pair is stored as (lower id, higher id)
+    .sort((a, b) => String(a._id).localeCompare(String(b._id)));
+
+  await ctx.log(`Comparing ${students.length} face templates (threshold ${threshold})`);
+
+  // Packed into one Float32Array and compared by squared distance to avoid a sqrt per pair
+  const packed = packDescriptors(students.map(st => st.descriptor));
+  const DIM = INDEX_CONFIG.DIMENSIONS;
+  const thresholdSquared = threshold * threshold;
+
+  let pending = [];
+  let flagged = 0;
+  let lastReported = 0;
+
+  for (let i = 0; i < students.length; i++) {
+    const a = students[i];
+    for (let j = i + 1; j < students.length; j++) {
+      const squared = squaredDistance(packed, i * DIM, packed, j * DIM);
+      if (squared < thresholdSquared) {
+        const b = students[j];
+        const distance = Math.sqrt(squared);
+        pending.push({
+          studentA: a._id,
+          studentB: b._id,
+          schoolA: a.school,
+          schoolB: b.school,
+          distance: parseFloat(distance.toFixed(4))
+        });
+      }
+    }
+
+    await yieldToEventLoop();
+
+    if (pending.length >= CONFIG.WRITE_BATCH_SIZE) {
+      await saveCandidates(pending, eventId, threshold, job._id);
+      flagged += pending.length;
+      pending = [];
+    }
+
+    // Pairs left to compare shrink each row, so report progress by pairs done rather than rows
+    const total = (students.length * (students.length - 1)) / 2;
+    const done = total - ((students.length - i - 1) * (students.length - i - 2)) / 2;
+    const percent = total > 0 ? (done / total) * 95 : 95;
+    if (percent - lastReported >= 5) {
+      lastReported = percent;
+      await ctx.progress(percent, `Compared ${i + 1} of ${students.length} students`);
+    }
+  }
+
+  await saveCandidates(pending, eventId, threshold, job._id);
+  flagged += pending.length;
+
+  // Pairs closed as stale by an earlier scan and flagged again go back to review
+  await DuplicateCandidate.updateMany(
+    { event: eventId, detectedByJob: job._id, status: 'stale' },
+    { $set: { status: 'open', closedReason: null, closedAt: null } }
+  );
+  const closed = await closeStaleCandidates({ eventId, jobId: job._id, students, packed });
+  if (closed > 0) await ctx.log(`Closed ${closed} stale candidates`);
+
+  const open = await DuplicateCandidate.countDocuments({ event: eventId, status: 'open' });
+  return {
+    result: { eventId, threshold, studentsCompared: students.length, pairsFlagged: flagged, pairsClosed: closed, openCandidates: open }
+  };
+});
+
+module.exports = {
+  CONFIG,
+  JOB_TYPE,
+  enqueueDuplicateScan
+};
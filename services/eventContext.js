@@ -0,0 +1,107 @@
+const Event = require('../models/Event');
+const School = require('../models/School');
+const { DEFAULT_SESSIONS } = require('./eventSchedule');
+
+// eventId naming the default programme, whose results are stored on the student itself.
+// Lets clients still reach them once the school has been enrolled in an event.
+const DEFAULT_EVENT_ID = 'default';
+
+/**
+ * Whether an eventId from a request is well-formed (an ObjectId or DEFAULT_EVENT_ID)
+ */
+function isValidEventId(eventId) {
+  return eventId === DEFAULT_EVENT_ID || /^[0-9a-fA-F]{24}$/.test(String(eventId));
+}
+
+/**
+ * Work out which event a request is about for a school.
+ * An explicit eventId must be one the school is enrolled in (or DEFAULT_EVENT_ID); otherwise
+ * the school's current event is used, and schools without one fall back to the default programme.
+ * With forWrite, archived events (isActive: false) are refused with 409.
+ * Returns { eventId, event, sessions } or { error: { status, message } }.
+ */
+async function resolveEventContext(schoolOrId, requestedEventId, { forWrite = false } = {}) {
+  // Always reload: callers often hold a partially-selected or populated school
+  const school = schoolOrId
+    ? await School.findById(schoolOrId._id || schoolOrId).select('event events')
+    : null;
+  if (!school) {
+    return { error: { status: 404, message: 'School not found' } };
+  }
+
+  let eventId = null;
+  if (requestedEventId === DEFAULT_EVENT_ID) {
+    eventId = null;
+  } else if (requestedEventId) {
+    if (!isValidEventId(requestedEventId)) {
+      return { error: { status: 400, message: 'Invalid event ID format' } };
+    }
+    const enrolled = [school.event, ...(school.events || [])]
+      .filter(Boolean)
+      .map(id => String(id._id || id));
+    if (!enrolled.includes(String(requestedEventId))) {
+      return { error: { status: 400, message: 'School is not enrolled in this event' } };
+    }
+    eventId = String(requestedEventId);
+  } else if (school.event) {
+    eventId = String(school.event._id || school.event);
+  }
+
+  const context = await loadEventContext(eventId);
+  if (forWrite && !context.error && context.event && context.event.isActive === false) {
+    return { error: { status: 409, message: `Event ${context.event.name} is archived; results can no longer be recorded` } };
+  }
+  return context;
+}
+
+/**
+ * Build the context for an event id (or the default programme when null)
+ */
+async function loadEventContext(eventId) {
+  if (!eventId || eventId === DEFAULT_EVENT_ID) {
+    return { eventId: null, event: null, sessions: DEFAULT_SESSIONS.map(s => ({ ...s })) };
+  }
+
+  const event = await Event.findById(eventId).select('name sessions isActive');
+  if (!event) {
+    return { error: { status: 404, message: 'Event not found' } };
+  }
+
+  return {
+    eventId: String(event._id),
+    event,
+    sessions: event.sessions.map(s => ({ key: s.key, label: s.label || s.key, date: s.date || null }))
+  };
+}
+
+/**
+ * Path of a verification-state field for queries and updates
+ * (top-level for the default programme, under eventResults.<id> for an event)
+ */
+function statePath(eventId, field) {
+  return eventId ? `eventResults.${eventId}.${field}` : field;
+}
+
+/**
+ * The verification state of a student for an event.
+ * With create, a missing event entry is initialised so it can be written to.
+ */
+function getVerificationState(student, eventId, { create = false } = {}) {
+  if (!eventId) return student;
+  const results = student.eventResults;
+  const read = (key) => (typeof results?.get === 'function' ? results.get(key) : results?.[key]);
+
+  if (!read(eventId) && create) {
+    student.eventResults.set(eventId, {});
+  }
+  return read(eventId) || null;
+}
+
+module.exports = {
+  DEFAULT_EVENT_ID,
+  isValidEventId,
+  resolveEventContext,
+  loadEventContext,
+  statePath,
+  getVerificationState
+};
@@ -0,0 +1,71 @@
+// Schedule used by schools that are not attached to an event (the original six-day programme)
+const DEFAULT_SESSIONS = Object.freeze(
+  [1, 2, 3, 4, 5, 6].map(n => Object.freeze({ key: `day${n}`, label: `Day ${n}`, date: null }))
+);
+
+/**
+ * Resolve a session given as its key or as a day number (3 -> "day3").
+ * Returns the session key, or null if the event has no such session.
+ */
+function resolveSessionKey(input, sessions) {
+  if (input === undefined || input === null || input === '') return null;
+  const keys = sessions.map(s => s.key);
+  const raw = String(input).trim();
+  if (keys.includes(raw)) return raw;
+  if (/^\d+$/.test(raw) && keys.includes(`day${parseInt(raw, 10)}`)) {
+    return `day${parseInt(raw, 10)}`;
+  }
+  return null;
+}
+
+/**
+ * The enrolment session whose photo becomes the student's reference
+ */
+function getReferenceSessionKey(sessions) {
+  return sessions[0]?.key || 'day1';
+}
+
+/**
+ * Read one session's result from a student document or lean object
+ */
+function getSessionResult(student, key) {
+  const dv = student?.dayVerification;
+  if (!dv || !key) return null;
+  return (typeof dv.get === 'function' ? dv.get(key) : dv[key]) || null;
+}
+
+/**
+ * Write one session's result on a student document
+ */
+function setSessionResult(student, key, value) {
+  if (!student.dayVerification) student.dayVerification = {};
+  student.dayVerification.set(key, value);
+}
+
+/**
+ * Plain-object view of a student's session results with every scheduled session filled in
+ */
+function formatSessionResults(student, sessions) {
+  const out = {};
+  for (const { key } of sessions) {
+    const entry = getSessionResult(student, key);
+    out[key] = entry
+      ? {
+        result: entry.result || 'pending',
+        date: entry.date || null,
+        confidence: entry.confidence ?? null,
+        distance: entry.distance ?? null
+      }
+      : { result: 'pending' };
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_SESSIONS,
+  resolveSessionKey,
+  getReferenceSessionKey,
+  getSessionResult,
+  setSessionResult,
+  formatSessionResults
+};
@@ -0,0 +1,113 @@
+const XLSX = require('xlsx');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const { resolveEventContext, statePath, getVerificationState } = require('./eventContext');
+const { registerJobHandler } = require('./jobQueue');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Helper function to describe a verification result for XLSX exports
+const formatVerificationStatus = (result) => {
+  if (result === 'success') return 'Verified';
+  if (result === 'manually_verified') return 'Manually Verified';
+  if (result === 'failed') return 'Failed';
+  return 'Pending';
+};
+
+// Helper function to sanitize filename
+const sanitizeFilename = (filename) => {
+  return filename.replace(/[^a-zA-Z0-9\-_\.]/g, '_');
+};
+
+/**
+ * Build the workbook of verified students across all schools (or those enrolled in eventId).
+ * onProgress(percent, message) is awaited after each school, so a job can cancel between schools.
+ * Returns { filename, buffer, rowCount, schoolCount }; buffer is null when nobody is verified.
+ */
+async function buildAllVerifiedExport({ eventId = null } = {}, onProgress = async () => {}) {
+  // Get all schools (or those enrolled in the requested event) and their verified students
+  const schools = await School.find(eventId ? { $or: [{ event: eventId }, { events: eventId }] } : {});
+  const allVerifiedStudents = [];
+
+  for (let i = 0; i < schools.length; i++) {
+    const school = schools[i];
+
+    // Each school reports its current event unless a specific event was requested
+    const context = await resolveEventContext(school, eventId);
+    if (!context.error) {
+      const students = await Student.find({
+        school: school._id,
+        [statePath(context.eventId, 'verificationResult')]: { $in: ['success', 'manually_verified'] }
+      });
+
+      // Add school info to each student
+      allVerifiedStudents.push(...students.map(student => {
+        const state = getVerificationState(student, context.eventId);
+        return {
+          'Name': student.name,
+          'Roll Number': student.rollNumber,
+          'Verification Status': formatVerificationStatus(state.verificationResult),
+          'School': school.name,
+          'Event': context.event?.name || '',
+          'Verification Date': state.manualVerificationDate ||
+            (student.updatedAt ? student.updatedAt.toISOString().split('T')[0] : new Date().toISOString().split('T')[0])
+        };
+      }));
+    }
+
+    await onProgress(Math.round(((i + 1) / schools.length) * 90), `Processed ${i + 1} of ${schools.length} schools`);
+  }
+
+  const filename = sanitizeFilename(`all_verified_profiles_${new Date().toISOString().split('T')[0]}.xlsx`);
+  if (allVerifiedStudents.length === 0) {
+    return { filename, buffer: null, rowCount: 0, schoolCount: schools.length };
+  }
+
+  // Create workbook and worksheet
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.json_to_sheet(allVerifiedStudents);
+
+  // Auto-size columns
+  worksheet['!cols'] = [
+    { wch: 25 }, // Name
+    { wch: 15 }, // Roll Number
+    { wch: 20 }, // Verification Status
+    { wch: 30 }, // School
+    { wch: 25 }, // Event
+    { wch: 15 }  // Verification Date
+  ];
+
+  // Add worksheet to workbook
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'All Verified Profiles');
+
+  return {
+    filename,
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    rowCount: allVerifiedStudents.length,
+    schoolCount: schools.length
+  };
+}
+
+// Background version of GET /api/school/download/all-verified
+registerJobHandler('verified_export', async (job, ctx) => {
+  const { eventId = null } = job.payload;
+  const exported = await buildAllVerifiedExport({ eventId }, (percent, message) => ctx.progress(percent, message));
+
+  const result = { rowCount: exported.rowCount, schoolCount: exported.schoolCount };
+  if (!exported.buffer) {
+    await ctx.log('No verified students found; no file generated', 'warn');
+    return { result };
+  }
+
+  return {
+    result,
+    file: { filename: exported.filename, contentType: XLSX_CONTENT_TYPE, data: exported.buffer }
+  };
+});
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  formatVerificationStatus,
+  sanitizeFilename,
+  buildAllVerifiedExport
+};
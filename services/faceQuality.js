@@ -0,0 +1,161 @@
+// Face image quality assessment: sharpness, brightness, face size, head pose and face count.
+// Works on grayscale pixels of the face region plus the detector's box and 68 landmarks,
+// so it has no dependency on how the image was decoded.
+
+// Helper function to read a numeric limit from the environment
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Configuration
+const CONFIG = {
+  // Variance of the Laplacian over the face region; below this the face is blurred
+  MIN_SHARPNESS: envNumber('FACE_QUALITY_MIN_SHARPNESS', 40),
+  // Mean luma (0-255) of the face region
+  MIN_BRIGHTNESS: envNumber('FACE_QUALITY_MIN_BRIGHTNESS', 60),
+  MAX_BRIGHTNESS: envNumber('FACE_QUALITY_MAX_BRIGHTNESS', 210),
+  // Face box width as a fraction of the shorter image side
+  MIN_FACE_RATIO: envNumber('FACE_QUALITY_MIN_FACE_RATIO', 0.2),
+  // Estimated head rotation in degrees
+  MAX_YAW: envNumber('FACE_QUALITY_MAX_YAW', 25),
+  MAX_PITCH: envNumber('FACE_QUALITY_MAX_PITCH', 20),
+  MAX_FACES: envNumber('FACE_QUALITY_MAX_FACES', 1),
+  // Face regions are downscaled to this width before measuring, so results do not depend on resolution
+  ANALYSIS_WIDTH: 128,
+  // Enrolment refuses low-quality photos, and so requires a photo; 'off' accepts bare descriptors unchecked
+  ENROLMENT_GATE: process.env.FACE_QUALITY_ENROLMENT_GATE !== 'off'
+};
+
+// Eye-to-nose distance as a fraction of eye-to-mouth distance for a frontal face
+const NEUTRAL_NOSE_RATIO = 0.55;
+
+// Helper function to convert RGBA pixels to luma
+function toGrayscale(rgba, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian: low values mean few edges, i.e. blur
+ */
+function laplacianVariance(gray, width, height) {
+  if (width < 3 || height < 3) return 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSquares += value * value;
+      n++;
+    }
+  }
+  const mean = sum / n;
+  return sumSquares / n - mean * mean;
+}
+
+/**
+ * Mean luma of a grayscale buffer
+ */
+function meanBrightness(gray) {
+  let sum = 0;
+  for (let i = 0; i < gray.length; i++) sum += gray[i];
+  return gray.length ? sum / gray.length : 0;
+}
+
+// Helper function for the centre of a set of landmark points
+const centre = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+const toDegrees = (ratio) => (Math.asin(Math.max(-1, Math.min(1, ratio))) * 180) / Math.PI;
+
+/**
+ * Rough head pose from 68-point landmarks: yaw from the nose tip's offset between the
+ * jaw edges, pitch from the nose tip's height between the eyes and the mouth.
+ * Returns { yaw, pitch } in degrees, or null without a full landmark set.
+ */
+function estimateHeadPose(positions) {
+  if (!Array.isArray(positions) || positions.length < 68) return null;
+
+  const jawLeft = positions[0];
+  const jawRight = positions[16];
+  const noseTip = positions[30];
+  const eyes = centre(positions.slice(36, 48));
+  const mouth = centre(positions.slice(48, 68));
+
+  const halfWidth = (jawRight.x - jawLeft.x) / 2;
+  const midX = (jawLeft.x + jawRight.x) / 2;
+  const eyeToMouth = mouth.y - eyes.y;
+  if (halfWidth <= 0 || eyeToMouth <= 0) return null;
+
+  const noseRatio = (noseTip.y - eyes.y) / eyeToMouth;
+  return {
+    yaw: toDegrees((noseTip.x - midX) / halfWidth),
+    pitch: toDegrees((noseRatio - NEUTRAL_NOSE_RATIO) / NEUTRAL_NOSE_RATIO)
+  };
+}
+
+// Helper function to round a measurement for responses
+const round = (value, digits = 1) => (typeof value === 'number' ? parseFloat(value.toFixed(digits)) : null);
+
+/**
+ * Assess one face.
+ * input: { gray, grayWidth, grayHeight } pixels of the face region,
+ *        { box, imageWidth, imageHeight } geometry, landmarks (68 {x, y} points), faceCount.
+ * Returns { passed, score, checks, reasons } where each check has value, limits and passed,
+ * and reasons lists a message for every failed check.
+ */
+function assessFaceQuality({ gray, grayWidth, grayHeight, box, imageWidth, imageHeight, landmarks, faceCount = 1 }, limits = CONFIG) {
+  const checks = {};
+  const reasons = [];
+
+  const sharpness = gray ? laplacianVariance(gray, grayWidth, grayHeight) : null;
+  checks.sharpness = { value: round(sharpness), min: limits.MIN_SHARPNESS, passed: sharpness !== null && sharpness >= limits.MIN_SHARPNESS };
+  if (!checks.sharpness.passed) reasons.push('Face is blurred or out of focus');
+
+  const brightness = gray ? meanBrightness(gray) : null;
+  checks.brightness = {
+    value: round(brightness),
+    min: limits.MIN_BRIGHTNESS,
+    max: limits.MAX_BRIGHTNESS,
+    passed: brightness !== null && brightness >= limits.MIN_BRIGHTNESS && brightness <= limits.MAX_BRIGHTNESS
+  };
+  if (brightness !== null && brightness < limits.MIN_BRIGHTNESS) reasons.push('Face is too dark');
+  if (brightness !== null && brightness > limits.MAX_BRIGHTNESS) reasons.push('Face is overexposed');
+
+  const shorterSide = Math.min(imageWidth || 0, imageHeight || 0);
+  const faceRatio = box && shorterSide > 0 ? box.width / shorterSide : null;
+  checks.faceSize = { value: round(faceRatio, 3), min: limits.MIN_FACE_RATIO, passed: faceRatio !== null && faceRatio >= limits.MIN_FACE_RATIO };
+  if (!checks.faceSize.passed) reasons.push('Face is too small in the frame; move closer');
+
+  const pose = estimateHeadPose(landmarks);
+  checks.yaw = { value: round(pose && pose.yaw), max: limits.MAX_YAW, passed: !!pose && Math.abs(pose.yaw) <= limits.MAX_YAW };
+  if (!checks.yaw.passed) reasons.push(pose ? 'Head is turned to the side; face the camera' : 'Facial landmarks could not be located');
+  checks.pitch = { value: round(pose && pose.pitch), max: limits.MAX_PITCH, passed: !!pose && Math.abs(pose.pitch) <= limits.MAX_PITCH };
+  if (pose && !checks.pitch.passed) reasons.push('Head is tilted up or down; look straight at the camera');
+
+  checks.faceCount = { value: faceCount, max: limits.MAX_FACES, passed: faceCount >= 1 && faceCount <= limits.MAX_FACES };
+  if (faceCount > limits.MAX_FACES) reasons.push(`${faceCount} faces in the frame; only one person should be visible`);
+
+  const names = Object.keys(checks);
+  const score = Math.round((names.filter(name => checks[name].passed).length / names.length) * 100);
+
+  return { passed: reasons.length === 0, score, checks, reasons };
+}
+
+module.exports = {
+  CONFIG,
+  toGrayscale,
+  laplacianVariance,
+  meanBrightness,
+  estimateHeadPose,
+  assessFaceQuality
+};
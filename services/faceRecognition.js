@@ -0,0 +1,320 @@
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+
+// Face recognition libraries
+const faceapi = require('face-api.js');
+const canvas = require('canvas');
+const { Canvas, Image, ImageData } = canvas;
+const { CONFIG: QUALITY_CONFIG, toGrayscale, assessFaceQuality } = require('./faceQuality');
+
+// Monkey patch for face-api.js
+faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+
+// Configuration
+const CONFIG = {
+  MODELS_PATH: path.join(__dirname, '..', 'models', 'face_models'),
+  MAX_IMAGE_SIZE: 5 * 1024 * 1024, // 5MB
+  SUPPORTED_FORMATS: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  DETECTOR_OPTIONS: {
+    inputSize: 416,
+    scoreThreshold: 0.5
+  },
+  // Group photos have many small faces: larger input, slightly more permissive score
+  GROUP_DETECTOR_OPTIONS: {
+    inputSize: 608,
+    scoreThreshold: 0.4
+  },
+  DOWNLOAD_TIMEOUT_MS: 30000
+};
+
+// Model loading state
+let modelsLoaded = false;
+let modelLoadPromise = null;
+
+/**
+ * Check if face recognition models exist
+ */
+async function checkModelsExist() {
+  try {
+    const modelFiles = [
+      'tiny_face_detector_model-weights_manifest.json',
+      'face_landmark_68_model-weights_manifest.json',
+      'face_recognition_model-weights_manifest.json'
+    ];
+
+    const checks = modelFiles.map(async (file) => {
+      try {
+        await fs.access(path.join(CONFIG.MODELS_PATH, file));
+        return true;
+      } catch {
+        return false;
+      }
+    });
+
+    const results = await Promise.all(checks);
+    return results.every(exists => exists);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load face-api.js models
+ */
+async function loadFaceApiModels() {
+  try {
+    if (modelsLoaded) return;
+
+    console.log('Loading face recognition models...');
+
+    // Check if models directory exists
+    const modelsExist = await checkModelsExist();
+    if (!modelsExist) {
+      throw new Error('Face recognition models not found. Please ensure models are placed in the correct directory.');
+    }
+
+    await Promise.all([
+      faceapi.nets.tinyFaceDetector.loadFromDisk(CONFIG.MODELS_PATH),
+      faceapi.nets.faceLandmark68Net.loadFromDisk(CONFIG.MODELS_PATH),
+      faceapi.nets.faceRecognitionNet.loadFromDisk(CONFIG.MODELS_PATH)
+    ]);
+
+    modelsLoaded = true;
+    console.log('Face recognition models loaded successfully');
+  } catch (error) {
+    console.error('Error loading face recognition models:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load models once; a failed load is retried on the next call
+ */
+function ensureModelsLoaded() {
+  if (!modelLoadPromise) {
+    modelLoadPromise = loadFaceApiModels().catch((error) => {
+      modelLoadPromise = null;
+      throw error;
+    });
+  }
+  return modelLoadPromise;
+}
+
+/**
+ * Whether the models have finished loading
+ */
+function isModelsLoaded() {
+  return modelsLoaded;
+}
+
+/**
+ * Thrown for image data the client got wrong: missing, malformed, too large or undecodable.
+ * Routes answer it with 400; other extraction errors mean the service itself is failing.
+ */
+class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validate base64 image
+ */
+function validateBase64Image(base64) {
+  if (!base64 || typeof base64 !== 'string') {
+    throw new InvalidImageError('Invalid image data provided');
+  }
+
+  // Check if it's a valid base64 image
+  const base64Regex = /^data:image\/(jpeg|jpg|png|webp);base64,/;
+  if (!base64Regex.test(base64)) {
+    throw new InvalidImageError('Invalid image format. Only JPEG, PNG, and WebP are supported');
+  }
+
+  // Estimate size (base64 is ~4/3 larger than binary)
+  const estimatedSize = (base64.length * 3) / 4;
+  if (estimatedSize > CONFIG.MAX_IMAGE_SIZE) {
+    throw new InvalidImageError(`Image too large. Maximum size is ${CONFIG.MAX_IMAGE_SIZE / (1024 * 1024)}MB`);
+  }
+
+  return true;
+}
+
+// Helper function to validate and decode a base64 image for face detection
+async function loadBase64Image(base64) {
+  validateBase64Image(base64);
+  const buffer = Buffer.from(base64.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  try {
+    return await canvas.loadImage(buffer);
+  } catch (error) {
+    throw new InvalidImageError('Invalid image data: the image could not be decoded');
+  }
+}
+
+// Helper function to read the face region as grayscale, downscaled to the analysis width
+function readFaceRegion(img, box) {
+  const x = Math.max(0, Math.floor(box.x));
+  const y = Math.max(0, Math.floor(box.y));
+  const width = Math.min(img.width - x, Math.ceil(box.width));
+  const height = Math.min(img.height - y, Math.ceil(box.height));
+  if (width < 3 || height < 3) return null;
+
+  const scale = Math.min(1, QUALITY_CONFIG.ANALYSIS_WIDTH / width);
+  const outWidth = Math.max(3, Math.round(width * scale));
+  const outHeight = Math.max(3, Math.round(height * scale));
+  const region = canvas.createCanvas(outWidth, outHeight);
+  const ctx = region.getContext('2d');
+  ctx.drawImage(img, x, y, width, height, 0, 0, outWidth, outHeight);
+
+  const { data } = ctx.getImageData(0, 0, outWidth, outHeight);
+  return { gray: toGrayscale(data, outWidth, outHeight), grayWidth: outWidth, grayHeight: outHeight };
+}
+
+/**
+ * Extract face descriptor from base64 image.
+ * The most confident face is used; `quality` assesses it (see services/faceQuality.js),
+ * including how many faces were in the frame.
+ */
+async function extractDescriptorFromBase64(base64) {
+  try {
+    // Ensure models are loaded
+    await ensureModelsLoaded();
+
+    const img = await loadBase64Image(base64);
+
+    // Detect every face so extra people in the frame can be reported
+    const detections = await faceapi
+      .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions(CONFIG.DETECTOR_OPTIONS))
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+
+    if (detections.length === 0) {
+      return null;
+    }
+    const detection = detections.reduce((best, d) => (d.detection.score > best.detection.score ? d : best));
+
+    // Validate detection quality
+    const detectionScore = detection.detection.score;
+    if (detectionScore < CONFIG.DETECTOR_OPTIONS.scoreThreshold) {
+      console.log(`Low quality face detection: ${detectionScore}`);
+      return null;
+    }
+
+    const { box } = detection.detection;
+    const quality = assessFaceQuality({
+      ...readFaceRegion(img, box),
+      box,
+      imageWidth: img.width,
+      imageHeight: img.height,
+      landmarks: detection.landmarks?.positions,
+      faceCount: detections.length
+    });
+
+    return {
+      descriptor: Array.from(detection.descriptor),
+      confidence: detectionScore,
+      landmarks: detection.landmarks?.positions?.length || 0,
+      quality
+    };
+
+  } catch (error) {
+    if (error instanceof InvalidImageError) throw error;
+    console.error('Error extracting face descriptor:', error);
+    throw new Error(`Face extraction failed: ${error.message}`);
+  }
+}
+
+/**
+ * Detect the face, its landmarks and its descriptor in each frame of a capture burst (for liveness checks).
+ * Frames without a face are skipped; returns [{ landmarks, descriptor, gray, grayWidth, grayHeight }].
+ */
+async function analyzeFrames(base64Frames) {
+  await ensureModelsLoaded();
+
+  const analysed = [];
+  for (const frame of base64Frames) {
+    const img = await loadBase64Image(frame);
+
+    const detection = await faceapi
+      .detectSingleFace(img, new faceapi.TinyFaceDetectorOptions(CONFIG.DETECTOR_OPTIONS))
+      .withFaceLandmarks()
+      .withFaceDescriptor();
+    if (!detection) continue;
+
+    analysed.push({
+      landmarks: detection.landmarks.positions.map(p => ({ x: p.x, y: p.y })),
+      descriptor: Array.from(detection.descriptor),
+      ...readFaceRegion(img, detection.detection.box)
+    });
+  }
+  return analysed;
+}
+
+/**
+ * Fetch an image as a buffer from a remote URL or a path under the project root
+ */
+async function fetchImageBuffer(source) {
+  if (!source) {
+    throw new Error('No image source provided');
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    const response = await axios.get(source, {
+      responseType: 'arraybuffer',
+      timeout: CONFIG.DOWNLOAD_TIMEOUT_MS
+    });
+    return Buffer.from(response.data);
+  }
+
+  // Local paths such as "/uploads/file.jpg" are resolved against the project root only
+  const root = path.join(__dirname, '..');
+  const resolved = path.resolve(root, source.replace(/^\/+/, ''));
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error('Image path is outside the project directory');
+  }
+  return fs.readFile(resolved);
+}
+
+/**
+ * Detect every face in an image buffer and return one descriptor per face
+ */
+async function detectAllFaceDescriptors(buffer, detectorOptions = CONFIG.GROUP_DETECTOR_OPTIONS) {
+  await ensureModelsLoaded();
+
+  const img = await canvas.loadImage(buffer);
+  const detections = await faceapi
+    .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions(detectorOptions))
+    .withFaceLandmarks()
+    .withFaceDescriptors();
+
+  return detections.map(d => ({
+    descriptor: Array.from(d.descriptor),
+    score: d.detection.score,
+    landmarks: d.landmarks?.positions?.length || 0,
+    // Pixel coordinates in the original photo
+    box: {
+      x: Math.round(d.detection.box.x),
+      y: Math.round(d.detection.box.y),
+      width: Math.round(d.detection.box.width),
+      height: Math.round(d.detection.box.height)
+    },
+    imageWidth: img.width,
+    imageHeight: img.height
+  }));
+}
+
+module.exports = {
+  CONFIG,
+  InvalidImageError,
+  checkModelsExist,
+  ensureModelsLoaded,
+  isModelsLoaded,
+  validateBase64Image,
+  extractDescriptorFromBase64,
+  analyzeFrames,
+  fetchImageBuffer,
+  detectAllFaceDescriptors
+};
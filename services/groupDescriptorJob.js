@@ -0,0 +1,132 @@
+const School = require('../models/School');
+const Job = require('../models/Job');
+const { detectAllFaceDescriptors } = require('./faceRecognition');
+const { readGroupPhoto } = require('./groupPhotos');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { updateSchoolGroupInIndex } = require('./descriptorIndex');
+const { buildGroupFaces } = require('./groupFaces');
+
+const JOB_TYPE = 'group_descriptors';
+
+/**
+ * Mark a school for server-side extraction and queue a job for it.
+ * A job already waiting for the school is reused rather than duplicated.
+ */
+async function enqueueGroupDescriptorJob(schoolId, { createdBy = null } = {}) {
+  const school = await School.findOne({ _id: schoolId, groupPhoto: { $nin: [null, ''] } }).select('_id');
+  if (!school) return null;
+
+  let job = await Job.findOne({ type: JOB_TYPE, 'payload.schoolId': String(school._id), status: 'queued' });
+  if (!job) {
+    job = await enqueueJob(JOB_TYPE, { schoolId: String(school._id) }, { createdBy });
+  }
+
+  return School.findByIdAndUpdate(
+    school._id,
+    { groupDescriptorsStatus: 'processing', groupDescriptorsError: null, groupDescriptorsJob: job._id },
+    { new: true }
+  );
+}
+
+/**
+ * Queue a job for every school left in 'processing' without one,
+ * e.g. schools that were waiting on a browser before extraction moved server-side
+ */
+async function recoverGroupDescriptorJobs() {
+  const schools = await School.find({
+    groupDescriptorsStatus: 'processing',
+    groupPhoto: { $nin: [null, ''] }
+  }).select('_id');
+
+  let queued = 0;
+  for (const school of schools) {
+    const active = await Job.exists({
+      type: JOB_TYPE,
+      'payload.schoolId': String(school._id),
+      status: { $in: ['queued', 'running'] }
+    });
+    if (!active) {
+      await enqueueGroupDescriptorJob(school._id);
+      queued++;
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`🔁 Queued group descriptor extraction for ${queued} school(s)`);
+  }
+  return queued;
+}
+
+// Download the school's group photo, detect every face and store the descriptors
+registerJobHandler(JOB_TYPE, async (job, ctx) => {
+  const { schoolId } = job.payload;
+  const school = await School.findById(schoolId).select('groupPhoto groupPhotoAsset groupDescriptorsJob');
+  if (!school || !school.groupPhoto) {
+    await ctx.log('School or group photo no longer exists; nothing to do', 'warn');
+    return { result: { skipped: true } };
+  }
+  // A newer job (or descriptors posted by a client) has taken over
+  if (school.groupDescriptorsJob && String(school.groupDescriptorsJob) !== String(job._id)) {
+    await ctx.log('Superseded by a newer extraction job', 'warn');
+    return { result: { skipped: true } };
+  }
+
+  const photo = school.groupPhoto;
+  await School.updateOne(
+    { _id: schoolId },
+    { groupDescriptorsStatus: 'processing', groupDescriptorsJob: job._id }
+  );
+
+  await ctx.progress(10, 'Downloading group photo');
+  const buffer = await readGroupPhoto(school);
+
+  await ctx.progress(30, 'Detecting faces');
+  const faces = await detectAllFaceDescriptors(buffer);
+  if (faces.length === 0) {
+    throw new Error('No faces detected in group photo');
+  }
+
+  await ctx.progress(90, `Saving ${faces.length} descriptors`);
+  // Only store results for the photo that was processed; a replacement queues its own job.
+  // Re-extraction starts the face-to-student mapping over; samples already given to students stay.
+  const groupFaces = buildGroupFaces(faces);
+  const saved = await School.updateOne(
+    { _id: schoolId, groupPhoto: photo, groupDescriptorsJob: job._id },
+    {
+      groupDescriptors: faces.map(f => f.descriptor),
+      groupFaces,
+      groupPhotoSize: { width: faces[0].imageWidth, height: faces[0].imageHeight },
+      groupDescriptorsStatus: 'ready',
+      groupDescriptorsError: null,
+      groupDescriptorsUpdatedAt: new Date()
+    }
+  );
+
+  if (saved.modifiedCount > 0) {
+    updateSchoolGroupInIndex(schoolId, faces.map(f => f.descriptor), groupFaces);
+  }
+
+  return { result: { schoolId, facesDetected: faces.length, saved: saved.modifiedCount > 0 } };
+}, {
+  async onFailed(job, err, { final, cancelled }) {
+    const { schoolId } = job.payload;
+    const filter = { _id: schoolId, groupDescriptorsJob: job._id };
+
+    if (!final) {
+      await School.updateOne(filter, { groupDescriptorsError: `Attempt ${job.attempts} failed: ${err.message}` });
+      return;
+    }
+
+    await School.updateOne(filter, {
+      groupDescriptorsStatus: 'error',
+      groupDescriptorsError: cancelled ? 'Extraction cancelled' : err.message,
+      groupDescriptorsUpdatedAt: new Date()
+    });
+  }
+});
+
+module.exports = {
+  JOB_TYPE,
+  enqueueGroupDescriptorJob,
+  recoverGroupDescriptorJobs
+};
@@ -0,0 +1,206 @@
+const sharp = require('sharp');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const { isValidDescriptor, addReferenceDescriptor, removeReferenceDescriptor } = require('./referenceDescriptors');
+const { updateStudentInIndex, updateSchoolGroupInIndex } = require('./descriptorIndex');
+
+// Configuration
+const CONFIG = {
+  // Margin added around a detection box on each side, as a fraction of the box size
+  CROP_PADDING: 0.25,
+  CROP_SIZE: 160,
+  MIN_THUMBNAIL_SIZE: 32,
+  MAX_THUMBNAIL_SIZE: 512
+};
+
+// Helper function to check a bounding box posted by a client
+const isValidBox = (box) => !!box &&
+  ['x', 'y', 'width', 'height'].every(key => typeof box[key] === 'number' && isFinite(box[key])) &&
+  box.width > 0 && box.height > 0;
+
+/**
+ * Group face entries for detected faces ({ box, score, landmarks }), in detection order
+ */
+function buildGroupFaces(faces) {
+  return faces.map(f => ({
+    box: f.box || null,
+    score: typeof f.score === 'number' ? parseFloat(f.score.toFixed(4)) : null,
+    landmarkCount: typeof f.landmarks === 'number' ? f.landmarks : null
+  }));
+}
+
+/**
+ * Validate faces posted by a client ({ descriptor, box, score, landmarkCount }).
+ * Returns { descriptors, groupFaces } or { error }.
+ */
+function parseClientFaces(faces) {
+  const descriptors = [];
+  const groupFaces = [];
+
+  for (let i = 0; i < faces.length; i++) {
+    const face = faces[i] || {};
+    const descriptor = Array.isArray(face.descriptor) ? face.descriptor.map(Number) : null;
+    if (!isValidDescriptor(descriptor)) {
+      return { error: `faces[${i}].descriptor must be an array of 128 numbers` };
+    }
+    if (face.box !== undefined && face.box !== null && !isValidBox(face.box)) {
+      return { error: `faces[${i}].box must have numeric x, y and positive width, height` };
+    }
+    if (face.score !== undefined && face.score !== null && (typeof face.score !== 'number' || face.score < 0 || face.score > 1)) {
+      return { error: `faces[${i}].score must be a number between 0 and 1` };
+    }
+
+    const box = face.box
+      ? { x: Math.round(face.box.x), y: Math.round(face.box.y), width: Math.round(face.box.width), height: Math.round(face.box.height) }
+      : null;
+    descriptors.push(descriptor);
+    groupFaces.push(...buildGroupFaces([{
+      box,
+      score: face.score,
+      landmarks: Number.isInteger(face.landmarkCount) ? face.landmarkCount : null
+    }]));
+  }
+
+  return { descriptors, groupFaces };
+}
+
+/**
+ * Pad groupFaces so every group descriptor has an entry
+ * (schools whose descriptors were stored before faces were tracked). Caller saves.
+ */
+function alignGroupFaces(school) {
+  const count = (school.groupDescriptors || []).length;
+  if (!school.groupFaces) school.groupFaces = [];
+  while (school.groupFaces.length < count) school.groupFaces.push({});
+  if (school.groupFaces.length > count) school.groupFaces.splice(count);
+}
+
+/**
+ * Crop region for a face box: padded and clamped to the photo, in sharp's extract() shape
+ */
+function cropRegion(box, { width, height }) {
+  if (!box) return null;
+  const padX = box.width * CONFIG.CROP_PADDING;
+  const padY = box.height * CONFIG.CROP_PADDING;
+  const left = Math.max(0, Math.floor(box.x - padX));
+  const top = Math.max(0, Math.floor(box.y - padY));
+  const right = Math.min(width, Math.ceil(box.x + box.width + padX));
+  const bottom = Math.min(height, Math.ceil(box.y + box.height + padY));
+  if (right <= left || bottom <= top) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Cut one face out of the group photo as a square JPEG
+ */
+async function cropGroupFace(photoBuffer, box, size = CONFIG.CROP_SIZE) {
+  const metadata = await sharp(photoBuffer).metadata();
+  const region = cropRegion(box, metadata);
+  if (!region) return null;
+
+  return sharp(photoBuffer)
+    .extract(region)
+    .resize(size, size, { fit: 'cover' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// Helper function to clear a face's link, removing the reference sample it gave its student.
+// `current` is the student document being edited by the caller, if any, so it is not saved twice.
+async function releaseFace(face, current = null) {
+  if (!face.student) return;
+
+  const owner = current && String(current._id) === String(face.student)
+    ? current
+    : await Student.findById(face.student);
+  if (owner && face.reference && removeReferenceDescriptor(owner, face.reference) && owner !== current) {
+    await owner.save();
+    updateStudentInIndex(owner);
+  }
+
+  face.student = null;
+  face.reference = null;
+  face.linkedBy = null;
+  face.linkedAt = null;
+}
+
+// Helper function to save a school after a link change and refresh its group in the index
+async function saveSchoolFaces(school) {
+  await school.save();
+  updateSchoolGroupInIndex(school._id, school.groupDescriptors, school.groupFaces);
+}
+
+/**
+ * Link a group-photo face to a student of the school. The face's descriptor becomes a
+ * reference sample for the student; an earlier link of the face or of the student is replaced.
+ */
+async function linkGroupFace(school, faceIndex, student, user) {
+  alignGroupFaces(school);
+  const face = school.groupFaces[faceIndex];
+
+  for (const other of school.groupFaces) {
+    if (other === face || (other.student && String(other.student) === String(student._id))) {
+      await releaseFace(other, student);
+    }
+  }
+
+  const reference = addReferenceDescriptor(student, {
+    descriptor: Array.from(school.groupDescriptors[faceIndex]),
+    source: 'group_photo',
+    addedBy: user ? user._id : null
+  });
+  await student.save();
+  updateStudentInIndex(student);
+
+  face.student = student._id;
+  face.reference = reference._id;
+  face.linkedBy = user ? user._id : null;
+  face.linkedAt = new Date();
+  await saveSchoolFaces(school);
+
+  return face;
+}
+
+/**
+ * Remove the link of a group-photo face. Returns false when the face was not linked.
+ */
+async function unlinkGroupFace(school, faceIndex) {
+  alignGroupFaces(school);
+  const face = school.groupFaces[faceIndex];
+  if (!face.student) return false;
+
+  await releaseFace(face);
+  await saveSchoolFaces(school);
+  return true;
+}
+
+/**
+ * Clear group-photo links to a student that was deleted, or only the link
+ * that produced a given reference sample when that sample was removed
+ */
+async function clearStudentGroupFaceLinks(studentId, referenceId = null) {
+  const schools = await School.find({ 'groupFaces.student': studentId });
+  for (const school of schools) {
+    for (const face of school.groupFaces) {
+      if (String(face.student) === String(studentId) && (!referenceId || String(face.reference) === String(referenceId))) {
+        face.student = null;
+        face.reference = null;
+        face.linkedBy = null;
+        face.linkedAt = null;
+      }
+    }
+    await saveSchoolFaces(school);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  buildGroupFaces,
+  parseClientFaces,
+  alignGroupFaces,
+  cropRegion,
+  cropGroupFace,
+  linkGroupFace,
+  unlinkGroupFace,
+  clearStudentGroupFaceLinks
+};
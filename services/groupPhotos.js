@@ -0,0 +1,32 @@
+const { putObject, getObject } = require('./storage');
+const { fetchImageBuffer } = require('./faceRecognition');
+
+// Storage folder for school group photos
+const GROUP_PHOTO_FOLDER = 'group-photos';
+
+/**
+ * Store an uploaded group photo (multer file) as a public asset.
+ * Its URL goes on school.groupPhoto and the asset itself on school.groupPhotoAsset.
+ */
+async function storeGroupPhoto(file) {
+  return putObject(file.buffer, {
+    folder: GROUP_PHOTO_FOLDER,
+    contentType: file.mimetype,
+    access: 'public'
+  });
+}
+
+/**
+ * Read a school's group photo as a buffer: from storage when the asset is recorded,
+ * otherwise from its URL (photos uploaded before assets were recorded)
+ */
+async function readGroupPhoto(school) {
+  if (school.groupPhotoAsset) return getObject(school.groupPhotoAsset);
+  return fetchImageBuffer(school.groupPhoto);
+}
+
+module.exports = {
+  GROUP_PHOTO_FOLDER,
+  storeGroupPhoto,
+  readGroupPhoto
+};
@@ -0,0 +1,265 @@
+const Job = require('../models/Job');
+
+// Configuration
+const CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+  RETRY_DELAY_MS: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 30000
+};
+
+// type -> { run, onFailed }
+const handlers = new Map();
+
+// Worker state: one job at a time, since most jobs are CPU-bound face detection
+let timer = null;
+let stopped = true;
+let busy = false;
+
+/**
+ * Thrown from a job context when the job has been cancelled
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Register the function that runs jobs of a type.
+ * run(job, ctx) may return { result, file: { filename, contentType, data } }.
+ * onFailed(job, err, { final, cancelled }) is called after every failed attempt.
+ */
+function registerJobHandler(type, run, { onFailed } = {}) {
+  if (!Job.TYPES.includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  handlers.set(type, { run, onFailed });
+}
+
+// Helper function to build a log push that keeps only the newest entries
+const pushLog = (message, level = 'info') => ({
+  $push: { logs: { $each: [{ at: new Date(), level, message }], $slice: -Job.MAX_LOG_ENTRIES } }
+});
+
+/**
+ * Append a log line to a job
+ */
+async function appendJobLog(jobId, message, level = 'info') {
+  await Job.updateOne({ _id: jobId }, pushLog(message, level));
+}
+
+/**
+ * Create a queued job and wake the worker
+ */
+async function enqueueJob(type, payload = {}, { createdBy = null, maxAttempts } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    payload,
+    createdBy,
+    ...(maxAttempts && { maxAttempts }),
+    logs: [{ message: 'Job queued' }]
+  });
+
+  wake();
+  return job;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled at once; running jobs stop at their next progress update.
+ * Returns the updated job, or null if it is not queued or running.
+ */
+async function cancelJob(jobId) {
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() }, ...pushLog('Cancelled before it started') },
+    { new: true }
+  );
+  if (queued) {
+    const handler = handlers.get(queued.type);
+    if (handler?.onFailed) {
+      await handler.onFailed(queued, new JobCancelledError(), { final: true, cancelled: true })
+        .catch(err => console.error(`Job ${jobId} onFailed error:`, err.message));
+    }
+    return queued;
+  }
+
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true }, ...pushLog('Cancellation requested') },
+    { new: true }
+  );
+}
+
+/**
+ * Put a failed or cancelled job back in the queue with a fresh set of attempts
+ */
+async function retryJob(jobId) {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    {
+      $set: {
+        status: 'queued',
+        attempts: 0,
+        runAt: new Date(),
+        cancelRequested: false,
+        progress: 0,
+        progressMessage: null,
+        error: null,
+        finishedAt: null
+      },
+      ...pushLog('Retry requested')
+    },
+    { new: true }
+  );
+  if (job) wake();
+  return job;
+}
+
+// Helper function to build the context passed to job handlers
+function createContext(job) {
+  return {
+    log: (message, level) => appendJobLog(job._id, message, level),
+
+    // Record progress (0-100) and stop if the job was cancelled meanwhile
+    async progress(percent, message) {
+      const $set = { progress: Math.max(0, Math.min(100, Math.round(percent))) };
+      if (message !== undefined) $set.progressMessage = message;
+
+      const current = await Job.findByIdAndUpdate(job._id, { $set }, { new: true }).select('cancelRequested');
+      if (!current || current.cancelRequested) {
+        throw new JobCancelledError();
+      }
+    }
+  };
+}
+
+// Helper function to atomically take the next runnable job
+function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() }, type: { $in: [...handlers.keys()] } },
+    {
+      $set: { status: 'running', startedAt: new Date(), progress: 0, progressMessage: null },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1, createdAt: 1 } }
+  );
+}
+
+// Helper function to run one claimed job and record its outcome
+async function runJob(job) {
+  const { run, onFailed } = handlers.get(job.type);
+  await appendJobLog(job._id, `Attempt ${job.attempts} of ${job.maxAttempts} started`);
+
+  try {
+    const outcome = (await run(job, createContext(job))) || {};
+    const $set = {
+      status: 'completed',
+      progress: 100,
+      result: outcome.result ?? null,
+      error: null,
+      finishedAt: new Date()
+    };
+    if (outcome.file) $set.resultFile = outcome.file;
+
+    await Job.updateOne({ _id: job._id, status: 'running' }, { $set, ...pushLog('Job completed') });
+  } catch (err) {
+    const cancelled = err instanceof JobCancelledError;
+    const final = cancelled || job.attempts >= job.maxAttempts;
+
+    if (cancelled) {
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'cancelled', finishedAt: new Date() }, ...pushLog('Job cancelled', 'warn') }
+      );
+    } else if (final) {
+      console.error(`Job ${job._id} (${job.type}) failed:`, err.message);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', error: err.message, finishedAt: new Date() }, ...pushLog(err.message, 'error') }
+      );
+    } else {
+      const delay = CONFIG.RETRY_DELAY_MS * job.attempts;
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'queued', error: err.message, runAt: new Date(Date.now() + delay) },
+          ...pushLog(`Attempt ${job.attempts} failed: ${err.message}; retrying in ${Math.round(delay / 1000)}s`, 'warn')
+        }
+      );
+    }
+
+    if (onFailed) {
+      await onFailed(job, err, { final, cancelled })
+        .catch(hookErr => console.error(`Job ${job._id} onFailed error:`, hookErr.message));
+    }
+  }
+}
+
+// Helper function for the worker loop: drain runnable jobs, then sleep
+async function tick() {
+  if (stopped || busy) return;
+  busy = true;
+  try {
+    let job;
+    while (!stopped && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Job worker error:', err.message);
+  } finally {
+    busy = false;
+    clearTimeout(timer);
+    if (!stopped) {
+      timer = setTimeout(tick, CONFIG.POLL_INTERVAL_MS);
+      timer.unref();
+    }
+  }
+}
+
+// Helper function to start work straight away instead of waiting for the next poll
+function wake() {
+  if (!stopped && !busy) {
+    clearTimeout(timer);
+    tick();
+  }
+}
+
+/**
+ * Start the worker loop. Jobs left 'running' by a previous process are queued again.
+ */
+async function startJobWorker() {
+  const interrupted = await Job.updateMany(
+    { status: 'running' },
+    { $set: { status: 'queued', runAt: new Date() }, ...pushLog('Interrupted by server restart; requeued', 'warn') }
+  );
+  if (interrupted.modifiedCount > 0) {
+    console.log(`🔁 Requeued ${interrupted.modifiedCount} interrupted job(s)`);
+  }
+
+  stopped = false;
+  tick();
+}
+
+/**
+ * Stop picking up new jobs; a running job is requeued on the next start
+ */
+function stopJobWorker() {
+  stopped = true;
+  clearTimeout(timer);
+}
+
+module.exports = {
+  CONFIG,
+  JobCancelledError,
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  appendJobLog,
+  startJobWorker,
+  stopJobWorker
+};
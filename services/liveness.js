@@ -0,0 +1,229 @@
+// Passive liveness / presentation-attack checks, run offline on the server.
+// A short burst of frames is judged from 68-point landmarks (a blink or a head turn is
+// something a printed or on-screen photo cannot do), and the face region of each frame is
+// checked for basic screen and print artefacts. Every frame must also show the face that was
+// captured, so a live burst cannot vouch for a photo held up for the capture. These are
+// heuristics: they raise the cost of a photo attack at the gate, not a certified
+// anti-spoofing guarantee.
+
+const { estimateHeadPose } = require('./faceQuality');
+const { euclideanDistance } = require('./referenceDescriptors');
+
+// Helper function to read a numeric setting from the environment
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const MODES = ['off', 'report', 'enforce'];
+
+// Configuration
+const CONFIG = {
+  // off: not checked; report: scored and stored but never blocks; enforce: failing captures are rejected
+  MODE: MODES.includes(process.env.LIVENESS_MODE) ? process.env.LIVENESS_MODE : 'report',
+  MIN_FRAMES: envNumber('LIVENESS_MIN_FRAMES', 3),
+  MAX_FRAMES: envNumber('LIVENESS_MAX_FRAMES', 10),
+  // Eye aspect ratio: open eyes sit around 0.3, closed eyes below 0.2
+  BLINK_CLOSED_EAR: envNumber('LIVENESS_BLINK_CLOSED_EAR', 0.2),
+  BLINK_OPEN_EAR: envNumber('LIVENESS_BLINK_OPEN_EAR', 0.25),
+  // Change in estimated yaw (degrees) across the burst that counts as a head turn
+  MIN_YAW_CHANGE: envNumber('LIVENESS_MIN_YAW_CHANGE', 8),
+  // Fraction of near-white pixels in the face: glare from a screen or glossy print
+  MAX_GLARE_RATIO: envNumber('LIVENESS_MAX_GLARE_RATIO', 0.05),
+  // Second-difference to first-difference energy: pixel grids and moire push this up
+  MAX_HIGH_FREQUENCY_RATIO: envNumber('LIVENESS_MAX_HIGH_FREQUENCY_RATIO', 1.6),
+  // Luma standard deviation: flat, low-contrast faces are typical of prints
+  MIN_CONTRAST: envNumber('LIVENESS_MIN_CONTRAST', 18),
+  MIN_SCORE: envNumber('LIVENESS_MIN_SCORE', 0.6),
+  // Weight of the motion challenge in the score; artefact checks share the rest
+  MOTION_WEIGHT: 0.6
+};
+
+const GLARE_LEVEL = 250;
+
+// Helper function for the distance between two landmark points
+const pointDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Eye aspect ratio of one eye (6 landmark points): eye height over eye width
+ */
+function eyeAspectRatio(eye) {
+  const width = pointDistance(eye[0], eye[3]);
+  if (width === 0) return 0;
+  return (pointDistance(eye[1], eye[5]) + pointDistance(eye[2], eye[4])) / (2 * width);
+}
+
+/**
+ * Mean eye aspect ratio of both eyes from 68-point landmarks, or null without a full set
+ */
+function meanEyeAspectRatio(positions) {
+  if (!Array.isArray(positions) || positions.length < 68) return null;
+  return (eyeAspectRatio(positions.slice(36, 42)) + eyeAspectRatio(positions.slice(42, 48))) / 2;
+}
+
+/**
+ * Motion challenge over a burst of landmark sets: a blink (eyes open, closed, open again)
+ * or a head turn. Returns { passed, blink, headTurn, earRange, yawRange }.
+ */
+function assessMotion(landmarkFrames, limits = CONFIG) {
+  const ears = landmarkFrames.map(meanEyeAspectRatio).filter(v => v !== null);
+  const yaws = landmarkFrames.map(estimateHeadPose).filter(Boolean).map(p => p.yaw);
+
+  // A blink needs a closed frame with open frames on both sides of it
+  let blink = false;
+  ears.forEach((ear, i) => {
+    if (ear >= limits.BLINK_CLOSED_EAR) return;
+    const openBefore = ears.slice(0, i).some(v => v >= limits.BLINK_OPEN_EAR);
+    const openAfter = ears.slice(i + 1).some(v => v >= limits.BLINK_OPEN_EAR);
+    if (openBefore && openAfter) blink = true;
+  });
+
+  const yawRange = yaws.length ? Math.max(...yaws) - Math.min(...yaws) : 0;
+  const headTurn = yawRange >= limits.MIN_YAW_CHANGE;
+
+  return {
+    passed: blink || headTurn,
+    blink,
+    headTurn,
+    earRange: ears.length ? [Math.min(...ears), Math.max(...ears)] : null,
+    yawRange
+  };
+}
+
+/**
+ * Screen and print artefacts in a grayscale face region: glare, pixel-grid / moire energy and flatness.
+ * Returns { passed, glareRatio, highFrequencyRatio, contrast, flags }.
+ */
+function assessArtefacts({ gray, grayWidth, grayHeight }, limits = CONFIG) {
+  let glare = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let firstDiff = 0;
+  let secondDiff = 0;
+
+  for (let y = 0; y < grayHeight; y++) {
+    for (let x = 0; x < grayWidth; x++) {
+      const v = gray[y * grayWidth + x];
+      if (v >= GLARE_LEVEL) glare++;
+      sum += v;
+      sumSquares += v * v;
+      if (x >= 2) {
+        const a = gray[y * grayWidth + x - 2];
+        const b = gray[y * grayWidth + x - 1];
+        firstDiff += Math.abs(v - b);
+        secondDiff += Math.abs(v - 2 * b + a);
+      }
+    }
+  }
+
+  const n = grayWidth * grayHeight;
+  const mean = sum / n;
+  const contrast = Math.sqrt(Math.max(0, sumSquares / n - mean * mean));
+  const glareRatio = glare / n;
+  const highFrequencyRatio = firstDiff > 0 ? secondDiff / firstDiff : 0;
+
+  const flags = [];
+  if (glareRatio > limits.MAX_GLARE_RATIO) flags.push('glare');
+  if (highFrequencyRatio > limits.MAX_HIGH_FREQUENCY_RATIO) flags.push('screen_pattern');
+  if (contrast < limits.MIN_CONTRAST) flags.push('low_contrast');
+
+  return { passed: flags.length === 0, glareRatio, highFrequencyRatio, contrast, flags };
+}
+
+/**
+ * Whether the burst shows the captured face: every frame with a descriptor must be within
+ * `threshold` of the capture descriptor, and at least one frame must have one.
+ * Returns { passed, framesCompared, maxDistance }.
+ */
+function assessCaptureMatch(frameDescriptors, capture) {
+  const distances = frameDescriptors
+    .filter(Boolean)
+    .map(descriptor => euclideanDistance(descriptor, capture.descriptor));
+  const maxDistance = distances.length ? Math.max(...distances) : null;
+
+  return {
+    passed: distances.length > 0 && maxDistance <= capture.threshold,
+    framesCompared: distances.length,
+    maxDistance
+  };
+}
+
+// Helper function to round a measurement for responses and storage
+const round = (value, digits = 3) => (typeof value === 'number' ? parseFloat(value.toFixed(digits)) : null);
+
+/**
+ * Combine the motion challenge and artefact checks for a burst of analysed frames
+ * ({ landmarks, descriptor, gray, grayWidth, grayHeight } per frame, faces already detected).
+ * With a capture ({ descriptor, threshold }) the burst only passes when it shows the captured face.
+ * Returns { score (0-1), passed, frames, motion, captureMatch, artefacts, reasons }.
+ */
+function assessLiveness(frames, capture = null, limits = CONFIG) {
+  const reasons = [];
+
+  const captureMatch = capture ? assessCaptureMatch(frames.map(f => f.descriptor), capture) : null;
+  if (captureMatch && !captureMatch.passed) {
+    reasons.push(captureMatch.framesCompared
+      ? 'The frames do not show the same face as the capture'
+      : 'No face in the frames could be compared with the capture');
+  }
+
+  let motion = null;
+  if (frames.length >= limits.MIN_FRAMES) {
+    motion = assessMotion(frames.map(f => f.landmarks), limits);
+    if (!motion.passed) reasons.push('No blink or head movement detected across the frames');
+  } else {
+    reasons.push(`At least ${limits.MIN_FRAMES} frames with a detectable face are required for the motion check`);
+  }
+
+  const regions = frames.filter(f => f.gray);
+  const artefactResults = regions.map(f => assessArtefacts(f, limits));
+  const artefactPassRate = artefactResults.length
+    ? artefactResults.filter(a => a.passed).length / artefactResults.length
+    : 0;
+  const flags = [...new Set(artefactResults.flatMap(a => a.flags))];
+  if (artefactResults.length === 0) {
+    reasons.push('No face region available for artefact checks');
+  } else if (artefactPassRate < 0.5) {
+    reasons.push(`Image artefacts typical of a screen or print: ${flags.join(', ')}`);
+  }
+
+  const score = (motion && motion.passed ? limits.MOTION_WEIGHT : 0) + (1 - limits.MOTION_WEIGHT) * artefactPassRate;
+  const passed = !!motion && motion.passed && artefactPassRate >= 0.5 && score >= limits.MIN_SCORE &&
+    (!captureMatch || captureMatch.passed);
+
+  return {
+    score: round(score, 2),
+    passed,
+    frames: frames.length,
+    motion: motion && {
+      passed: motion.passed,
+      blink: motion.blink,
+      headTurn: motion.headTurn,
+      earRange: motion.earRange && motion.earRange.map(v => round(v)),
+      yawRange: round(motion.yawRange, 1)
+    },
+    captureMatch: captureMatch && {
+      passed: captureMatch.passed,
+      framesCompared: captureMatch.framesCompared,
+      maxDistance: round(captureMatch.maxDistance, 4)
+    },
+    artefacts: {
+      passRate: round(artefactPassRate, 2),
+      flags,
+      glareRatio: round(Math.max(0, ...artefactResults.map(a => a.glareRatio))),
+      highFrequencyRatio: round(Math.max(0, ...artefactResults.map(a => a.highFrequencyRatio))),
+      contrast: round(artefactResults.length ? Math.min(...artefactResults.map(a => a.contrast)) : null, 1)
+    },
+    reasons
+  };
+}
+
+module.exports = {
+  CONFIG,
+  MODES,
+  eyeAspectRatio,
+  assessMotion,
+  assessArtefacts,
+  assessCaptureMatch,
+  assessLiveness
+};
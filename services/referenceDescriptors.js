@@ -0,0 +1,171 @@
+// Configuration
+const STRATEGIES = ['min', 'mean', 'k_of_n'];
+
+const CONFIG = {
+  // Distance at or below which a capture matches; lower means stricter matching
+  VERIFICATION_THRESHOLD: 0.4,
+  // min: closest sample decides; mean: distance to the averaged template; k_of_n: at least K samples must match
+  MATCH_STRATEGY: STRATEGIES.includes(process.env.REFERENCE_MATCH_STRATEGY) ? process.env.REFERENCE_MATCH_STRATEGY : 'min',
+  MATCH_K: parseInt(process.env.REFERENCE_MATCH_K, 10) || 2,
+  MAX_REFERENCES: parseInt(process.env.MAX_REFERENCE_DESCRIPTORS, 10) || 10,
+  // Later matches at or below this distance are kept as extra samples
+  AUTO_ADD_MAX_DISTANCE: parseFloat(process.env.REFERENCE_AUTO_ADD_MAX_DISTANCE) || 0.3,
+  DESCRIPTOR_LENGTH: 128
+};
+
+/**
+ * Calculate Euclidean distance between two descriptors
+ */
+function euclideanDistance(desc1, desc2) {
+  if (!desc1 || !desc2 || desc1.length !== desc2.length) {
+    throw new Error('Invalid descriptors for distance calculation');
+  }
+
+  return Math.sqrt(
+    desc1.reduce((sum, val, i) => sum + Math.pow(val - desc2[i], 2), 0)
+  );
+}
+
+/**
+ * Whether a value looks like a face-api.js descriptor
+ */
+function isValidDescriptor(descriptor) {
+  return Array.isArray(descriptor) &&
+    descriptor.length === CONFIG.DESCRIPTOR_LENGTH &&
+    descriptor.every(v => typeof v === 'number' && isFinite(v));
+}
+
+/**
+ * Element-wise mean of several descriptors
+ */
+function meanDescriptor(descriptors) {
+  if (!descriptors.length) return null;
+  const sum = new Array(descriptors[0].length).fill(0);
+  for (const d of descriptors) {
+    for (let i = 0; i < sum.length; i++) sum[i] += d[i];
+  }
+  return sum.map(v => v / descriptors.length);
+}
+
+/**
+ * Reference descriptors of a student; older records only have the single faceDescriptor
+ */
+function getReferenceDescriptors(student) {
+  if (Array.isArray(student.referenceDescriptors) && student.referenceDescriptors.length > 0) {
+    return student.referenceDescriptors.map(r => Array.from(r.descriptor));
+  }
+  if (isValidDescriptor(student.faceDescriptor ? Array.from(student.faceDescriptor) : null)) {
+    return [Array.from(student.faceDescriptor)];
+  }
+  return [];
+}
+
+/**
+ * Compare a captured descriptor with a student's reference samples using the configured strategy.
+ * Returns { match, distance, confidence, strategy, referenceCount, matchingReferences }.
+ */
+function matchReferences(captured, references, threshold, { strategy = CONFIG.MATCH_STRATEGY, k = CONFIG.MATCH_K } = {}) {
+  if (!references.length) {
+    return { match: false, distance: null, confidence: 0, strategy, referenceCount: 0, matchingReferences: 0 };
+  }
+
+  const distances = references.map(ref => euclideanDistance(captured, ref)).sort((a, b) => a - b);
+  const matchingReferences = distances.filter(d => d < threshold).length;
+
+  let distance;
+  let match;
+  if (strategy === 'mean') {
+    distance = euclideanDistance(captured, meanDescriptor(references));
+    match = distance < threshold;
+  } else if (strategy === 'k_of_n') {
+    // With fewer samples than K, every sample has to match
+    const required = Math.min(k, distances.length);
+    distance = distances[required - 1];
+    match = matchingReferences >= required;
+  } else {
+    distance = distances[0];
+    match = distance < threshold;
+  }
+
+  return {
+    match,
+    distance,
+    confidence: Math.max(0, (1 - distance) * 100),
+    strategy,
+    referenceCount: references.length,
+    matchingReferences
+  };
+}
+
+// Helper function to keep the newest samples, dropping learned ones before enrolment/manual ones
+function trimReferences(references) {
+  const list = [...references];
+  while (list.length > CONFIG.MAX_REFERENCES) {
+    const learned = list.findIndex(r => r.source === 'verification');
+    list.splice(learned >= 0 ? learned : 0, 1);
+  }
+  return list;
+}
+
+/**
+ * Reference list and template after adding a sample, as plain values for a $set or assignment.
+ * Legacy single descriptors are carried over as an enrolment sample.
+ */
+function buildReferenceUpdate(student, sample) {
+  const existing = Array.isArray(student.referenceDescriptors) && student.referenceDescriptors.length > 0
+    ? student.referenceDescriptors.map(r => (typeof r.toObject === 'function' ? r.toObject() : r))
+    : getReferenceDescriptors(student).map(descriptor => ({ descriptor, source: 'enrolment' }));
+
+  const referenceDescriptors = trimReferences([...existing, { ...sample, createdAt: new Date() }]);
+  return {
+    referenceDescriptors,
+    faceDescriptor: meanDescriptor(referenceDescriptors.map(r => Array.from(r.descriptor)))
+  };
+}
+
+/**
+ * Add a reference sample to a student document (caller saves)
+ */
+function addReferenceDescriptor(student, sample) {
+  const { referenceDescriptors, faceDescriptor } = buildReferenceUpdate(student, sample);
+  student.referenceDescriptors = referenceDescriptors;
+  student.faceDescriptor = faceDescriptor;
+  return student.referenceDescriptors[student.referenceDescriptors.length - 1];
+}
+
+/**
+ * Remove a reference sample from a student document (caller saves).
+ * Returns false when no sample has that id.
+ */
+function removeReferenceDescriptor(student, referenceId) {
+  const references = student.referenceDescriptors || [];
+  const index = references.findIndex(r => String(r._id) === String(referenceId));
+  if (index === -1) return false;
+
+  references.splice(index, 1);
+  const remaining = references.map(r => Array.from(r.descriptor));
+  student.faceDescriptor = remaining.length ? meanDescriptor(remaining) : undefined;
+  return true;
+}
+
+/**
+ * Clear every reference sample from a student document (caller saves)
+ */
+function clearReferenceDescriptors(student) {
+  student.referenceDescriptors = [];
+  student.faceDescriptor = undefined;
+}
+
+module.exports = {
+  CONFIG,
+  STRATEGIES,
+  euclideanDistance,
+  isValidDescriptor,
+  meanDescriptor,
+  getReferenceDescriptors,
+  matchReferences,
+  buildReferenceUpdate,
+  addReferenceDescriptor,
+  removeReferenceDescriptor,
+  clearReferenceDescriptors
+};
@@ -0,0 +1,28 @@
+const User = require('../models/User');
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet
+ */
+async function seedInitialAdmin() {
+  const userCount = await User.estimatedDocumentCount();
+  if (userCount > 0) return null;
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!username || !password) {
+    console.warn('⚠️  No users exist and ADMIN_USERNAME/ADMIN_PASSWORD are not set; nobody can log in');
+    return null;
+  }
+
+  if (password.length < User.MIN_PASSWORD_LENGTH) {
+    console.warn(`⚠️  ADMIN_PASSWORD must be at least ${User.MIN_PASSWORD_LENGTH} characters; initial admin not created`);
+    return null;
+  }
+
+  const admin = await User.create({ username: username.trim(), password, role: 'admin' });
+  console.log(`👤 Seeded initial admin user: ${admin.username}`);
+  return admin;
+}
+
+module.exports = { seedInitialAdmin };
@@ -0,0 +1,85 @@
+const axios = require('axios');
+const cloudinary = require('../../cloudinary');
+
+// Public assets are ordinary 'upload' assets; private ones are 'authenticated' and can only be fetched through a signed URL
+const deliveryType = (access) => (access === 'public' ? 'upload' : 'authenticated');
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Whether Cloudinary credentials are configured
+ */
+function isConfigured() {
+  return !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+}
+
+/**
+ * Upload a buffer into a Cloudinary folder; returns { key, url } where key is the public_id
+ */
+function put(buffer, { folder, filename, access }) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream({
+      folder,
+      public_id: filename.replace(/\.[^.]+$/, ''),
+      resource_type: 'image',
+      type: deliveryType(access)
+    }, (err, result) => {
+      if (err) return reject(err);
+      resolve({ key: result.public_id, url: access === 'public' ? result.secure_url : null });
+    });
+    stream.end(buffer);
+  });
+}
+
+/**
+ * Signed delivery URL of an asset. Cloudinary signatures do not expire, so expiresIn is not enforced here.
+ */
+async function signedUrl(key, { access } = {}) {
+  return cloudinary.url(key, { type: deliveryType(access), sign_url: true, secure: true, resource_type: 'image' });
+}
+
+/**
+ * Download an asset through a signed URL
+ */
+async function get(key, options = {}) {
+  const response = await axios.get(await signedUrl(key, options), { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT_MS });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Delete an asset; a missing asset is not an error
+ */
+async function remove(key, { access } = {}) {
+  await cloudinary.uploader.destroy(key, { type: deliveryType(access), resource_type: 'image', invalidate: true });
+}
+
+/**
+ * Every asset under a folder: [{ key, size, lastModified }]
+ */
+async function list(folder, { access } = {}) {
+  const assets = [];
+  let nextCursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: deliveryType(access),
+      resource_type: 'image',
+      prefix: `${folder}/`,
+      max_results: 500,
+      next_cursor: nextCursor
+    });
+    for (const resource of page.resources) {
+      assets.push({ key: resource.public_id, size: resource.bytes, lastModified: new Date(resource.created_at) });
+    }
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+  return assets;
+}
+
+module.exports = {
+  name: 'cloudinary',
+  isConfigured,
+  put,
+  get,
+  delete: remove,
+  list,
+  signedUrl
+};
@@ -0,0 +1,126 @@
+// Storage for uploaded images: one interface (put, get, delete, signed URL) over
+// interchangeable backends. Documents keep the asset reference putObject() returns;
+// each asset remembers the backend it was written to, so switching STORAGE_BACKEND
+// only affects new uploads.
+
+const crypto = require('crypto');
+const localBackend = require('./localBackend');
+const cloudinaryBackend = require('./cloudinaryBackend');
+const s3Backend = require('./s3Backend');
+
+const BACKENDS = {
+  [localBackend.name]: localBackend,
+  [cloudinaryBackend.name]: cloudinaryBackend,
+  [s3Backend.name]: s3Backend
+};
+
+// Helper function for the default backend: Cloudinary when it has credentials, local disk otherwise
+const defaultBackend = () => (cloudinaryBackend.isConfigured() ? cloudinaryBackend.name : localBackend.name);
+
+// Configuration
+const CONFIG = {
+  // Backend new uploads are written to: local, cloudinary or s3
+  BACKEND: BACKENDS[process.env.STORAGE_BACKEND] ? process.env.STORAGE_BACKEND : defaultBackend(),
+  // Lifetime of signed URLs, in seconds
+  SIGNED_URL_EXPIRES_IN: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_IN, 10) || 300
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Helper function to look up the backend an asset was written to
+function backendFor(asset) {
+  const backend = asset && BACKENDS[asset.backend];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${asset && asset.backend}`);
+  }
+  return backend;
+}
+
+/**
+ * Store a buffer in a folder of the configured backend.
+ * access 'public' gives the asset a stable URL anyone can read; 'private' assets
+ * are read through getObject() or a signed URL only.
+ * Returns the asset reference to keep on the owning document:
+ * { backend, key, url, access, contentType, size, uploadedAt }
+ */
+async function putObject(buffer, { folder, contentType, access = 'private' }) {
+  const backend = BACKENDS[CONFIG.BACKEND];
+  const filename = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${EXTENSIONS[contentType] || 'bin'}`;
+  const { key, url } = await backend.put(buffer, { folder, filename, contentType, access });
+
+  return {
+    backend: backend.name,
+    key,
+    url: url || null,
+    access,
+    contentType,
+    size: buffer.length,
+    uploadedAt: new Date()
+  };
+}
+
+/**
+ * Read a stored asset back as a buffer
+ */
+async function getObject(asset) {
+  return backendFor(asset).get(asset.key, { access: asset.access });
+}
+
+/**
+ * Delete a stored asset
+ */
+async function deleteObject(asset) {
+  return backendFor(asset).delete(asset.key, { access: asset.access });
+}
+
+/**
+ * Time-limited URL a client can read a stored asset from without an API token
+ */
+async function getSignedUrl(asset, { expiresIn = CONFIG.SIGNED_URL_EXPIRES_IN } = {}) {
+  return backendFor(asset).signedUrl(asset.key, { access: asset.access, expiresIn });
+}
+
+/**
+ * Delete assets that are no longer referenced. Failures are logged rather than thrown:
+ * callers run this after their documents are saved, and a leftover file is only wasted space
+ * (scripts/reconcileStorage.js finds it later).
+ */
+async function discardAssets(assets) {
+  for (const asset of [].concat(assets).filter(Boolean)) {
+    try {
+      await deleteObject(asset);
+    } catch (err) {
+      console.error(`Failed to delete stored asset ${asset.backend}:${asset.key}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Every asset stored under a folder of a backend, as asset references with size and uploadedAt
+ */
+async function listObjects(folder, { access = 'private', backend = CONFIG.BACKEND } = {}) {
+  const objects = await backendFor({ backend }).list(folder, { access });
+  return objects.map(object => ({
+    backend,
+    key: object.key,
+    access,
+    size: object.size,
+    uploadedAt: object.lastModified
+  }));
+}
+
+module.exports = {
+  CONFIG,
+  BACKENDS,
+  putObject,
+  getObject,
+  deleteObject,
+  discardAssets,
+  getSignedUrl,
+  listObjects
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Files live under the project's uploads/ directory (or STORAGE_LOCAL_DIR). Public files are
+// served statically from /uploads; private ones are kept under private/ and only reachable
+// through the signed /api/storage/local route.
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const PRIVATE_PREFIX = 'private';
+const SIGNED_ROUTE = '/api/storage/local';
+
+// Helper function for the secret local signed URLs are signed with
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || '';
+
+// Helper function to map a key to a path, refusing keys that escape the storage root
+function resolveKey(key) {
+  const resolved = path.resolve(ROOT, String(key).replace(/^\/+/, ''));
+  if (!resolved.startsWith(ROOT + path.sep)) {
+    throw new Error('Storage key is outside the storage directory');
+  }
+  return resolved;
+}
+
+// Helper function to sign a key and expiry time
+const sign = (key, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+/**
+ * Write a buffer under `${folder}/${filename}`; returns { key, url }
+ */
+async function put(buffer, { folder, filename, access }) {
+  const key = path.posix.join(access === 'public' ? '' : PRIVATE_PREFIX, folder, filename);
+  const target = resolveKey(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, buffer);
+  return { key, url: access === 'public' ? `/uploads/${key}` : null };
+}
+
+/**
+ * Read a stored file as a buffer
+ */
+async function get(key) {
+  return fs.readFile(resolveKey(key));
+}
+
+/**
+ * Delete a stored file; a file that is already gone is not an error
+ */
+async function remove(key) {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * Every file under a folder: [{ key, size, lastModified }]
+ */
+async function list(folder, { access }) {
+  const prefix = path.posix.join(access === 'public' ? '' : PRIVATE_PREFIX, folder);
+  const files = [];
+
+  const walk = async (dirKey) => {
+    let entries;
+    try {
+      entries = await fs.readdir(resolveKey(dirKey), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const key = path.posix.join(dirKey, entry.name);
+      if (entry.isDirectory()) {
+        await walk(key);
+      } else if (entry.isFile()) {
+        const stat = await fs.stat(resolveKey(key));
+        files.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+    }
+  };
+
+  await walk(prefix);
+  return files;
+}
+
+/**
+ * URL of the signed local route that serves a file until it expires
+ */
+async function signedUrl(key, { expiresIn }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${SIGNED_ROUTE}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+/**
+ * Check the expiry and signature of a local signed URL
+ */
+function verifySignedUrl(key, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!signingSecret() || !Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  const expected = Buffer.from(sign(key, expiresAt));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  name: 'local',
+  ROOT,
+  PRIVATE_PREFIX,
+  put,
+  get,
+  delete: remove,
+  list,
+  signedUrl,
+  verifySignedUrl
+};
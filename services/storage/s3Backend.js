@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Any S3-compatible service (AWS S3, MinIO, Wasabi, R2...). Requests are authorised with
+// SigV4 presigned URLs, path-style, so no SDK is needed.
+const CONFIG = {
+  ENDPOINT: (process.env.STORAGE_S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, ''),
+  REGION: process.env.STORAGE_S3_REGION || 'us-east-1',
+  BUCKET: process.env.STORAGE_S3_BUCKET,
+  ACCESS_KEY_ID: process.env.STORAGE_S3_ACCESS_KEY_ID,
+  SECRET_ACCESS_KEY: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+  // Base URL public objects are read from (a CDN or public bucket); defaults to the bucket URL
+  PUBLIC_URL: (process.env.STORAGE_S3_PUBLIC_URL || '').replace(/\/+$/, ''),
+  // Request timeout for uploads and downloads
+  TIMEOUT_MS: 30000,
+  // Lifetime of the URLs the backend signs for its own requests
+  REQUEST_EXPIRES_IN: 300
+};
+
+// Helper function for RFC 3986 encoding, as SigV4 requires
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Whether a bucket and credentials are configured
+ */
+function isConfigured() {
+  return !!(CONFIG.BUCKET && CONFIG.ACCESS_KEY_ID && CONFIG.SECRET_ACCESS_KEY);
+}
+
+/**
+ * SigV4 query-string presigned URL for one request on an object, or on the bucket when key is empty.
+ * `headers` are extra headers (lower-case names) the request will send and that must be signed;
+ * `params` are extra query parameters.
+ */
+function presign(method, key, { expiresIn = CONFIG.REQUEST_EXPIRES_IN, headers = {}, params = {}, now = new Date() } = {}) {
+  if (!isConfigured()) {
+    throw new Error('S3 storage is not configured: set STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID and STORAGE_S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectPath = key ? `/${encodeKey(key)}` : '';
+  const url = new URL(`${CONFIG.ENDPOINT}/${encodeRfc3986(CONFIG.BUCKET)}${objectPath}`);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${CONFIG.REGION}/s3/aws4_request`;
+
+  const signedHeaders = { host: url.host, ...headers };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const query = {
+    ...params,
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${CONFIG.ACCESS_KEY_ID}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': headerNames.join(';')
+  };
+  const canonicalQuery = Object.keys(query).sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+    headerNames.join(';'),
+    'UNSIGNED-PAYLOAD'
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [date, CONFIG.REGION, 's3', 'aws4_request']
+    .reduce((keyBytes, part) => hmac(keyBytes, part), `AWS4${CONFIG.SECRET_ACCESS_KEY}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+/**
+ * Upload a buffer as `${folder}/${filename}`; public objects are written with a public-read ACL
+ */
+async function put(buffer, { folder, filename, contentType, access }) {
+  const key = `${folder}/${filename}`;
+  const aclHeaders = access === 'public' ? { 'x-amz-acl': 'public-read' } : {};
+  await axios.put(presign('PUT', key, { headers: aclHeaders }), buffer, {
+    headers: { 'Content-Type': contentType || 'application/octet-stream', ...aclHeaders },
+    maxBodyLength: Infinity,
+    timeout: CONFIG.TIMEOUT_MS
+  });
+
+  const publicBase = CONFIG.PUBLIC_URL || `${CONFIG.ENDPOINT}/${encodeRfc3986(CONFIG.BUCKET)}`;
+  return { key, url: access === 'public' ? `${publicBase}/${encodeKey(key)}` : null };
+}
+
+/**
+ * Download an object as a buffer
+ */
+async function get(key) {
+  const response = await axios.get(presign('GET', key), {
+    responseType: 'arraybuffer',
+    timeout: CONFIG.TIMEOUT_MS
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Delete an object; S3 treats a missing object as deleted
+ */
+async function remove(key) {
+  await axios.delete(presign('DELETE', key), { timeout: CONFIG.TIMEOUT_MS });
+}
+
+/**
+ * Presigned GET URL that expires after expiresIn seconds
+ */
+async function signedUrl(key, { expiresIn }) {
+  return presign('GET', key, { expiresIn });
+}
+
+// Helper function to read one element of an S3 XML response
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&') : null;
+};
+
+/**
+ * Every object under a folder: [{ key, size, lastModified }] (ListObjectsV2, 1000 per page)
+ */
+async function list(folder) {
+  const objects = [];
+  let continuationToken = null;
+  do {
+    const params = { 'list-type': '2', prefix: `${folder}/` };
+    if (continuationToken) params['continuation-token'] = continuationToken;
+    const response = await axios.get(presign('GET', '', { params }), { responseType: 'text', timeout: CONFIG.TIMEOUT_MS });
+
+    for (const [, entry] of response.data.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      objects.push({
+        key: xmlValue(entry, 'Key'),
+        size: parseInt(xmlValue(entry, 'Size'), 10),
+        lastModified: new Date(xmlValue(entry, 'LastModified'))
+      });
+    }
+    continuationToken = xmlValue(response.data, 'IsTruncated') === 'true'
+      ? xmlValue(response.data, 'NextContinuationToken')
+      : null;
+  } while (continuationToken);
+  return objects;
+}
+
+module.exports = {
+  name: 's3',
+  CONFIG,
+  isConfigured,
+  presign,
+  put,
+  get,
+  delete: remove,
+  list,
+  signedUrl
+};
@@ -0,0 +1,87 @@
+const { validateBase64Image } = require('./faceRecognition');
+const { putObject, getObject } = require('./storage');
+
+// Storage folder for captured student photos; one sub-folder per student
+const PHOTO_FOLDER = 'student-photos';
+
+const DATA_URL_REGEX = /^data:(image\/[a-z]+);base64,/;
+
+/**
+ * Split a base64 data URL into { buffer, contentType }, or null when it is not one
+ */
+function decodeDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' ? dataUrl.match(DATA_URL_REGEX) : null;
+  if (!match) return null;
+  const contentType = match[1] === 'image/jpg' ? 'image/jpeg' : match[1];
+  return { buffer: Buffer.from(dataUrl.slice(match[0].length), 'base64'), contentType };
+}
+
+/**
+ * Whether a verification state has a Day 1 photo, stored or still inline
+ */
+function hasDay1Photo(state) {
+  return !!(state && (state.day1PhotoAsset || state.day1Photo));
+}
+
+/**
+ * URL the Day 1 photo of a student is served from, or null without one
+ */
+function day1PhotoUrl(student, state, eventId = null) {
+  if (!hasDay1Photo(state)) return null;
+  return `/api/student/${student._id}/photo${eventId ? `?eventId=${eventId}` : ''}`;
+}
+
+/**
+ * Upload a captured photo (base64 data URL) and point the state at it.
+ * Returns the asset it replaced, to be removed with discardAssets() once the student is saved.
+ */
+async function storeDay1Photo(student, state, photo) {
+  validateBase64Image(photo);
+  const { buffer, contentType } = decodeDataUrl(photo);
+
+  const previous = state.day1PhotoAsset || null;
+  state.day1PhotoAsset = await putObject(buffer, { folder: `${PHOTO_FOLDER}/${student._id}`, contentType });
+  state.day1Photo = undefined;
+  return previous;
+}
+
+/**
+ * Clear the Day 1 photo of a state; returns the asset to discard after saving
+ */
+function removeDay1Photo(state) {
+  const previous = state.day1PhotoAsset || null;
+  state.day1PhotoAsset = null;
+  state.day1Photo = undefined;
+  return previous;
+}
+
+/**
+ * Read the Day 1 photo of a state as { buffer, contentType }, or null without one
+ */
+async function readDay1Photo(state) {
+  if (state && state.day1PhotoAsset) {
+    const asset = state.day1PhotoAsset;
+    return { buffer: await getObject(asset), contentType: asset.contentType || 'application/octet-stream' };
+  }
+  // Students captured before photos moved to storage
+  return state ? decodeDataUrl(state.day1Photo) : null;
+}
+
+/**
+ * All stored photo assets of a student, across the default programme and every event
+ */
+function collectPhotoAssets(student) {
+  const states = [student, ...(student.eventResults ? Array.from(student.eventResults.values()) : [])];
+  return states.map(state => state && state.day1PhotoAsset).filter(Boolean);
+}
+
+module.exports = {
+  PHOTO_FOLDER,
+  decodeDataUrl,
+  hasDay1Photo,
+  day1PhotoUrl,
+  storeDay1Photo,
+  removeDay1Photo,
+  readDay1Photo,
+  collectPhotoAssets
+};
@@ -0,0 +1,45 @@
+const { getVerificationState } = require('./eventContext');
+const { formatSessionResults } = require('./eventSchedule');
+const { getReferenceDescriptors } = require('./referenceDescriptors');
+const { hasDay1Photo, day1PhotoUrl } = require('./studentPhotos');
+
+// Helper function for the number of reference samples; change-feed documents carry the count
+// (referenceCount) instead of the descriptors
+const countReferences = (student) => (
+  typeof student.referenceCount === 'number' ? student.referenceCount : getReferenceDescriptors(student).length
+);
+
+/**
+ * Format a student for API responses; pass the event context to report that event's state
+ */
+const formatStudentResponse = (student, context = null) => {
+  const state = getVerificationState(student, context?.eventId) || {};
+  return {
+    _id: student._id,
+    name: student.name,
+    registrationNo: student.registrationNo,
+    rollNumber: student.rollNumber,
+    class: student.class,
+    dob: student.dob,
+    ageGroup: student.ageGroup,
+    school: student.school,
+    event: context?.eventId || null,
+    verified: !!state.verified,
+    verificationResult: state.verificationResult || 'pending',
+    manuallyVerified: !!state.manuallyVerified,
+    manualVerificationDate: state.manualVerificationDate || null,
+    faceDescriptors: countReferences(student),
+    hasDay1Photo: hasDay1Photo(state),
+    day1PhotoUrl: day1PhotoUrl(student, state, context?.eventId),
+    dayVerification: context ? formatSessionResults(state, context.sessions) : state.dayVerification,
+    hasFaceDescriptor: typeof student.hasFaceDescriptor === 'boolean'
+      ? student.hasFaceDescriptor
+      : Array.isArray(student.faceDescriptor) && student.faceDescriptor.length > 0,
+    createdAt: student.createdAt,
+    updatedAt: student.updatedAt
+  };
+};
+
+module.exports = {
+  formatStudentResponse
+};
@@ -0,0 +1,294 @@
+// Reconciles verification results pushed by offline devices (see routes/sync.js).
+// Devices verify against a snapshot and push timestamped results later; by then the server
+// may hold results from other devices, online verification or staff, so each pushed result
+// goes through the conflict rules below instead of simply overwriting.
+
+const Student = require('../models/Student');
+const SyncItem = require('../models/SyncItem');
+const VerificationAttempt = require('../models/VerificationAttempt');
+const { resolveEventContext, getVerificationState, isValidEventId } = require('./eventContext');
+const { resolveSessionKey, getSessionResult, setSessionResult } = require('./eventSchedule');
+const { snapshotStudentState, recordStudentAudit } = require('./auditService');
+const { acceptsBareDescriptors, CONFIG: POLICY_CONFIG } = require('./descriptorPolicy');
+
+// Configuration
+const CONFIG = {
+  MAX_ITEMS: parseInt(process.env.SYNC_MAX_ITEMS, 10) || 500,
+  // Device clocks drift; results stamped further than this in the future are refused
+  MAX_CLOCK_SKEW_MS: 5 * 60 * 1000,
+  // A claim on an item is left behind when the server stops mid-push; after this long another push may take it over
+  CLAIM_TIMEOUT_MS: 2 * 60 * 1000
+};
+
+const RESULTS = ['success', 'failed', 'manually_verified'];
+
+// Precedence of results: a result only replaces one of lower rank, or an older one of the same rank.
+// So a manual verification beats any automatic result, and a success is not undone by a later failed retake.
+const RESULT_RANK = { pending: 0, failed: 1, success: 2, manually_verified: 3 };
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id));
+
+/**
+ * Decide whether a pushed result replaces the server's.
+ * existing: { result, date } held by the server (result may be missing); incoming: { result, capturedAt }.
+ * Returns { apply, status, reason }.
+ */
+function resolveConflict(existing, incoming) {
+  const existingRank = RESULT_RANK[existing?.result] || 0;
+  const incomingRank = RESULT_RANK[incoming.result];
+
+  if (existingRank === 0) {
+    return { apply: true, status: 'applied', reason: null };
+  }
+  if (incomingRank > existingRank) {
+    return { apply: true, status: 'applied', reason: `Replaced ${existing.result}` };
+  }
+  if (incomingRank < existingRank) {
+    return { apply: false, status: 'conflict', reason: `Server result ${existing.result} takes precedence over ${incoming.result}` };
+  }
+  if (!existing.date || incoming.capturedAt > new Date(existing.date)) {
+    return { apply: true, status: 'applied', reason: `Replaced an older ${existing.result}` };
+  }
+  return { apply: false, status: 'stale', reason: `Server already has a newer ${existing.result}` };
+}
+
+/**
+ * Check one pushed item. Returns the normalised item or { error }.
+ */
+function parseSyncItem(item) {
+  if (!item || typeof item !== 'object') return { error: 'Item must be an object' };
+
+  const clientItemId = typeof item.id === 'string' ? item.id.trim() : '';
+  if (!clientItemId || clientItemId.length > 64) {
+    return { error: 'id must be a non-empty string of at most 64 characters' };
+  }
+  if (!isValidObjectId(item.studentId)) return { error: 'Invalid student ID format' };
+  if (item.eventId && !isValidEventId(item.eventId)) return { error: 'Invalid event ID format' };
+  if (!RESULTS.includes(item.result)) return { error: `result must be one of: ${RESULTS.join(', ')}` };
+
+  const capturedAt = new Date(item.capturedAt);
+  if (!item.capturedAt || isNaN(capturedAt.getTime())) {
+    return { error: 'capturedAt must be an ISO timestamp' };
+  }
+  if (capturedAt.getTime() > Date.now() + CONFIG.MAX_CLOCK_SKEW_MS) {
+    return { error: 'capturedAt is in the future; check the device clock' };
+  }
+
+  const number = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+  return {
+    clientItemId,
+    studentId: String(item.studentId),
+    eventId: item.eventId ? String(item.eventId) : null,
+    day: item.day ?? item.session ?? null,
+    result: item.result,
+    confidence: number(item.confidence),
+    distance: number(item.distance),
+    capturedAt,
+    reason: typeof item.reason === 'string' ? item.reason.trim() : null,
+    notes: typeof item.notes === 'string' ? item.notes.trim() : null
+  };
+}
+
+// Helper function to format a stored item as a per-item outcome
+const formatOutcome = (syncItem, extra = {}) => ({
+  id: syncItem.clientItemId,
+  studentId: syncItem.student,
+  status: syncItem.status,
+  reason: syncItem.reason,
+  day: syncItem.day,
+  ...extra
+});
+
+// Helper function to claim an item before it is applied. The insert is what decides between
+// concurrent pushes of the same item: the unique index lets only one of them through.
+// Returns { syncItem } when claimed, { previous } for an item already reconciled, or { busy: true }.
+async function claimItem(fields) {
+  try {
+    return { syncItem: await SyncItem.create({ ...fields, status: 'pending' }) };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const key = { user: fields.user, device: fields.device, clientItemId: fields.clientItemId };
+  const previous = await SyncItem.findOne(key);
+  if (previous && previous.status !== 'pending') return { previous };
+
+  // An abandoned claim is taken over; a recent one belongs to a push still applying the item
+  const syncItem = await SyncItem.findOneAndUpdate(
+    { ...key, status: 'pending', receivedAt: { $lt: new Date(Date.now() - CONFIG.CLAIM_TIMEOUT_MS) } },
+    { $set: { receivedAt: new Date() } },
+    { new: true }
+  );
+  return syncItem ? { syncItem } : { busy: true };
+}
+
+// Helper function to apply an item to the student's state. Returns { status, reason, studentBefore }.
+async function applyToStudent(item, student, context, user) {
+  const state = getVerificationState(student, context.eventId, { create: true });
+  const dayKey = item.day !== null && item.day !== '' ? resolveSessionKey(item.day, context.sessions) : null;
+  if (item.day !== null && item.day !== '' && !dayKey) {
+    return { status: 'rejected', reason: `Unknown session for this event: ${item.day}` };
+  }
+
+  const manual = item.result === 'manually_verified';
+  const previousState = snapshotStudentState(student, context.eventId);
+  const incoming = { result: item.result, capturedAt: item.capturedAt };
+  let decision = null;
+
+  if (dayKey) {
+    const entry = getSessionResult(state, dayKey);
+    decision = resolveConflict(entry && { result: entry.result, date: entry.date }, incoming);
+    if (decision.apply) {
+      setSessionResult(state, dayKey, {
+        result: item.result,
+        confidence: manual ? null : item.confidence,
+        distance: manual ? null : item.distance,
+        date: item.capturedAt
+      });
+    }
+  }
+
+  // Overall status: a result for a session only competes for it once it has won the session, so
+  // a result the session refused changes nothing; a manual result only when no session is named,
+  // as with POST /api/student/:id/manual-verify
+  if (!dayKey || (!manual && decision.apply)) {
+    const overall = resolveConflict({
+      result: state.verificationResult,
+      date: state.manuallyVerified ? state.manualVerificationDate : state.verificationDate
+    }, incoming);
+    if (overall.apply && manual) {
+      state.verified = true;
+      state.verificationResult = 'manually_verified';
+      state.manuallyVerified = true;
+      state.manualVerificationDate = item.capturedAt;
+    } else if (overall.apply) {
+      state.verified = item.result === 'success';
+      state.verificationResult = item.result;
+      state.verificationDate = item.capturedAt;
+    }
+    if (!decision) decision = overall;
+  }
+
+  if (decision.apply && manual) {
+    state.manualVerificationReason = item.reason || 'Offline verification';
+    if (item.notes) state.manualVerificationNotes = item.notes;
+  }
+
+  if (student.isModified()) await student.save();
+
+  if (decision.apply && manual) {
+    await recordStudentAudit({
+      student,
+      actor: user,
+      event: context.eventId,
+      action: 'offline_manual_verify',
+      day: dayKey,
+      reason: item.reason || 'Offline verification',
+      notes: item.notes,
+      previousState,
+      newState: snapshotStudentState(student, context.eventId)
+    });
+  }
+
+  return { status: decision.status, reason: decision.reason, dayKey };
+}
+
+/**
+ * Reconcile one pushed item for a device. An item the user has pushed from the device before is not
+ * applied again; its recorded outcome is returned with duplicate: true. Rejected items are not
+ * recorded, so they can be corrected and pushed again.
+ * allowedSchoolIds limits the students the user may push for (null: any school).
+ */
+async function applySyncItem(rawItem, { device, user, allowedSchoolIds = null }) {
+  const item = parseSyncItem(rawItem);
+  if (item.error) {
+    return { id: rawItem && typeof rawItem.id === 'string' ? rawItem.id : null, status: 'rejected', reason: item.error };
+  }
+
+  const record = {
+    device,
+    clientItemId: item.clientItemId,
+    user: user._id,
+    student: item.studentId,
+    result: item.result,
+    day: item.day !== null ? String(item.day) : null,
+    capturedAt: item.capturedAt
+  };
+
+  const claim = await claimItem(record);
+  if (claim.previous) return formatOutcome(claim.previous, { duplicate: true });
+  if (claim.busy) {
+    return formatOutcome({ ...record, status: 'error', reason: 'Item is being applied by another push; push it again later' });
+  }
+  const { syncItem } = claim;
+
+  // Helper function to give up the claim, leaving the item free to be pushed again
+  const release = () => SyncItem.deleteOne({ _id: syncItem._id });
+  const reject = async (reason) => {
+    await release();
+    return formatOutcome({ ...record, status: 'rejected', reason });
+  };
+
+  try {
+    const student = await Student.findById(item.studentId);
+    if (!student) return reject('Student not found');
+
+    if (allowedSchoolIds && !allowedSchoolIds.includes(String(student.school))) {
+      return reject('Student is not in a school assigned to this account');
+    }
+    if (item.result === 'manually_verified' && !['admin', 'coordinator'].includes(user.role)) {
+      return reject('Only admins and coordinators can record manual verification');
+    }
+    if (item.result !== 'manually_verified' && !acceptsBareDescriptors()) {
+      return reject(`Descriptor policy '${POLICY_CONFIG.POLICY}' does not accept results matched on a device`);
+    }
+
+    const context = await resolveEventContext(student.school, item.eventId, { forWrite: true });
+    if (context.error) return reject(context.error.message);
+
+    const applied = await applyToStudent(item, student, context, user);
+    if (applied.status === 'rejected') return reject(applied.reason);
+
+    syncItem.set({
+      school: student.school,
+      event: context.eventId,
+      day: applied.dayKey || record.day,
+      status: applied.status,
+      reason: applied.reason
+    });
+    await syncItem.save();
+
+    // Automatic results are face verification attempts made on the device
+    if (item.result !== 'manually_verified') {
+      await VerificationAttempt.create({
+        student: student._id,
+        school: student.school,
+        event: context.eventId,
+        day: syncItem.day,
+        result: item.result,
+        distance: item.distance,
+        confidence: Math.round(item.confidence || 0),
+        source: 'client_descriptor',
+        serverVerified: false,
+        operator: user._id,
+        syncDevice: device,
+        syncedAt: new Date(),
+        timestamp: item.capturedAt
+      }).catch(err => console.error('Error logging synced verification attempt:', err));
+    }
+
+    return formatOutcome(syncItem);
+  } catch (err) {
+    await release().catch(releaseError => console.error('Error releasing sync item claim:', releaseError));
+    throw err;
+  }
+}
+
+module.exports = {
+  CONFIG,
+  RESULT_RANK,
+  resolveConflict,
+  parseSyncItem,
+  applySyncItem
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+// Configuration
+const CONFIG = {
+  ACCESS_TOKEN_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7
+};
+
+/**
+ * Read the signing secret, failing loudly if it is not configured
+ */
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token for a user
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: String(user._id), tv: user.tokenVersion || 0 },
+    getSecret(),
+    { expiresIn: CONFIG.ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify an access token and return its payload (throws on invalid/expired)
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, getSecret());
+}
+
+/**
+ * Generate a raw refresh token (not yet stored)
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Create and persist a new refresh token; returns the raw token
+ */
+async function createRefreshToken(user, ip, token = generateRefreshToken()) {
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + CONFIG.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip
+  });
+  return token;
+}
+
+/**
+ * Issue an access/refresh token pair for a user
+ */
+async function issueTokens(user, ip, nextRefreshToken) {
+  const token = signAccessToken(user);
+  const refreshToken = await createRefreshToken(user, ip, nextRefreshToken);
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Look up a stored refresh token, returning null if unknown, revoked or expired
+ */
+async function findActiveRefreshToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored || !stored.isActive) return null;
+  return stored;
+}
+
+/**
+ * Revoke a single refresh token; returns true if one was revoked
+ */
+async function revokeRefreshToken(token, replacedBy = null) {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date(), replacedBy: replacedBy ? hashToken(replacedBy) : null }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Rotate a refresh token: revoke it atomically and reserve the raw token that replaces it,
+ * so of two concurrent refreshes with the same token only one succeeds.
+ * Returns { stored, nextToken } on success, { reused: true, userId } when the token was
+ * already rotated out (it has been replayed), or null when it is unknown, revoked or expired.
+ */
+async function rotateRefreshToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const tokenHash = hashToken(token);
+  const nextToken = generateRefreshToken();
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), replacedBy: hashToken(nextToken) },
+    { new: true }
+  );
+  if (stored) return { stored, nextToken };
+
+  const previous = await RefreshToken.findOne({ tokenHash }).select('user replacedBy');
+  if (previous && previous.replacedBy) {
+    return { reused: true, userId: previous.user };
+  }
+  return null;
+}
+
+/**
+ * Revoke every outstanding refresh token for a user
+ */
+async function revokeAllForUser(userId) {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  CONFIG,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  createRefreshToken,
+  findActiveRefreshToken,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  revokeAllForUser
+};
@@ -0,0 +1,138 @@
+// Face recognition needs native canvas builds; formatting students never reaches it
+jest.mock('../services/faceRecognition', () => ({}));
+
+const { encodeCursor, decodeCursor, afterPosition } = require('../services/changeFeed');
+
+const id = (n) => String(n).padStart(24, '0');
+const issuedAt = new Date('2026-10-01T09:00:00.000Z');
+
+// Helper function to build a cursor payload by hand
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('cursor encoding', () => {
+  test('positions and issue time survive a round trip', () => {
+    const positions = {
+      students: { t: 1759309200000, id: id(1) },
+      schools: { t: null, id: id(2) },
+      deleted: null
+    };
+
+    const decoded = decodeCursor(encodeCursor(positions, issuedAt));
+
+    expect(decoded.positions).toEqual(positions);
+    expect(decoded.issuedAt).toEqual(issuedAt);
+  });
+
+  test('streams missing from the payload start from the beginning', () => {
+    const decoded = decodeCursor(rawCursor({ v: 1, at: issuedAt.getTime() }));
+    expect(decoded.positions).toEqual({ students: null, schools: null, deleted: null });
+  });
+
+  test('anything that is not one of our cursors is refused', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(rawCursor(null))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 2, at: issuedAt.getTime() }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 1, at: 'yesterday' }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 1, at: issuedAt.getTime(), students: { t: 1, id: 'nope' } }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 1, at: issuedAt.getTime(), students: { t: 'soon', id: id(1) } }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 1, at: issuedAt.getTime(), students: { id: id(1) } }))).toBeNull();
+  });
+});
+
+describe('afterPosition', () => {
+  test('no position means no condition', () => {
+    expect(afterPosition('updatedAt', null)).toEqual({});
+  });
+
+  test('after a timestamp: later times, or the same time with a larger id', () => {
+    const t = 1759309200000;
+    expect(afterPosition('updatedAt', { t, id: id(5) })).toEqual({
+      $or: [
+        { updatedAt: { $gt: new Date(t) } },
+        { updatedAt: new Date(t), _id: { $gt: id(5) } }
+      ]
+    });
+  });
+
+  test('after a document without a timestamp: untimestamped ones with a larger id, then every timestamped one', () => {
+    expect(afterPosition('deletedAt', { t: null, id: id(5) })).toEqual({
+      $or: [
+        { deletedAt: null, _id: { $gt: id(5) } },
+        { deletedAt: { $ne: null } }
+      ]
+    });
+  });
+});
+
+describe('fetchChanges student stream', () => {
+  const mongoose = require('mongoose');
+  const Student = require('../models/Student');
+  const School = require('../models/School');
+  const Tombstone = require('../models/Tombstone');
+  const { fetchChanges } = require('../services/changeFeed');
+  const { formatStudentResponse } = require('../services/studentResponse');
+
+  // Helper function for a find() chain that resolves to no documents
+  const emptyFind = () => {
+    const chain = { sort: () => chain, limit: () => chain, select: () => chain, then: (resolve) => resolve([]) };
+    return chain;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(School, 'find').mockImplementation(emptyFind);
+    jest.spyOn(Tombstone, 'find').mockImplementation(emptyFind);
+    jest.spyOn(Student, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads students with ids cast and without photos or descriptors', async () => {
+    const since = encodeCursor({ students: { t: 1759309200000, id: id(5) }, schools: null, deleted: null }, new Date());
+
+    await fetchChanges({ since, schoolId: id(9), limit: 10 });
+
+    const [match, sort, limit, project] = Student.aggregate.mock.calls[0][0];
+    const [schoolFilter, , position] = match.$match.$and;
+    expect(schoolFilter.school).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(position.$or[1]._id.$gt).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(sort).toEqual({ $sort: { updatedAt: 1, _id: 1 } });
+    expect(limit).toEqual({ $limit: 11 });
+
+    // Heavy fields only appear inside expressions that reduce them to a flag or a count
+    const fields = project.$project;
+    expect(fields).not.toHaveProperty('day1Photo', 1);
+    expect(fields).not.toHaveProperty('referenceDescriptors');
+    expect(fields).not.toHaveProperty('faceDescriptor');
+    expect(fields.eventResults.$arrayToObject.$map.in.v.$mergeObjects[1]).toHaveProperty('day1Photo');
+  });
+
+  test('projected students format like full ones', () => {
+    const eventId = id(7);
+    const projected = {
+      _id: id(1),
+      name: 'Asha',
+      school: id(9),
+      day1Photo: false,
+      eventResults: {
+        [eventId]: { verified: true, verificationResult: 'success', day1Photo: true, dayVerification: { day1: { result: 'success' } } }
+      },
+      referenceCount: 3,
+      hasFaceDescriptor: true
+    };
+    const context = { eventId, sessions: [{ key: 'day1', label: 'Day 1', date: null }] };
+
+    expect(formatStudentResponse(projected, context)).toMatchObject({
+      verified: true,
+      verificationResult: 'success',
+      faceDescriptors: 3,
+      hasFaceDescriptor: true,
+      hasDay1Photo: true,
+      day1PhotoUrl: `/api/student/${id(1)}/photo?eventId=${eventId}`,
+      dayVerification: { day1: expect.objectContaining({ result: 'success' }) }
+    });
+    expect(formatStudentResponse({ ...projected, referenceCount: 0, hasFaceDescriptor: false }, null))
+      .toMatchObject({ faceDescriptors: 0, hasFaceDescriptor: false, hasDay1Photo: false });
+  });
+});
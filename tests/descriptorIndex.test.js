@@ -0,0 +1,76 @@
+const descriptorIndex = require('../services/descriptorIndex');
+const { euclideanDistance } = require('../services/referenceDescriptors');
+const { makeDescriptor } = require('./helpers/descriptors');
+
+const STUDENTS = 2000;
+const QUERIES = 20;
+const TOP_N = 5;
+
+const id = (n) => n.toString(16).padStart(24, '0');
+const schoolOf = (i) => id(100000 + (i % 20));
+
+const students = Array.from({ length: STUDENTS }, (_, i) => ({
+  _id: id(i),
+  name: `Student ${i}`,
+  school: schoolOf(i),
+  ageGroup: i % 2 ? 'U14' : 'U17',
+  faceDescriptor: makeDescriptor(i + 1)
+}));
+const queries = Array.from({ length: QUERIES }, (_, q) => makeDescriptor(STUDENTS + q + 1));
+
+// The matching verification did before the index: every student, sorted by distance
+function linearScan(query, { schoolIds = null, ageGroup = null } = {}) {
+  return students
+    .filter(s => !schoolIds || schoolIds.includes(s.school))
+    .filter(s => !ageGroup || s.ageGroup === ageGroup)
+    .map(s => ({ studentId: s._id, distance: euclideanDistance(query, s.faceDescriptor) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, TOP_N);
+}
+
+// Helper to compare index matches with the linear scan (the index stores descriptors as float32)
+function expectSameMatches(matches, expected) {
+  expect(matches.map(m => m.studentId)).toEqual(expected.map(m => m.studentId));
+  matches.forEach((m, i) => expect(m.distance).toBeCloseTo(expected[i].distance, 5));
+}
+
+beforeEach(() => {
+  descriptorIndex.loadDescriptorIndexFrom(students);
+});
+
+describe('descriptor index search', () => {
+  test('single and bulk search return the linear scan\'s nearest students', async () => {
+    const bulk = await descriptorIndex.searchDescriptorIndexBulk(queries, { topN: TOP_N });
+
+    for (let q = 0; q < QUERIES; q++) {
+      const expected = linearScan(queries[q]);
+      const single = await descriptorIndex.searchDescriptorIndex(queries[q], { topN: TOP_N });
+
+      expectSameMatches(single.matches, expected);
+      expectSameMatches(bulk[q].matches, expected);
+      expect(single.searched).toBe(STUDENTS);
+    }
+  });
+
+  test('school and age group filters match the linear scan', async () => {
+    const scope = { schoolIds: [schoolOf(3), schoolOf(4)], ageGroup: 'U14' };
+    for (const query of queries.slice(0, 10)) {
+      const result = await descriptorIndex.searchDescriptorIndex(query, { ...scope, topN: TOP_N });
+      expectSameMatches(result.matches, linearScan(query, scope));
+      expect(result.searched).toBe(STUDENTS / 20);
+    }
+  });
+
+  test('incremental updates and removals are searched immediately', async () => {
+    const query = queries[0];
+    descriptorIndex.updateStudentInIndex({ ...students[42], faceDescriptor: query });
+
+    let result = await descriptorIndex.searchDescriptorIndex(query, { topN: 1 });
+    expect(result.matches[0]).toMatchObject({ studentId: students[42]._id, distance: 0 });
+
+    descriptorIndex.removeStudentFromIndex(students[42]._id);
+    result = await descriptorIndex.searchDescriptorIndex(query, { topN: 1 });
+    expect(result.matches[0].studentId).not.toBe(students[42]._id);
+    expect(result.indexSize).toBe(STUDENTS - 1);
+  });
+});
@@ -0,0 +1,69 @@
+const { resolveDescriptor } = require('../services/descriptorPolicy');
+const { makeDescriptor, atDistance } = require('./helpers/descriptors');
+
+const clientDescriptor = makeDescriptor(1);
+const image = 'data:image/jpeg;base64,AAAA';
+
+// Server-side extraction that "finds" a descriptor at a given distance from the client's
+const extractingAt = (distance) => jest.fn(async () => ({ descriptor: atDistance(clientDescriptor, distance) }));
+
+describe('resolveDescriptor', () => {
+  test('defaults to cross_check', () => {
+    const configured = process.env.DESCRIPTOR_POLICY;
+    delete process.env.DESCRIPTOR_POLICY;
+    jest.isolateModules(() => {
+      const policy = require('../services/descriptorPolicy');
+      expect(policy.CONFIG.POLICY).toBe('cross_check');
+      expect(policy.acceptsBareDescriptors()).toBe(false);
+    });
+    if (configured !== undefined) process.env.DESCRIPTOR_POLICY = configured;
+  });
+
+  test('trust uses a client descriptor as sent', async () => {
+    const extract = extractingAt(0);
+    const resolved = await resolveDescriptor({ descriptor: clientDescriptor, extract }, 'trust');
+
+    expect(resolved).toMatchObject({ descriptor: clientDescriptor, source: 'client_descriptor', serverVerified: false });
+    expect(extract).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed client descriptors', async () => {
+    for (const policy of ['trust', 'cross_check']) {
+      const resolved = await resolveDescriptor({ descriptor: [1, 2, 3], image, extract: extractingAt(0) }, policy);
+      expect(resolved.error.status).toBe(400);
+    }
+  });
+
+  test('cross_check requires the image a descriptor came from', async () => {
+    const resolved = await resolveDescriptor({ descriptor: clientDescriptor, extract: extractingAt(0) }, 'cross_check');
+    expect(resolved.error.status).toBe(400);
+  });
+
+  test('cross_check accepts a descriptor close to the server\'s and returns the server\'s', async () => {
+    const resolved = await resolveDescriptor({ descriptor: clientDescriptor, image, extract: extractingAt(0.05) }, 'cross_check');
+
+    expect(resolved.source).toBe('server_extraction');
+    expect(resolved.serverVerified).toBe(true);
+    expect(resolved.crossCheckDistance).toBeCloseTo(0.05, 4);
+    expect(resolved.descriptor).toEqual(atDistance(clientDescriptor, 0.05));
+  });
+
+  test('cross_check refuses a descriptor that does not belong to the image', async () => {
+    const resolved = await resolveDescriptor({ descriptor: clientDescriptor, image, extract: extractingAt(0.5) }, 'cross_check');
+
+    expect(resolved.error.status).toBe(422);
+    expect(resolved.error.crossCheckDistance).toBeCloseTo(0.5, 4);
+  });
+
+  test('server_only ignores client descriptors', async () => {
+    const resolved = await resolveDescriptor({ descriptor: [1, 2, 3], image, extract: extractingAt(0.9) }, 'server_only');
+
+    expect(resolved.source).toBe('server_extraction');
+    expect(resolved.crossCheckDistance).toBeNull();
+  });
+
+  test('returns null when the server finds no face', async () => {
+    const resolved = await resolveDescriptor({ image, extract: jest.fn(async () => null) }, 'server_only');
+    expect(resolved).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../services/jobQueue', () => ({ registerJobHandler: jest.fn(), enqueueJob: jest.fn() }));
+
+const Student = require('../models/Student');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { registerJobHandler } = require('../services/jobQueue');
+const { JOB_TYPE } = require('../services/duplicateDetection');
+const { makeDescriptor, atDistance } = require('./helpers/descriptors');
+
+const runScan = registerJobHandler.mock.calls.find(([type]) => type === JOB_TYPE)[1];
+
+const id = (n) => String(n).padStart(24, '0');
+const school = id(900);
+const base = makeDescriptor(3);
+
+// Helper to answer a chained query (find().select().lean()) with fixed rows
+const query = (rows) => ({ select: () => ({ lean: async () => rows }) });
+
+const ctx = { log: jest.fn(async () => {}), progress: jest.fn(async () => {}) };
+const job = { _id: id(500), payload: { eventId: null, threshold: 0.35 } };
+
+let writes;
+
+beforeEach(() => {
+  writes = [];
+  jest.spyOn(DuplicateCandidate, 'bulkWrite').mockImplementation(async (ops) => { writes.push(...ops); });
+  jest.spyOn(DuplicateCandidate, 'updateMany').mockResolvedValue({});
+  jest.spyOn(DuplicateCandidate, 'countDocuments').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('flags close pairs and closes open pairs that are stale', async () => {
+  const students = [
+    { _id: id(1), school, faceDescriptor: base },
+    { _id: id(2), school, faceDescriptor: atDistance(base, 0.1) },
+    // Re-enrolled: now far from student 1
+    { _id: id(3), school, faceDescriptor: atDistance(base, 0.9) }
+  ];
+  jest.spyOn(Student, 'find')
+    .mockReturnValueOnce(query(students))
+    // Of the students missing from the scan, only id(5) is still on file (without a template)
+    .mockReturnValueOnce(query([{ _id: id(5) }]));
+
+  jest.spyOn(DuplicateCandidate, 'find').mockReturnValue(query([
+    { _id: 'c-reenrolled', studentA: id(1), studentB: id(3), threshold: 0.35 },
+    { _id: 'c-deleted', studentA: id(1), studentB: id(4), threshold: 0.35 },
+    { _id: 'c-no-template', studentA: id(2), studentB: id(5), threshold: 0.35 },
+    // Flagged at a looser threshold by an earlier scan and still within it
+    { _id: 'c-still-close', studentA: id(2), studentB: id(3), threshold: 0.9 }
+  ]));
+
+  const { result } = await runScan(job, ctx);
+
+  const flagged = writes.filter(op => op.updateOne.upsert);
+  expect(flagged).toHaveLength(1);
+  expect(flagged[0].updateOne.filter).toMatchObject({ studentA: id(1), studentB: id(2) });
+
+  const byId = Object.fromEntries(writes.filter(op => !op.updateOne.upsert).map(op => [op.updateOne.filter._id, op.updateOne.update.$set]));
+  expect(byId['c-reenrolled']).toMatchObject({ status: 'stale', closedReason: 'no_longer_matching' });
+  expect(byId['c-deleted']).toMatchObject({ status: 'stale', closedReason: 'student_deleted' });
+  expect(byId['c-no-template']).toMatchObject({ status: 'stale', closedReason: 'no_longer_matching' });
+  expect(byId['c-still-close'].status).toBeUndefined();
+  expect(byId['c-still-close'].distance).toBeCloseTo(0.8, 4);
+
+  expect(result).toMatchObject({ studentsCompared: 3, pairsFlagged: 1, pairsClosed: 3 });
+});
@@ -0,0 +1,50 @@
+const School = require('../models/School');
+const Event = require('../models/Event');
+const { DEFAULT_EVENT_ID, resolveEventContext } = require('../services/eventContext');
+
+const eventId = 'a'.repeat(24);
+const schoolId = 'b'.repeat(24);
+
+const mockSchool = (school) => jest.spyOn(School, 'findById').mockReturnValue({ select: async () => school });
+const mockEvent = (event) => jest.spyOn(Event, 'findById').mockReturnValue({ select: async () => event });
+
+const activeEvent = { _id: eventId, name: 'Nationals', isActive: true, sessions: [{ key: 'heats' }, { key: 'finals' }] };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveEventContext', () => {
+  test('uses the school\'s current event by default', async () => {
+    mockSchool({ event: eventId, events: [eventId] });
+    mockEvent(activeEvent);
+
+    const context = await resolveEventContext(schoolId);
+    expect(context.eventId).toBe(eventId);
+    expect(context.sessions.map(s => s.key)).toEqual(['heats', 'finals']);
+  });
+
+  test('reaches the default programme explicitly once the school has an event', async () => {
+    mockSchool({ event: eventId, events: [eventId] });
+
+    const context = await resolveEventContext(schoolId, DEFAULT_EVENT_ID);
+    expect(context.eventId).toBeNull();
+    expect(context.sessions.map(s => s.key)).toEqual(['day1', 'day2', 'day3', 'day4', 'day5', 'day6']);
+  });
+
+  test('refuses events the school is not enrolled in', async () => {
+    mockSchool({ event: null, events: [] });
+
+    const context = await resolveEventContext(schoolId, eventId);
+    expect(context.error.status).toBe(400);
+  });
+
+  test('reads archived events but refuses writes to them', async () => {
+    mockSchool({ event: eventId, events: [eventId] });
+    mockEvent({ ...activeEvent, isActive: false });
+
+    expect((await resolveEventContext(schoolId, eventId)).eventId).toBe(eventId);
+    const context = await resolveEventContext(schoolId, eventId, { forWrite: true });
+    expect(context.error.status).toBe(409);
+  });
+});
@@ -0,0 +1,120 @@
+const { assessFaceQuality, estimateHeadPose, laplacianVariance } = require('../services/faceQuality');
+
+const SIZE = 32;
+
+// Helper function for a face region: a checkerboard is full of edges, a flat fill has none
+const checkerboard = (low, high) => {
+  const gray = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) gray[y * SIZE + x] = (x + y) % 2 ? high : low;
+  }
+  return gray;
+};
+const flat = (value) => new Float32Array(SIZE * SIZE).fill(value);
+
+// Helper function for 68 landmarks of a face; noseShift moves the nose tip sideways (yaw)
+// and noseDrop moves it down towards the mouth (pitch)
+const landmarks = ({ noseShift = 0, noseDrop = 0 } = {}) => {
+  const points = Array.from({ length: 68 }, () => ({ x: 50, y: 50 }));
+  points[0] = { x: 0, y: 50 };
+  points[16] = { x: 100, y: 50 };
+  for (let i = 36; i < 48; i++) points[i] = { x: 50, y: 40 };
+  for (let i = 48; i < 68; i++) points[i] = { x: 50, y: 80 };
+  // 0.55 of the way from the eyes to the mouth is a frontal face
+  points[30] = { x: 50 + noseShift, y: 62 + noseDrop };
+  return points;
+};
+
+const goodFace = (overrides = {}) => ({
+  gray: checkerboard(60, 180),
+  grayWidth: SIZE,
+  grayHeight: SIZE,
+  box: { x: 100, y: 100, width: 200, height: 200 },
+  imageWidth: 640,
+  imageHeight: 480,
+  landmarks: landmarks(),
+  faceCount: 1,
+  ...overrides
+});
+
+describe('assessFaceQuality', () => {
+  test('a sharp, well lit, large frontal face passes every check', () => {
+    const result = assessFaceQuality(goodFace());
+
+    expect(result.passed).toBe(true);
+    expect(result.score).toBe(100);
+    expect(result.reasons).toEqual([]);
+    expect(result.checks.yaw.value).toBeCloseTo(0, 1);
+    expect(result.checks.pitch.value).toBeCloseTo(0, 1);
+  });
+
+  test('a flat face region is reported as blurred', () => {
+    const result = assessFaceQuality(goodFace({ gray: flat(120) }));
+
+    expect(result.passed).toBe(false);
+    expect(result.checks.sharpness).toMatchObject({ value: 0, passed: false });
+    expect(result.reasons).toEqual(['Face is blurred or out of focus']);
+  });
+
+  test('brightness outside the limits is too dark or overexposed', () => {
+    expect(assessFaceQuality(goodFace({ gray: checkerboard(10, 30) })).reasons).toEqual(['Face is too dark']);
+    expect(assessFaceQuality(goodFace({ gray: checkerboard(200, 250) })).reasons).toEqual(['Face is overexposed']);
+  });
+
+  test('a small face box fails the size check', () => {
+    const result = assessFaceQuality(goodFace({ box: { x: 0, y: 0, width: 50, height: 50 } }));
+
+    expect(result.checks.faceSize).toMatchObject({ value: 0.104, passed: false });
+    expect(result.reasons).toEqual(['Face is too small in the frame; move closer']);
+  });
+
+  test('a turned or tilted head fails the pose checks', () => {
+    expect(assessFaceQuality(goodFace({ landmarks: landmarks({ noseShift: 30 }) })).reasons)
+      .toEqual(['Head is turned to the side; face the camera']);
+    expect(assessFaceQuality(goodFace({ landmarks: landmarks({ noseDrop: 12 }) })).reasons)
+      .toEqual(['Head is tilted up or down; look straight at the camera']);
+  });
+
+  test('missing landmarks fail the pose checks with one reason', () => {
+    const result = assessFaceQuality(goodFace({ landmarks: [] }));
+
+    expect(result.checks.yaw.passed).toBe(false);
+    expect(result.checks.pitch.passed).toBe(false);
+    expect(result.reasons).toEqual(['Facial landmarks could not be located']);
+  });
+
+  test('more than one face fails the face count check', () => {
+    const result = assessFaceQuality(goodFace({ faceCount: 2 }));
+
+    expect(result.passed).toBe(false);
+    expect(result.reasons).toEqual(['2 faces in the frame; only one person should be visible']);
+  });
+
+  test('the score is the share of checks passed and limits can be overridden', () => {
+    const blurred = assessFaceQuality(goodFace({ gray: flat(120) }));
+    expect(blurred.score).toBe(83);
+
+    const lenient = assessFaceQuality(goodFace({ gray: flat(120) }), {
+      MIN_SHARPNESS: 0, MIN_BRIGHTNESS: 0, MAX_BRIGHTNESS: 255, MIN_FACE_RATIO: 0, MAX_YAW: 90, MAX_PITCH: 90, MAX_FACES: 1
+    });
+    expect(lenient.passed).toBe(true);
+  });
+});
+
+describe('estimateHeadPose', () => {
+  test('needs a full landmark set', () => {
+    expect(estimateHeadPose(null)).toBeNull();
+    expect(estimateHeadPose(landmarks().slice(0, 67))).toBeNull();
+  });
+
+  test('the sign of yaw follows the nose', () => {
+    expect(estimateHeadPose(landmarks({ noseShift: 20 })).yaw).toBeGreaterThan(0);
+    expect(estimateHeadPose(landmarks({ noseShift: -20 })).yaw).toBeLessThan(0);
+  });
+});
+
+describe('laplacianVariance', () => {
+  test('is zero for regions too small to measure', () => {
+    expect(laplacianVariance(flat(0), 2, 2)).toBe(0);
+  });
+});
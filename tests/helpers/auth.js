@@ -0,0 +1,36 @@
+// Signs requests in as a user of a given role without a database: the auth middleware's
+// User lookup is answered from memory.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../../models/User');
+const { signAccessToken } = require('../../services/tokenService');
+
+const users = new Map();
+
+/**
+ * Register a user for the given role and return its Authorization header value
+ */
+function authenticateAs(role, overrides = {}) {
+  if (!jest.isMockFunction(User.findById)) {
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => users.get(String(id)) || null
+    }));
+  }
+
+  const _id = String(users.size + 1).padStart(24, '0');
+  const user = {
+    _id,
+    username: `${role}-${users.size + 1}`,
+    role,
+    isActive: true,
+    tokenVersion: 0,
+    mustChangePassword: false,
+    assignedSchools: [],
+    ...overrides
+  };
+  users.set(_id, user);
+  return `Bearer ${signAccessToken(user)}`;
+}
+
+module.exports = { authenticateAs, users };
@@ -0,0 +1,21 @@
+// Deterministic 128-value face descriptors for matching tests
+
+/**
+ * A pseudo-random descriptor; the same seed always gives the same values
+ */
+function makeDescriptor(seed) {
+  let state = seed * 2654435761 % 4294967296;
+  return Array.from({ length: 128 }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296 - 0.5;
+  });
+}
+
+/**
+ * A copy of a descriptor moved exactly `distance` away from it
+ */
+function atDistance(descriptor, distance) {
+  return descriptor.map((v, i) => (i === 0 ? v + distance : v));
+}
+
+module.exports = { makeDescriptor, atDistance };
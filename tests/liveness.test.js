@@ -0,0 +1,136 @@
+const { assessMotion, assessArtefacts, assessLiveness, eyeAspectRatio } = require('../services/liveness');
+const { makeDescriptor, atDistance } = require('./helpers/descriptors');
+
+const SIZE = 32;
+
+// Helper function for 68 landmarks with a given eye opening and nose offset (yaw)
+const landmarks = ({ eyeOpen = 6, noseShift = 0 } = {}) => {
+  const points = Array.from({ length: 68 }, () => ({ x: 50, y: 50 }));
+  points[0] = { x: 0, y: 50 };
+  points[16] = { x: 100, y: 50 };
+  // Each eye is 20 wide; the upper and lower lid points are eyeOpen apart
+  for (const start of [36, 42]) {
+    const left = start === 36 ? 20 : 60;
+    points[start] = { x: left, y: 40 };
+    points[start + 1] = { x: left + 7, y: 40 - eyeOpen / 2 };
+    points[start + 2] = { x: left + 13, y: 40 - eyeOpen / 2 };
+    points[start + 3] = { x: left + 20, y: 40 };
+    points[start + 4] = { x: left + 13, y: 40 + eyeOpen / 2 };
+    points[start + 5] = { x: left + 7, y: 40 + eyeOpen / 2 };
+  }
+  for (let i = 48; i < 68; i++) points[i] = { x: 50, y: 80 };
+  points[30] = { x: 50 + noseShift, y: 62 };
+  return points;
+};
+
+// Helper function for a face region with smooth shading: contrast without a pixel grid or glare
+const shadedRegion = () => {
+  const gray = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) gray[y * SIZE + x] = 40 + x * 5;
+  }
+  return { gray, grayWidth: SIZE, grayHeight: SIZE };
+};
+
+const captured = makeDescriptor(3);
+const capture = { descriptor: captured, threshold: 0.4 };
+
+// Helper function for a burst: one frame per eye opening, all showing the captured face
+const burst = (openings, descriptor = atDistance(captured, 0.1)) => openings.map(eyeOpen => ({
+  landmarks: landmarks({ eyeOpen }),
+  descriptor,
+  ...shadedRegion()
+}));
+
+describe('assessMotion', () => {
+  test('open, closed, open is a blink', () => {
+    const result = assessMotion([6, 1, 6].map(eyeOpen => landmarks({ eyeOpen })));
+
+    expect(result).toMatchObject({ passed: true, blink: true, headTurn: false });
+    expect(result.earRange[0]).toBeCloseTo(0.05, 3);
+    expect(result.earRange[1]).toBeCloseTo(0.3, 3);
+  });
+
+  test('eyes closed at the end is not a blink', () => {
+    expect(assessMotion([6, 6, 1].map(eyeOpen => landmarks({ eyeOpen }))).blink).toBe(false);
+  });
+
+  test('a turn of the head passes without a blink', () => {
+    const result = assessMotion([-10, 0, 10].map(noseShift => landmarks({ noseShift })));
+
+    expect(result).toMatchObject({ passed: true, blink: false, headTurn: true });
+    expect(result.yawRange).toBeGreaterThan(8);
+  });
+
+  test('a still face fails', () => {
+    expect(assessMotion([landmarks(), landmarks(), landmarks()])).toMatchObject({ passed: false, yawRange: 0 });
+  });
+
+  test('eyeAspectRatio is zero for a degenerate eye', () => {
+    expect(eyeAspectRatio(Array(6).fill({ x: 1, y: 1 }))).toBe(0);
+  });
+});
+
+describe('assessArtefacts', () => {
+  test('a smoothly shaded face has no flags', () => {
+    expect(assessArtefacts(shadedRegion())).toMatchObject({ passed: true, flags: [] });
+  });
+
+  test('glare, a pixel grid and a flat print are flagged', () => {
+    const glare = { ...shadedRegion(), gray: new Float32Array(SIZE * SIZE).fill(255) };
+    expect(assessArtefacts(glare).flags).toEqual(['glare', 'low_contrast']);
+
+    const grid = shadedRegion();
+    for (let i = 0; i < grid.gray.length; i++) grid.gray[i] = i % 2 ? 40 : 200;
+    expect(assessArtefacts(grid).flags).toContain('screen_pattern');
+  });
+});
+
+describe('assessLiveness', () => {
+  test('a blinking burst of the captured face passes', () => {
+    const result = assessLiveness(burst([6, 1, 6]), capture);
+
+    expect(result.passed).toBe(true);
+    expect(result.score).toBe(1);
+    expect(result.reasons).toEqual([]);
+    expect(result.captureMatch).toEqual({ passed: true, framesCompared: 3, maxDistance: 0.1 });
+  });
+
+  test('too few frames fail the motion check', () => {
+    const result = assessLiveness(burst([6, 1]), capture);
+
+    expect(result.passed).toBe(false);
+    expect(result.motion).toBeNull();
+    expect(result.reasons).toEqual(['At least 3 frames with a detectable face are required for the motion check']);
+  });
+
+  test('a live burst of another face does not vouch for the capture', () => {
+    const result = assessLiveness(burst([6, 1, 6], atDistance(captured, 0.6)), capture);
+
+    expect(result.passed).toBe(false);
+    expect(result.motion.passed).toBe(true);
+    expect(result.captureMatch).toMatchObject({ passed: false, maxDistance: 0.6 });
+    expect(result.reasons).toEqual(['The frames do not show the same face as the capture']);
+  });
+
+  test('one frame of another face is enough to fail', () => {
+    const frames = burst([6, 1, 6]);
+    frames[2].descriptor = atDistance(captured, 0.5);
+
+    expect(assessLiveness(frames, capture).captureMatch).toMatchObject({ passed: false, framesCompared: 3 });
+  });
+
+  test('frames without descriptors cannot be tied to the capture', () => {
+    const frames = burst([6, 1, 6], null);
+
+    expect(assessLiveness(frames, capture)).toMatchObject({ passed: false, captureMatch: { passed: false, framesCompared: 0 } });
+    expect(assessLiveness(frames, capture).reasons).toEqual(['No face in the frames could be compared with the capture']);
+  });
+
+  test('an empty burst fails every check', () => {
+    const result = assessLiveness([], capture);
+
+    expect(result).toMatchObject({ passed: false, score: 0, frames: 0 });
+    expect(result.reasons).toHaveLength(3);
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  matchReferences,
+  meanDescriptor,
+  euclideanDistance
+} = require('../services/referenceDescriptors');
+const { makeDescriptor, atDistance } = require('./helpers/descriptors');
+
+const captured = makeDescriptor(7);
+// Samples at known distances from the capture
+const references = [0.5, 0.1, 0.3].map(d => atDistance(captured, d));
+
+describe('matchReferences', () => {
+  test('without references nothing matches', () => {
+    expect(matchReferences(captured, [], 0.4)).toMatchObject({ match: false, distance: null, confidence: 0, referenceCount: 0 });
+  });
+
+  test('min: the closest sample decides', () => {
+    const result = matchReferences(captured, references, 0.4, { strategy: 'min' });
+
+    expect(result.match).toBe(true);
+    expect(result.distance).toBeCloseTo(0.1, 6);
+    expect(result.confidence).toBeCloseTo(90, 4);
+    expect(result.referenceCount).toBe(3);
+    expect(result.matchingReferences).toBe(2);
+  });
+
+  test('min: an exact match has distance 0 and full confidence', () => {
+    const result = matchReferences(captured, [captured], 0.4, { strategy: 'min' });
+    expect(result).toMatchObject({ match: true, distance: 0, confidence: 100 });
+  });
+
+  test('the threshold itself does not match', () => {
+    const result = matchReferences(captured, [atDistance(captured, 0.4)], 0.4, { strategy: 'min' });
+    expect(result.match).toBe(false);
+  });
+
+  test('mean: compares against the averaged template', () => {
+    const result = matchReferences(captured, references, 0.4, { strategy: 'mean' });
+
+    expect(result.distance).toBeCloseTo(euclideanDistance(captured, meanDescriptor(references)), 10);
+    expect(result.distance).toBeCloseTo(0.3, 6);
+    expect(result.match).toBe(true);
+  });
+
+  test('k_of_n: at least K samples must match', () => {
+    const two = matchReferences(captured, references, 0.4, { strategy: 'k_of_n', k: 2 });
+    expect(two.match).toBe(true);
+    expect(two.distance).toBeCloseTo(0.3, 6);
+
+    const three = matchReferences(captured, references, 0.4, { strategy: 'k_of_n', k: 3 });
+    expect(three.match).toBe(false);
+    expect(three.distance).toBeCloseTo(0.5, 6);
+  });
+
+  test('k_of_n: with fewer samples than K every sample must match', () => {
+    const result = matchReferences(captured, [atDistance(captured, 0.2)], 0.4, { strategy: 'k_of_n', k: 3 });
+    expect(result.match).toBe(true);
+  });
+});
+
+describe('meanDescriptor', () => {
+  test('averages element-wise', () => {
+    expect(meanDescriptor([[0, 2], [2, 4]])).toEqual([1, 3]);
+    expect(meanDescriptor([])).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+// Face recognition needs native canvas/sharp builds and model files; role checks never reach it
+jest.mock('../services/faceRecognition', () => ({
+  CONFIG: { MAX_IMAGE_SIZE: 10 * 1024 * 1024, SUPPORTED_FORMATS: ['jpeg', 'jpg', 'png', 'webp'] },
+  ensureModelsLoaded: jest.fn(() => Promise.resolve()),
+  isModelsLoaded: jest.fn(() => false),
+  InvalidImageError: class InvalidImageError extends Error {}
+}));
+jest.mock('sharp', () => jest.fn());
+
+const express = require('express');
+const request = require('supertest');
+const { authenticateAs } = require('./helpers/auth');
+const schoolRoutes = require('../routes/school');
+const studentRoutes = require('../routes/student');
+const verificationRoutes = require('../routes/verification');
+
+const app = express();
+app.use(express.json());
+app.use('/api/school', schoolRoutes);
+app.use('/api/student', studentRoutes);
+app.use('/api/verification', verificationRoutes);
+
+const tokens = {};
+
+beforeAll(() => {
+  for (const role of ['admin', 'coordinator', 'verifier']) {
+    tokens[role] = authenticateAs(role);
+  }
+});
+
+// Each call is made with an invalid or incomplete request, so roles that pass the gate are
+// stopped by the handler's own validation before it needs the database
+const calls = {
+  deleteSchool: () => request(app).delete('/api/school/not-an-id'),
+  bulkActions: () => request(app).post('/api/student/bulk-actions').send({}),
+  addSchool: () => request(app).post('/api/school/add').field('eventId', 'not-an-id'),
+  downloadSchool: () => request(app).get('/api/school/not-an-id/download'),
+  downloadDay: () => request(app).get('/api/student/download/day/1').query({ schoolId: 'not-an-id' }),
+  manualVerify: () => request(app).post('/api/student/not-an-id/manual-verify').send({}),
+  verify: () => request(app).post('/api/verification/not-an-id').send({}),
+  dayResult: () => request(app).post('/api/student/not-an-id/day/1/result').send({ result: 'success' })
+};
+
+const access = {
+  deleteSchool: ['admin'],
+  bulkActions: ['admin'],
+  addSchool: ['admin', 'coordinator'],
+  downloadSchool: ['admin', 'coordinator'],
+  downloadDay: ['admin', 'coordinator'],
+  manualVerify: ['admin', 'coordinator'],
+  verify: ['admin', 'coordinator', 'verifier'],
+  dayResult: ['admin', 'coordinator', 'verifier']
+};
+
+const cases = [];
+for (const [name, allowed] of Object.entries(access)) {
+  for (const role of ['admin', 'coordinator', 'verifier']) {
+    cases.push([name, role, allowed.includes(role)]);
+  }
+}
+
+describe('route role gates', () => {
+  test.each(cases)('%s as %s (allowed: %s)', async (name, role, allowed) => {
+    const res = await calls[name]().set('Authorization', tokens[role]);
+
+    if (allowed) {
+      expect(res.status).toBe(400);
+    } else {
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({
+        message: 'Forbidden: your role does not have access to this resource',
+        code: 'FORBIDDEN',
+        role,
+        requiredRoles: access[name]
+      });
+    }
+  });
+
+  test('requires a token', async () => {
+    const res = await calls.verify();
+    expect(res.status).toBe(401);
+  });
+});
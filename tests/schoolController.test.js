@@ -0,0 +1,122 @@
+// Face recognition needs native canvas builds; uploads never reach it here
+jest.mock('../services/faceRecognition', () => ({}));
+jest.mock('sharp', () => jest.fn());
+jest.mock('../services/groupPhotos', () => ({ storeGroupPhoto: jest.fn() }));
+jest.mock('../services/storage', () => ({ discardAssets: jest.fn(() => Promise.resolve()) }));
+jest.mock('../services/groupDescriptorJob', () => ({ enqueueGroupDescriptorJob: jest.fn(() => Promise.resolve(null)) }));
+jest.mock('../services/descriptorIndex', () => ({ removeSchoolFromIndex: jest.fn(), updateSchoolGroupInIndex: jest.fn() }));
+
+const XLSX = require('xlsx');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const { storeGroupPhoto } = require('../services/groupPhotos');
+const { discardAssets } = require('../services/storage');
+const schoolController = require('../controllers/schoolController');
+
+const asset = { backend: 'local', key: 'group-photos/school.jpg', url: '/uploads/group-photos/school.jpg' };
+
+// Helper function for an upload with a one-student sheet and a group photo
+const uploadRequest = () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ School: 'Hill School', Name: 'Asha', RollNumber: '1' }]), 'Sheet1');
+  return {
+    body: {},
+    user: { _id: '000000000000000000000001' },
+    files: {
+      xlsFile: [{ buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }) }],
+      groupPhoto: [{ buffer: Buffer.from('photo'), mimetype: 'image/jpeg' }]
+    }
+  };
+};
+
+// Helper function for a response that records its status and body
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+beforeEach(() => {
+  storeGroupPhoto.mockResolvedValue(asset);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('addSchool', () => {
+  test('a group photo stored for a school that fails to save is deleted again', async () => {
+    jest.spyOn(School.prototype, 'save').mockRejectedValue(new Error('validation failed'));
+    const res = mockResponse();
+
+    await schoolController.addSchool(uploadRequest(), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(discardAssets).toHaveBeenCalledWith(asset);
+  });
+
+  test('the group photo of a saved school is kept', async () => {
+    jest.spyOn(School.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Student, 'insertMany').mockImplementation(async (rows) => rows.map((row, i) => ({ ...row, _id: String(i + 1).padStart(24, '0') })));
+    const res = mockResponse();
+
+    await schoolController.addSchool(uploadRequest(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.school).toMatchObject({ name: 'Hill School', groupPhoto: asset.url, studentsCount: 1 });
+    expect(discardAssets).not.toHaveBeenCalledWith(asset);
+  });
+
+  test('a failure after the school is saved leaves its group photo alone', async () => {
+    jest.spyOn(School.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Student, 'insertMany').mockRejectedValue(new Error('insert failed'));
+    const res = mockResponse();
+
+    await schoolController.addSchool(uploadRequest(), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(discardAssets).not.toHaveBeenCalledWith(asset);
+  });
+});
+
+describe('POST /api/school/:schoolId/replace-group-photo', () => {
+  const express = require('express');
+  const request = require('supertest');
+  const { authenticateAs } = require('./helpers/auth');
+  const schoolRoutes = require('../routes/school');
+
+  const app = express();
+  app.use('/api/school', schoolRoutes);
+
+  const schoolId = 'b'.repeat(24);
+  const replace = () => request(app)
+    .post(`/api/school/${schoolId}/replace-group-photo`)
+    .set('Authorization', authenticateAs('coordinator'))
+    .attach('groupPhoto', Buffer.from('photo'), { filename: 'group.jpg', contentType: 'image/jpeg' });
+
+  beforeEach(() => {
+    jest.spyOn(School, 'findById').mockImplementation(async () => new School({ _id: schoolId, name: 'Hill School' }));
+  });
+
+  test('the new photo is deleted again when the school fails to save', async () => {
+    jest.spyOn(School.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+
+    const res = await replace();
+
+    expect(res.status).toBe(500);
+    expect(discardAssets).toHaveBeenCalledWith(asset);
+  });
+
+  test('the new photo is kept once the school is saved', async () => {
+    jest.spyOn(School.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+    const res = await replace();
+
+    expect(res.status).toBe(200);
+    expect(res.body.groupPhoto).toBe(asset.url);
+    expect(discardAssets).not.toHaveBeenCalledWith(asset);
+  });
+});
@@ -0,0 +1,91 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// The local backend resolves its root when loaded; keep test files out of uploads/
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_LOCAL_DIR = root;
+process.env.STORAGE_SIGNING_SECRET = 'signing-secret';
+
+const localBackend = require('../services/storage/localBackend');
+
+// Helper function to split a signed URL into the parts the /api/storage/local route receives
+const parseSignedUrl = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  return {
+    key: parsed.pathname.replace('/api/storage/local/', '').split('/').map(decodeURIComponent).join('/'),
+    expires: parsed.searchParams.get('expires'),
+    signature: parsed.searchParams.get('signature')
+  };
+};
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('local backend keys', () => {
+  test('files are written under the storage root; private ones under private/', async () => {
+    const stored = await localBackend.put(Buffer.from('face'), { folder: 'students', filename: 'a.jpg', access: 'private' });
+
+    expect(stored).toEqual({ key: 'private/students/a.jpg', url: null });
+    expect(fs.existsSync(path.join(root, 'private', 'students', 'a.jpg'))).toBe(true);
+    expect((await localBackend.get(stored.key)).toString()).toBe('face');
+  });
+
+  test('public files get an /uploads URL and leading slashes stay inside the root', async () => {
+    const stored = await localBackend.put(Buffer.from('group'), { folder: 'groups', filename: 'b.jpg', access: 'public' });
+
+    expect(stored).toEqual({ key: 'groups/b.jpg', url: '/uploads/groups/b.jpg' });
+    expect((await localBackend.get('/groups/b.jpg')).toString()).toBe('group');
+  });
+
+  test('keys that escape the storage root are refused', async () => {
+    await expect(localBackend.get('../outside.txt')).rejects.toThrow('Storage key is outside the storage directory');
+    await expect(localBackend.get('private/../../outside.txt')).rejects.toThrow('Storage key is outside the storage directory');
+    await expect(localBackend.put(Buffer.from('x'), { folder: '../..', filename: 'c.jpg', access: 'public' }))
+      .rejects.toThrow('Storage key is outside the storage directory');
+    await expect(localBackend.delete('..')).rejects.toThrow('Storage key is outside the storage directory');
+  });
+
+  test('deleting a missing file is not an error', async () => {
+    await expect(localBackend.delete('private/students/missing.jpg')).resolves.toBeUndefined();
+  });
+});
+
+describe('local signed URLs', () => {
+  test('a freshly signed URL verifies, including keys that need encoding', async () => {
+    const { key, expires, signature } = parseSignedUrl(await localBackend.signedUrl('private/students/a b.jpg', { expiresIn: 60 }));
+
+    expect(key).toBe('private/students/a b.jpg');
+    expect(localBackend.verifySignedUrl(key, expires, signature)).toBe(true);
+  });
+
+  test('the signature covers the key and the expiry', async () => {
+    const { key, expires, signature } = parseSignedUrl(await localBackend.signedUrl('private/students/a.jpg', { expiresIn: 60 }));
+
+    expect(localBackend.verifySignedUrl('private/students/other.jpg', expires, signature)).toBe(false);
+    expect(localBackend.verifySignedUrl(key, String(Number(expires) + 3600), signature)).toBe(false);
+    expect(localBackend.verifySignedUrl(key, expires, signature.replace(/.$/, c => (c === '0' ? '1' : '0')))).toBe(false);
+    expect(localBackend.verifySignedUrl(key, expires, undefined)).toBe(false);
+    expect(localBackend.verifySignedUrl(key, 'soon', signature)).toBe(false);
+  });
+
+  test('an expired URL is refused', async () => {
+    const { key, expires, signature } = parseSignedUrl(await localBackend.signedUrl('private/students/a.jpg', { expiresIn: -1 }));
+
+    expect(localBackend.verifySignedUrl(key, expires, signature)).toBe(false);
+  });
+
+  test('nothing verifies without a signing secret', async () => {
+    const { key, expires, signature } = parseSignedUrl(await localBackend.signedUrl('private/students/a.jpg', { expiresIn: 60 }));
+    const { STORAGE_SIGNING_SECRET, JWT_SECRET } = process.env;
+    delete process.env.STORAGE_SIGNING_SECRET;
+    delete process.env.JWT_SECRET;
+    try {
+      expect(localBackend.verifySignedUrl(key, expires, signature)).toBe(false);
+    } finally {
+      process.env.STORAGE_SIGNING_SECRET = STORAGE_SIGNING_SECRET;
+      if (JWT_SECRET !== undefined) process.env.JWT_SECRET = JWT_SECRET;
+    }
+  });
+});
@@ -0,0 +1,140 @@
+// Face recognition needs native canvas/sharp builds and model files; these routes only store photos
+jest.mock('../services/faceRecognition', () => ({
+  CONFIG: { MAX_IMAGE_SIZE: 10 * 1024 * 1024, SUPPORTED_FORMATS: ['jpeg', 'jpg', 'png', 'webp'] },
+  ensureModelsLoaded: jest.fn(() => Promise.resolve()),
+  isModelsLoaded: jest.fn(() => false),
+  validateBase64Image: jest.fn(),
+  extractDescriptorFromBase64: jest.fn(),
+  InvalidImageError: class InvalidImageError extends Error {}
+}));
+jest.mock('sharp', () => jest.fn());
+jest.mock('../services/storage', () => ({
+  putObject: jest.fn(),
+  getObject: jest.fn(),
+  discardAssets: jest.fn(() => Promise.resolve())
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { authenticateAs } = require('./helpers/auth');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const StudentAuditLog = require('../models/StudentAuditLog');
+const { putObject, discardAssets } = require('../services/storage');
+const studentRoutes = require('../routes/student');
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+app.use('/api/student', studentRoutes);
+
+const studentId = 'a'.repeat(24);
+const schoolId = 'b'.repeat(24);
+const photo = 'data:image/jpeg;base64,AAAA';
+const newAsset = { backend: 'local', key: `student-photos/${studentId}/new.jpg` };
+
+let student;
+
+beforeEach(() => {
+  student = new Student({ _id: studentId, name: 'Asha', school: schoolId });
+  jest.spyOn(Student, 'findById').mockImplementation(() => {
+    // Awaited directly, or populated first as on /:id/manual-verify
+    const found = Promise.resolve(student);
+    found.populate = async () => Object.assign(student, { school: { _id: schoolId, name: 'Hill School' } });
+    return found;
+  });
+  jest.spyOn(Student.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  jest.spyOn(School, 'findById').mockReturnValue({ select: async () => ({ _id: schoolId, event: null, events: [] }) });
+  jest.spyOn(StudentAuditLog, 'create').mockResolvedValue({});
+  putObject.mockResolvedValue(newAsset);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/student/:id/day/:dayNumber/result', () => {
+  const post = (role, body) => request(app)
+    .post(`/api/student/${studentId}/day/2/result`)
+    .set('Authorization', authenticateAs(role))
+    .send(body);
+
+  test('records an automatic result for the session', async () => {
+    const res = await post('verifier', { result: 'failed', confidence: 40 });
+
+    expect(res.status).toBe(200);
+    expect(student.dayVerification.get('day2')).toMatchObject({ result: 'failed', confidence: 40 });
+    expect(StudentAuditLog.create).not.toHaveBeenCalled();
+  });
+
+  test('results outside the session results are refused with 400', async () => {
+    const res = await post('admin', { result: 'verified' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('result must be one of: success, failed, pending, manually_verified');
+    expect(Student.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('verifiers cannot record manual verification', async () => {
+    const res = await post('verifier', { result: 'manually_verified' });
+
+    expect(res.status).toBe(403);
+    expect(Student.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('manual verification by a coordinator is audited', async () => {
+    const res = await post('coordinator', { result: 'manually_verified', confidence: 90 });
+
+    expect(res.status).toBe(200);
+    expect(student.dayVerification.get('day2')).toMatchObject({ result: 'manually_verified', confidence: null });
+    expect(StudentAuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'manual_verify', day: 'day2' }));
+  });
+});
+
+describe('photos stored for a student that fails to save', () => {
+  const { extractDescriptorFromBase64 } = require('../services/faceRecognition');
+  const { makeDescriptor } = require('./helpers/descriptors');
+
+  const calls = {
+    dayResult: (role) => request(app)
+      .post(`/api/student/${studentId}/day/1/result`)
+      .set('Authorization', authenticateAs(role))
+      .send({ result: 'success', photo }),
+    saveDescriptor: (role) => request(app)
+      .post(`/api/student/${studentId}/save-descriptor`)
+      .set('Authorization', authenticateAs(role))
+      .send({ photo }),
+    manualVerify: (role) => request(app)
+      .post(`/api/student/${studentId}/manual-verify`)
+      .set('Authorization', authenticateAs(role))
+      .send({ day: 1, photo, reason: 'Face covered' })
+  };
+
+  beforeEach(() => {
+    extractDescriptorFromBase64.mockResolvedValue({
+      descriptor: makeDescriptor(4),
+      confidence: 0.98,
+      quality: { passed: true, score: 100, reasons: [] }
+    });
+  });
+
+  test.each(Object.keys(calls))('%s deletes the new photo when the save fails', async (name) => {
+    Student.prototype.save.mockRejectedValue(new Error('validation failed'));
+
+    const res = await calls[name]('admin');
+
+    expect(res.status).toBe(500);
+    expect(putObject).toHaveBeenCalled();
+    expect(discardAssets).toHaveBeenCalledWith(expect.objectContaining(newAsset));
+  });
+
+  test.each(Object.keys(calls))('%s keeps the new photo once saved', async (name) => {
+    const res = await calls[name]('admin');
+
+    expect(res.status).toBe(200);
+    expect(student.day1PhotoAsset).toMatchObject(newAsset);
+    expect(discardAssets).not.toHaveBeenCalledWith(expect.objectContaining(newAsset));
+  });
+});
@@ -0,0 +1,206 @@
+// Devices push results they matched themselves; only the trust policy accepts those
+process.env.DESCRIPTOR_POLICY = 'trust';
+
+const Student = require('../models/Student');
+const School = require('../models/School');
+const SyncItem = require('../models/SyncItem');
+const VerificationAttempt = require('../models/VerificationAttempt');
+const { CONFIG, resolveConflict, parseSyncItem, applySyncItem } = require('../services/syncService');
+
+const studentId = 'a'.repeat(24);
+const schoolId = 'b'.repeat(24);
+const user = { _id: 'c'.repeat(24), role: 'verifier' };
+const device = 'tablet-1';
+
+const pushed = (overrides = {}) => ({
+  id: 'item-1',
+  studentId,
+  result: 'success',
+  confidence: 82,
+  distance: 0.21,
+  capturedAt: '2026-10-01T09:00:00.000Z',
+  ...overrides
+});
+
+// Helper function for a claim document as SyncItem.create would return it
+const claimDocument = (fields) => {
+  const doc = { _id: 'd'.repeat(24), ...fields };
+  doc.set = jest.fn((values) => Object.assign(doc, values));
+  doc.save = jest.fn(async () => doc);
+  return doc;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let student;
+
+beforeEach(() => {
+  student = new Student({ _id: studentId, name: 'Asha', school: schoolId });
+  jest.spyOn(Student, 'findById').mockImplementation(async () => student);
+  jest.spyOn(Student.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  jest.spyOn(School, 'findById').mockReturnValue({ select: async () => ({ _id: schoolId, event: null, events: [] }) });
+  jest.spyOn(VerificationAttempt, 'create').mockResolvedValue({});
+  jest.spyOn(SyncItem, 'create').mockImplementation(async (fields) => claimDocument(fields));
+  jest.spyOn(SyncItem, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveConflict', () => {
+  const capturedAt = new Date('2026-10-01T09:00:00Z');
+
+  test('anything replaces a missing or pending result', () => {
+    expect(resolveConflict(null, { result: 'failed', capturedAt })).toEqual({ apply: true, status: 'applied', reason: null });
+    expect(resolveConflict({ result: 'pending' }, { result: 'failed', capturedAt }).apply).toBe(true);
+  });
+
+  test('a higher-ranked result replaces a lower one whatever its age', () => {
+    const existing = { result: 'failed', date: new Date('2026-10-02T00:00:00Z') };
+    expect(resolveConflict(existing, { result: 'success', capturedAt })).toEqual({ apply: true, status: 'applied', reason: 'Replaced failed' });
+  });
+
+  test('a lower-ranked result never replaces a higher one', () => {
+    const existing = { result: 'manually_verified', date: new Date('2026-09-01T00:00:00Z') };
+    expect(resolveConflict(existing, { result: 'success', capturedAt })).toMatchObject({ apply: false, status: 'conflict' });
+  });
+
+  test('between equal ranks the newer result wins', () => {
+    expect(resolveConflict({ result: 'success', date: '2026-09-30T00:00:00Z' }, { result: 'success', capturedAt }))
+      .toMatchObject({ apply: true, status: 'applied' });
+    expect(resolveConflict({ result: 'success', date: '2026-10-01T09:00:00Z' }, { result: 'success', capturedAt }))
+      .toMatchObject({ apply: false, status: 'stale' });
+    expect(resolveConflict({ result: 'success', date: null }, { result: 'success', capturedAt }).apply).toBe(true);
+  });
+});
+
+describe('parseSyncItem', () => {
+  test('normalises a valid item', () => {
+    expect(parseSyncItem(pushed({ id: ' item-1 ', session: 'day2', confidence: 'high' }))).toMatchObject({
+      clientItemId: 'item-1',
+      studentId,
+      eventId: null,
+      day: 'day2',
+      result: 'success',
+      confidence: null,
+      distance: 0.21
+    });
+  });
+
+  test('rejects malformed items', () => {
+    expect(parseSyncItem(null).error).toBe('Item must be an object');
+    expect(parseSyncItem(pushed({ id: '' })).error).toMatch(/^id must be/);
+    expect(parseSyncItem(pushed({ id: 'x'.repeat(65) })).error).toMatch(/^id must be/);
+    expect(parseSyncItem(pushed({ studentId: 'nope' })).error).toBe('Invalid student ID format');
+    expect(parseSyncItem(pushed({ eventId: 'nope' })).error).toBe('Invalid event ID format');
+    expect(parseSyncItem(pushed({ result: 'pending' })).error).toMatch(/^result must be one of/);
+    expect(parseSyncItem(pushed({ capturedAt: 'yesterday' })).error).toBe('capturedAt must be an ISO timestamp');
+  });
+
+  test('refuses timestamps beyond the allowed clock skew', () => {
+    const ahead = new Date(Date.now() + CONFIG.MAX_CLOCK_SKEW_MS + 60000).toISOString();
+    expect(parseSyncItem(pushed({ capturedAt: ahead })).error).toBe('capturedAt is in the future; check the device clock');
+  });
+});
+
+describe('applySyncItem', () => {
+  test('claims the item for the user and device before applying it, then records the outcome', async () => {
+    const outcome = await applySyncItem(pushed(), { device, user });
+
+    expect(SyncItem.create).toHaveBeenCalledWith(expect.objectContaining({ user: user._id, device, clientItemId: 'item-1', status: 'pending' }));
+    expect(SyncItem.create.mock.invocationCallOrder[0]).toBeLessThan(Student.prototype.save.mock.invocationCallOrder[0]);
+    expect(student.verificationResult).toBe('success');
+
+    const claim = await SyncItem.create.mock.results[0].value;
+    expect(claim.save).toHaveBeenCalled();
+    expect(claim.status).toBe('applied');
+    expect(outcome).toMatchObject({ id: 'item-1', status: 'applied' });
+    expect(VerificationAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ syncDevice: device, result: 'success' }));
+  });
+
+  test('an item already reconciled is returned as a duplicate without being applied', async () => {
+    SyncItem.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(SyncItem, 'findOne').mockResolvedValue({ clientItemId: 'item-1', student: studentId, status: 'applied', reason: null, day: null });
+
+    const outcome = await applySyncItem(pushed(), { device, user });
+
+    expect(SyncItem.findOne).toHaveBeenCalledWith({ user: user._id, device, clientItemId: 'item-1' });
+    expect(outcome).toMatchObject({ id: 'item-1', status: 'applied', duplicate: true });
+    expect(Student.findById).not.toHaveBeenCalled();
+  });
+
+  test('an item another push is applying is left alone', async () => {
+    SyncItem.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(SyncItem, 'findOne').mockResolvedValue({ status: 'pending' });
+    jest.spyOn(SyncItem, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const outcome = await applySyncItem(pushed(), { device, user });
+
+    expect(outcome).toMatchObject({ id: 'item-1', status: 'error' });
+    expect(SyncItem.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'pending', receivedAt: { $lt: expect.any(Date) } });
+    expect(Student.findById).not.toHaveBeenCalled();
+  });
+
+  test('an abandoned claim is taken over and applied', async () => {
+    const abandoned = claimDocument({ clientItemId: 'item-1', student: studentId, status: 'pending', day: null });
+    SyncItem.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(SyncItem, 'findOne').mockResolvedValue(abandoned);
+    jest.spyOn(SyncItem, 'findOneAndUpdate').mockResolvedValue(abandoned);
+
+    const outcome = await applySyncItem(pushed(), { device, user });
+
+    expect(outcome).toMatchObject({ id: 'item-1', status: 'applied' });
+    expect(abandoned.save).toHaveBeenCalled();
+  });
+
+  test('a rejected item is not kept, so it can be pushed again', async () => {
+    const outcome = await applySyncItem(pushed(), { device, user, allowedSchoolIds: ['e'.repeat(24)] });
+
+    expect(outcome).toMatchObject({ id: 'item-1', status: 'rejected', reason: 'Student is not in a school assigned to this account' });
+    expect(SyncItem.deleteOne).toHaveBeenCalledWith({ _id: 'd'.repeat(24) });
+    expect(Student.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('an automatic failure does not beat a session that was manually verified', async () => {
+    student = new Student({
+      _id: studentId,
+      name: 'Asha',
+      school: schoolId,
+      verified: false,
+      verificationResult: 'failed',
+      verificationDate: new Date('2026-09-30T09:00:00Z'),
+      dayVerification: { day1: { result: 'manually_verified', date: new Date('2026-09-30T10:00:00Z') } }
+    });
+
+    const outcome = await applySyncItem(pushed({ result: 'failed', day: 'day1' }), { device, user });
+
+    expect(outcome).toMatchObject({ status: 'conflict', day: 'day1' });
+    expect(student.dayVerification.get('day1').result).toBe('manually_verified');
+    expect(student.verificationResult).toBe('failed');
+    expect(student.verificationDate).toEqual(new Date('2026-09-30T09:00:00Z'));
+    expect(VerificationAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ result: 'failed', day: 'day1' }));
+  });
+
+  test('a result that wins its session also updates the overall status', async () => {
+    const outcome = await applySyncItem(pushed({ day: 'day1' }), { device, user });
+
+    expect(outcome).toMatchObject({ status: 'applied', day: 'day1' });
+    expect(student.dayVerification.get('day1').result).toBe('success');
+    expect(student.verificationResult).toBe('success');
+  });
+
+  test('a session the event does not have is rejected and released', async () => {
+    const outcome = await applySyncItem(pushed({ day: 'day9' }), { device, user });
+
+    expect(outcome).toMatchObject({ status: 'rejected', reason: 'Unknown session for this event: day9' });
+    expect(SyncItem.deleteOne).toHaveBeenCalled();
+  });
+
+  test('a failure while applying releases the claim and is passed on', async () => {
+    Student.prototype.save.mockRejectedValue(new Error('write conflict'));
+
+    await expect(applySyncItem(pushed(), { device, user })).rejects.toThrow('write conflict');
+    expect(SyncItem.deleteOne).toHaveBeenCalledWith({ _id: 'd'.repeat(24) });
+  });
+});
@@ -0,0 +1,70 @@
+const express = require('express');
+const request = require('supertest');
+const { authenticateAs } = require('./helpers/auth');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth/users', userRoutes);
+app.use('/api/auth', authRoutes);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('user management role gate', () => {
+  test('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/auth/users');
+    expect(res.status).toBe(401);
+  });
+
+  test.each(['coordinator', 'verifier'])('refuses %s accounts with 403', async (role) => {
+    const token = authenticateAs(role);
+
+    for (const call of [
+      request(app).get('/api/auth/users'),
+      request(app).post('/api/auth/users').send({ username: 'someone', password: 'password123' }),
+      request(app).post('/api/auth/users/not-an-id/disable'),
+      request(app).post('/api/auth/users/not-an-id/reset-password'),
+      request(app).delete('/api/auth/users/not-an-id')
+    ]) {
+      const res = await call.set('Authorization', token);
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('FORBIDDEN');
+      expect(res.body.requiredRoles).toEqual(['admin']);
+    }
+  });
+
+  test('lets admins through', async () => {
+    const token = authenticateAs('admin');
+    const res = await request(app).get('/api/auth/users/not-an-id').set('Authorization', token);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid user ID format');
+  });
+
+  test('still lets any role read its own account', async () => {
+    const token = authenticateAs('verifier');
+    const res = await request(app).get('/api/auth/me').set('Authorization', token);
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('verifier');
+  });
+});
+
+describe('GET /api/auth/users search', () => {
+  test('matches the search text literally', async () => {
+    const token = authenticateAs('admin');
+    const find = jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({ sort: async () => [] })
+    });
+
+    const res = await request(app).get('/api/auth/users').query({ search: 'a.b(' }).set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    const { $regex } = find.mock.calls[0][0].username;
+    expect($regex).toBe('a\\.b\\(');
+    expect(new RegExp($regex).test('xa.b(y')).toBe(true);
+    expect(new RegExp($regex).test('axb(')).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+// Face recognition needs native canvas/sharp builds and model files; these requests stop before matching
+jest.mock('../services/faceRecognition', () => ({
+  CONFIG: { MAX_IMAGE_SIZE: 10 * 1024 * 1024, SUPPORTED_FORMATS: ['jpeg', 'jpg', 'png', 'webp'] },
+  ensureModelsLoaded: jest.fn(() => Promise.resolve()),
+  isModelsLoaded: jest.fn(() => false),
+  InvalidImageError: class InvalidImageError extends Error {}
+}));
+jest.mock('sharp', () => jest.fn());
+
+const express = require('express');
+const request = require('supertest');
+const { authenticateAs } = require('./helpers/auth');
+const { makeDescriptor } = require('./helpers/descriptors');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const verificationRoutes = require('../routes/verification');
+
+const app = express();
+app.use(express.json());
+app.use('/api/verification', verificationRoutes);
+
+const studentId = 'a'.repeat(24);
+const schoolId = 'b'.repeat(24);
+
+const verify = (id, body) => request(app)
+  .post(`/api/verification/${id}`)
+  .set('Authorization', authenticateAs('verifier'))
+  .send({ descriptor: makeDescriptor(1), schoolId, ...body });
+
+beforeEach(() => {
+  jest.spyOn(Student, 'findById');
+  jest.spyOn(Student, 'findOne').mockResolvedValue(null);
+  jest.spyOn(School, 'findById').mockReturnValue({ select: async () => ({ _id: schoolId, name: 'Hill School' }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/verification/:studentId', () => {
+  test('a malformed student id is refused before any lookup', async () => {
+    const res = await verify('not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid student ID format');
+    expect(Student.findOne).not.toHaveBeenCalled();
+    expect(Student.findById).not.toHaveBeenCalled();
+  });
+
+  test('a malformed school id is refused', async () => {
+    const res = await verify(studentId, { schoolId: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid school ID format');
+  });
+
+  test('a student is only looked up in the school named in the request', async () => {
+    const res = await verify(studentId);
+
+    expect(Student.findOne).toHaveBeenCalledWith({ _id: studentId, school: schoolId });
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, message: 'Student not found in this school' });
+  });
+});